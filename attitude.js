@@ -0,0 +1,211 @@
+import {
+    Vec2,
+    requireFiniteVec,
+    requireFinite,
+    requirePositive,
+    PhaseFlightPath,
+    solveLeastSquares
+} from './trajectory.js';
+
+// Angle in (-PI, PI]
+function wrapAngle(angle) {
+    const wrapped = angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
+    return wrapped === -Math.PI ? Math.PI : wrapped;
+}
+
+const angleOf = v => Math.atan2(v.y, v.x);
+const unit = angle => new Vec2(Math.cos(angle), Math.sin(angle));
+
+/**
+ * Limits on how fast a ship can turn, in rad/s and rad/s². Slews start and
+ * end at rest: spin up at the maximum angular acceleration, turn at the
+ * maximum angular velocity if there is time to reach it, then spin down.
+ */
+class AttitudeModel {
+    constructor(max_angular_velocity, max_angular_acceleration) {
+        requirePositive(max_angular_velocity, 'max_angular_velocity');
+        requirePositive(max_angular_acceleration, 'max_angular_acceleration');
+        this.max_angular_velocity = max_angular_velocity;
+        this.max_angular_acceleration = max_angular_acceleration;
+    }
+
+    // Time to turn by angle, taking the short way round
+    slewTime(angle) {
+        const theta = Math.abs(wrapAngle(angle));
+        const omega = this.max_angular_velocity;
+        const alpha = this.max_angular_acceleration;
+        if (theta <= omega * omega / alpha) {
+            // Never reaches the maximum angular velocity
+            return 2 * Math.sqrt(theta / alpha);
+        }
+        return theta / omega + omega / alpha;
+    }
+
+    // Angle turned after time t of a slew by angle, with the sign of angle
+    slewAngle(angle, t) {
+        const theta = Math.abs(angle);
+        const T = this.slewTime(angle);
+        const alpha = this.max_angular_acceleration;
+        const t_spin = Math.min(this.max_angular_velocity / alpha, T / 2);
+        t = Math.max(0, Math.min(t, T));
+
+        let turned;
+        if (t <= t_spin) {
+            turned = 0.5 * alpha * t * t;
+        } else if (t <= T - t_spin) {
+            turned = 0.5 * alpha * t_spin * t_spin + alpha * t_spin * (t - t_spin);
+        } else {
+            turned = theta - 0.5 * alpha * (T - t) * (T - t);
+        }
+        return Math.sign(angle) * turned;
+    }
+}
+
+/**
+ * Builds phases from a list of burn headings and durations, with a coasting
+ * slew before each burn that points the engine somewhere else
+ */
+function slewingPhases(attitude, heading0, burns, a_max) {
+    const phases = [];
+    let heading = heading0;
+    for (const { angle, duration } of burns) {
+        if (!(duration > 0)) continue;
+        if (heading !== null) {
+            const turn = wrapAngle(angle - heading);
+            const slew_time = attitude.slewTime(turn);
+            if (slew_time > 0) {
+                phases.push({ duration: slew_time, thrust: Vec2.zero, slew: { from: heading, angle: turn } });
+            }
+        }
+        phases.push({ duration, thrust: unit(angle).mul(a_max) });
+        heading = angle;
+    }
+    return phases;
+}
+
+/**
+ * Two burns found by least squares: one that sets up a velocity pointing at the
+ * target, and after the slew a straight braking burn that stops on it.
+ * Returns undefined if the search fails.
+ */
+function twoBurnPhases(p_start, p_end, a_max, v0, attitude, heading0) {
+    const dd = p_end.sub(p_start);
+    const scale = Math.max(dd.length(), v0.dot(v0) / a_max, 1);
+
+    // Both burns for heading angle1 and duration |x[1]|
+    const burnsFor = ([angle1, x1]) => {
+        const t1 = Math.abs(x1);
+        const w = v0.add(unit(angle1).mul(a_max * t1));
+        return [{ angle: angle1, duration: t1 }, { angle: angleOf(w.mul(-1)), duration: w.length() / a_max }];
+    };
+
+    // The braking burn ends at rest on the target if, when it starts, the velocity
+    // points at the target and the stopping distance matches
+    const residual = x => {
+        const burns = burnsFor(x);
+        const phases = slewingPhases(attitude, heading0, burns.slice(0, 1), a_max);
+        const before_brake = new PhaseFlightPath(p_start, v0, phases);
+        const turn = wrapAngle(burns[1].angle - burns[0].angle);
+        const q = before_brake.p_end.add(before_brake.v_end.mul(attitude.slewTime(turn)));
+        const w = before_brake.v_end;
+        const miss = p_end.sub(q).sub(w.mul(w.length() / (2 * a_max)));
+        return [miss.x / scale, miss.y / scale];
+    };
+
+    // Phases of burns that end at rest on the target, or undefined
+    const exact = burns => {
+        const phases = slewingPhases(attitude, heading0, burns, a_max);
+        const path = new PhaseFlightPath(p_start, v0, phases);
+        const ok = path.p_end.sub(p_end).length() <= 1e-9 * scale &&
+            path.v_end.length() <= 1e-9 * Math.sqrt(a_max * scale);
+        return ok ? phases : undefined;
+    };
+
+    // Start from the velocity change to the peak speed of a flight from rest
+    const dv = dd.normOrZero().mul(Math.sqrt(a_max * dd.length())).sub(v0);
+    if (dv.length() === 0) return undefined;
+    const burns = burnsFor(solveLeastSquares(residual, [angleOf(dv), dv.length() / a_max]).x);
+    const phases = exact(burns);
+    if (phases || heading0 === null || Math.abs(wrapAngle(burns[0].angle - heading0)) > 1e-3) {
+        return phases;
+    }
+
+    // Slew times grow with the square root of small turns, which stalls the search
+    // right next to the initial heading: try burning without turning first
+    const { x } = solveLeastSquares(([x1]) => residual([heading0, x1]), [burns[0].duration]);
+    return exact(burnsFor([heading0, x[0]]));
+}
+
+/**
+ * Always works: brake to rest, turn to the target, then accelerate, flip at the
+ * midpoint and brake. The flip makes the braking burn start a little later, so
+ * for distance d the burns last t with a t^2 + a t T_flip = d.
+ */
+function stopAndFlyPhases(p_start, p_end, a_max, v0, attitude, heading0) {
+    const v0_len = v0.length();
+    const p_stop = v0_len > 0 ? p_start.add(v0.mul(v0_len / (2 * a_max))) : p_start;
+    // Slewing before the braking burn lets the ship drift further
+    const retro = v0_len > 0 ? angleOf(v0.mul(-1)) : null;
+    const drift = retro !== null && heading0 !== null ? v0.mul(attitude.slewTime(retro - heading0)) : Vec2.zero;
+
+    const rest = p_end.sub(p_stop.add(drift));
+    const distance = rest.length();
+    const t_flip = attitude.slewTime(Math.PI);
+    const t_burn = (-t_flip + Math.sqrt(t_flip * t_flip + 4 * distance / a_max)) / 2;
+    const angle = angleOf(rest);
+    return slewingPhases(attitude, heading0, [
+        ...(retro !== null ? [{ angle: retro, duration: v0_len / a_max }] : []),
+        { angle, duration: t_burn },
+        { angle: wrapAngle(angle + Math.PI), duration: t_burn }
+    ], a_max);
+}
+
+/**
+ * Handles ships whose only engine points along the nose, so the ship has to
+ * slew before burning in a new direction. Slews are coasting phases marked
+ * with slew: { from, angle }. heading0 is the initial nose direction in
+ * radians, or null to start pointed along the first burn.
+ *
+ * Uses two burns with a slew in between where it can, otherwise brakes to rest
+ * and flies straight to the target, flipping at the midpoint.
+ */
+class SlewingFlightPath extends PhaseFlightPath {
+    constructor(p_start, p_end, a_max, v0, attitude, heading0 = null) {
+        requireFiniteVec(p_start, 'p_start');
+        requireFiniteVec(p_end, 'p_end');
+        requirePositive(a_max, 'a_max');
+        requireFiniteVec(v0, 'v0');
+        if (heading0 !== null) requireFinite(heading0, 'heading0');
+
+        const duration = phases => phases.reduce((sum, phase) => sum + phase.duration, 0);
+        const candidates = [
+            twoBurnPhases(p_start, p_end, a_max, v0, attitude, heading0),
+            stopAndFlyPhases(p_start, p_end, a_max, v0, attitude, heading0)
+        ].filter(phases => phases !== undefined);
+        const phases = candidates.reduce((best, phases) => duration(phases) < duration(best) ? phases : best);
+
+        super(p_start, v0, phases);
+        this.attitude = attitude;
+        this.heading0 = heading0;
+    }
+
+    rocketOrientation(t) {
+        if (this.phases.length === 0) return this.heading0 ?? 0;
+        const phase = this.phases[this.phaseIndexAt(Math.max(0, Math.min(t, this.t_max)))];
+        if (phase.slew) {
+            return wrapAngle(phase.slew.from + this.attitude.slewAngle(phase.slew.angle, t - phase.start));
+        }
+        return angleOf(phase.thrust);
+    }
+
+    // Time spent turning the ship instead of burning
+    slewTime() {
+        return this.phases.reduce((sum, phase) => phase.slew ? sum + phase.duration : sum, 0);
+    }
+}
+
+export {
+    wrapAngle,
+    AttitudeModel,
+    SlewingFlightPath
+};
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { solvers, solveScenario } from './solvers.js';
+
+const USAGE = `Usage: trajectory-solve [options] [file]
+
+Solves flight scenarios read from file (or stdin) as JSON or CSV.
+
+JSON input is a scenario or an array of scenarios:
+  { "id": "a", "p_start": [0, 0], "v0": [1, 0], "p_end": [100, 50], "a_max": 2, "solver": "better" }
+CSV input has a header row with the columns
+  id, p_start_x, p_start_y, v0_x, v0_y, p_end_x, p_end_y, a_max, solver
+Vectors with a z component ([x, y, z], or the CSV columns p_start_z, v0_z and
+p_end_z) are solved in 3D.
+Solvers: ${Object.keys(solvers).join(', ')} (default better)
+
+Options:
+  --input-format json|csv   Input format, guessed from the file name or content by default
+  --format json|csv         Output format (default json); CSV output has a row per
+                            waypoint, repeating the scenario's columns
+  --samples N               Number of intervals between sampled waypoints (default 20)
+  --output FILE             Write to FILE instead of stdout
+  --help                    Show this message
+
+Scenarios that fail are reported with their error and the exit code is 1.`;
+
+// id, v0 and solver are optional
+const REQUIRED_CSV_COLUMNS = ['p_start_x', 'p_start_y', 'p_end_x', 'p_end_y', 'a_max'];
+
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return [];
+    const header = lines[0].split(',').map(cell => cell.trim());
+    const missing = REQUIRED_CSV_COLUMNS.filter(column => !header.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`CSV header is missing the columns: ${missing.join(', ')}`);
+    }
+
+    return lines.slice(1).map(line => {
+        const cells = line.split(',').map(cell => cell.trim());
+        const row = Object.fromEntries(header.map((column, i) => [column, cells[i] ?? '']));
+        const number = column => row[column] === undefined || row[column] === '' ? NaN : Number(row[column]);
+        // A z column makes every vector of the row 3D
+        const is3d = ['p_start_z', 'v0_z', 'p_end_z'].some(column => header.includes(column));
+        const z = column => is3d ? [number(column) || 0] : [];
+        return {
+            id: row.id || undefined,
+            p_start: [number('p_start_x'), number('p_start_y'), ...z('p_start_z')],
+            v0: [number('v0_x') || 0, number('v0_y') || 0, ...z('v0_z')],
+            p_end: [number('p_end_x'), number('p_end_y'), ...z('p_end_z')],
+            a_max: number('a_max'),
+            solver: row.solver || undefined
+        };
+    });
+}
+
+function parseInput(text, format) {
+    if (format === 'csv') return parseCsv(text);
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : [data];
+}
+
+function csvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per waypoint, and a single row without waypoint columns for failed scenarios
+function formatCsv(results) {
+    // The z columns are only written when some scenario was solved in 3D
+    const is3d = results.some(r => r.final_position?.z !== undefined);
+    const header = ['id', 'solver', 'ok', 't_max', 'final_x', 'final_y', ...(is3d ? ['final_z'] : []),
+        'final_vx', 'final_vy', ...(is3d ? ['final_vz'] : []), 'error_type', 'error',
+        'waypoint', 't', 'x', 'y', ...(is3d ? ['z'] : []), 'vx', 'vy', ...(is3d ? ['vz'] : [])];
+    const rows = results.flatMap(r => {
+        const scenario = [
+            r.id, r.solver, r.ok, r.t_max,
+            r.final_position?.x, r.final_position?.y, ...(is3d ? [r.final_position?.z] : []),
+            r.final_velocity?.x, r.final_velocity?.y, ...(is3d ? [r.final_velocity?.z] : []),
+            r.error_type, r.error
+        ];
+        const waypoints = r.waypoints ?? [{}];
+        return waypoints.map((w, i) => [
+            ...scenario,
+            r.waypoints ? i : undefined, w.t, w.x, w.y, ...(is3d ? [w.z] : []), w.vx, w.vy, ...(is3d ? [w.vz] : [])
+        ].map(csvCell).join(','));
+    });
+    return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'input-format': { type: 'string' },
+            format: { type: 'string', default: 'json' },
+            samples: { type: 'string', default: '20' },
+            output: { type: 'string' },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const samples = Number(values.samples);
+    if (!Number.isInteger(samples) || samples < 1) {
+        throw new Error('--samples must be a positive integer');
+    }
+    if (!['json', 'csv'].includes(values.format)) {
+        throw new Error(`Unknown output format "${values.format}"`);
+    }
+
+    const file = positionals[0];
+    const text = readFileSync(file ?? 0, 'utf8');
+    const input_format = values['input-format'] ??
+        (file?.toLowerCase().endsWith('.csv') || !/^\s*[[{]/.test(text) ? 'csv' : 'json');
+
+    // Each scenario succeeds or fails on its own
+    const results = parseInput(text, input_format).map((scenario, index) => {
+        const id = scenario?.id ?? index;
+        try {
+            return { id, ok: true, ...solveScenario(scenario, samples) };
+        } catch (error) {
+            return { id, solver: scenario?.solver, ok: false, error_type: error.name, error: error.message };
+        }
+    });
+
+    const output = values.format === 'csv' ? formatCsv(results) : JSON.stringify(results, null, 2) + '\n';
+    if (values.output) {
+        writeFileSync(values.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+    if (results.some(result => !result.ok)) {
+        process.exitCode = 1;
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`trajectory-solve: ${error.message}`);
+    process.exitCode = 1;
+}
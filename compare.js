@@ -0,0 +1,72 @@
+import { TrajectoryError, ConvergenceError } from './trajectory.js';
+import { getSolver } from './solvers.js';
+
+// Distance from p to the segment a..b
+function distanceToSegment(p, a, b) {
+    const ab = b.sub(a);
+    const length2 = ab.dot(ab);
+    const s = length2 > 0 ? Math.max(0, Math.min(1, p.sub(a).dot(ab) / length2)) : 0;
+    return p.sub(a.add(ab.mul(s))).length();
+}
+
+/**
+ * Flight time, delta-v, peak speed and the largest distance from the straight
+ * line between the ends of a path. Speed and distance are sampled at samples
+ * evenly spaced times plus every phase boundary, where a bang-bang path peaks.
+ */
+function pathMetrics(path, samples = 200) {
+    const times = Array.from({ length: samples + 1 }, (_, i) => (path.t_max / samples) * i);
+    for (const phase of path.phases) {
+        times.push(phase.start, phase.start + phase.duration);
+    }
+    const sorted = [...new Set(times.filter(t => t >= 0 && t <= path.t_max))].sort((a, b) => a - b);
+    const p_start = path.rocketPosition(0);
+    const p_end = path.rocketPosition(path.t_max);
+    const speed = t => path.rocketVelocity(t).length();
+    const max_deviation = Math.max(...sorted.map(t => distanceToSegment(path.rocketPosition(t), p_start, p_end)));
+
+    // Paths that steer smoothly peak between samples, so narrow the peak down around the fastest one
+    const speeds = sorted.map(speed);
+    const k = speeds.indexOf(Math.max(...speeds));
+    let lo = sorted[Math.max(k - 1, 0)];
+    let hi = sorted[Math.min(k + 1, sorted.length - 1)];
+    for (let i = 0; i < 60 && hi - lo > 1e-12 * path.t_max; i++) {
+        const m1 = lo + (hi - lo) / 3;
+        const m2 = hi - (hi - lo) / 3;
+        if (speed(m1) < speed(m2)) {
+            lo = m1;
+        } else {
+            hi = m2;
+        }
+    }
+    const peak_speed = Math.max(speeds[k], speed((lo + hi) / 2));
+    return { t_max: path.t_max, delta_v: path.deltaV(), peak_speed, max_deviation };
+}
+
+/**
+ * Flies every named solver from p_start with velocity v0 to rest at p_end.
+ * Returns one { name, label, path, metrics, error } per solver in order, where a
+ * solver that fails or does not converge has a null path and a TrajectoryError.
+ */
+function compareSolvers(names, p_start, p_end, a_max, v0) {
+    return names.map(name => {
+        const { label, solve } = getSolver(name);
+        try {
+            const path = solve(p_start, p_end, a_max, v0);
+            if (path.converged === false) {
+                const error = new ConvergenceError(`Solver "${name}" did not converge`);
+                return { name, label, path: null, metrics: null, error };
+            }
+            return { name, label, path, metrics: pathMetrics(path), error: null };
+        } catch (error) {
+            if (!(error instanceof TrajectoryError)) throw error;
+            return { name, label, path: null, metrics: null, error };
+        }
+    });
+}
+
+export {
+    distanceToSegment,
+    pathMetrics,
+    compareSolvers
+};
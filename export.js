@@ -0,0 +1,191 @@
+import { InvalidInputError, requirePositive } from './trajectory.js';
+import { PolygonObstacle } from './obstacles.js';
+import { Viewport } from './viewport.js';
+
+// Most samples an export holds, so that a long flight at a high rate cannot exhaust memory
+const MAX_SAMPLES = 100000;
+
+// Index of the phase running at time t, -1 when no phase covers it
+function phaseAt(path, t) {
+    return path.phases.findIndex(phase => t >= phase.start && t < phase.start + phase.duration);
+}
+
+/**
+ * Samples a flight path at sample_rate samples per second, including both ends.
+ * Samples of 3D paths also have z, vz and az. Throws InvalidInputError for
+ * more than MAX_SAMPLES samples.
+ */
+function sampleTimeSeries(path, sample_rate) {
+    requirePositive(sample_rate, 'sample_rate');
+    const count = Math.max(1, Math.ceil(path.t_max * sample_rate));
+    if (!(count < MAX_SAMPLES)) {
+        throw new InvalidInputError(`${path.t_max.toFixed(0)} s at ${sample_rate} Hz needs more than ` +
+            `${MAX_SAMPLES} samples, lower the sample rate`);
+    }
+    const is3d = path.rocketPosition(0).z !== undefined;
+    return Array.from({ length: count + 1 }, (_, i) => {
+        const t = Math.min(i / sample_rate, path.t_max);
+        const p = path.rocketPosition(t);
+        const v = path.rocketVelocity(t);
+        const a = path.rocketAcceleration(t);
+        const phase = phaseAt(path, t);
+        return is3d
+            ? { t, x: p.x, y: p.y, z: p.z, vx: v.x, vy: v.y, vz: v.z, ax: a.x, ay: a.y, az: a.z, phase }
+            : { t, x: p.x, y: p.y, vx: v.x, vy: v.y, ax: a.x, ay: a.y, phase };
+    });
+}
+
+function timeSeriesToCSV(samples) {
+    const columns = samples[0]?.z !== undefined
+        ? ['t', 'x', 'y', 'z', 'vx', 'vy', 'vz', 'ax', 'ay', 'az', 'phase']
+        : ['t', 'x', 'y', 'vx', 'vy', 'ax', 'ay', 'phase'];
+    return [columns.join(','), ...samples.map(sample => columns.map(column => sample[column]).join(','))].join('\n') + '\n';
+}
+
+function timeSeriesToJSON(path, samples) {
+    return JSON.stringify({
+        t_max: path.t_max,
+        phases: path.phases.map(phase => ({
+            start: phase.start,
+            duration: phase.duration,
+            thrust: phase.thrust.z !== undefined
+                ? [phase.thrust.x, phase.thrust.y, phase.thrust.z]
+                : [phase.thrust.x, phase.thrust.y]
+        })),
+        samples
+    }, null, 2);
+}
+
+const fmt = value => Number(value.toFixed(2));
+
+function svgLine(p1, p2, color, width, extra = '') {
+    return `<line x1="${fmt(p1.x)}" y1="${fmt(p1.y)}" x2="${fmt(p2.x)}" y2="${fmt(p2.y)}" ` +
+        `stroke="${color}" stroke-width="${width}"${extra}/>`;
+}
+
+function svgPolyline(points, color, width, extra = '') {
+    return `<polyline points="${points.map(p => `${fmt(p.x)},${fmt(p.y)}`).join(' ')}" ` +
+        `fill="none" stroke="${color}" stroke-width="${width}"${extra}/>`;
+}
+
+function svgCircle(p, radius, fill, extra = '') {
+    return `<circle cx="${fmt(p.x)}" cy="${fmt(p.y)}" r="${fmt(radius)}" fill="${fill}"${extra}/>`;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Renders the canvas view as a standalone SVG figure with axes and a legend.
+ * scene holds path, p_start, p_end, width, height and optionally current_time,
+ * a_max, vel_scale, thrust_scale, obstacles, bodies, waypoints, title and the
+ * view mapping meters to pixels, one pixel per meter by default.
+ */
+function trajectoryToSVG(scene) {
+    const { path, width, height, current_time, vel_scale = 25, thrust_scale = 40, title } = scene;
+    const view = scene.view ?? new Viewport(width, height);
+    const px = p => view.toScreen(p);
+    const margin = { left: 60, right: 20, top: title ? 40 : 20, bottom: 50 };
+    const legend = [];
+    const items = [];
+
+    // Background, axes and ticks at round distances about 100 pixels apart
+    items.push(`<rect x="0" y="0" width="${width}" height="${height}" fill="#ffffff" stroke="#2c3e50"/>`);
+    const ticks = [];
+    const step = view.gridStep(100);
+    const { min, max } = view.bounds();
+    const label = value => Number(value.toPrecision(6));
+    for (let wx = Math.ceil(min.x / step) * step; wx <= max.x; wx += step) {
+        const x = fmt(px({ x: wx, y: 0 }).x);
+        ticks.push(svgLine({ x, y: 0 }, { x, y: height }, '#ecf0f1', 1));
+        ticks.push(svgLine({ x, y: height }, { x, y: height + 6 }, '#2c3e50', 1));
+        ticks.push(`<text x="${x}" y="${height + 20}" text-anchor="middle">${label(wx)}</text>`);
+    }
+    for (let wy = Math.ceil(min.y / step) * step; wy <= max.y; wy += step) {
+        const y = fmt(px({ x: 0, y: wy }).y);
+        ticks.push(svgLine({ x: 0, y }, { x: width, y }, '#ecf0f1', 1));
+        ticks.push(svgLine({ x: -6, y }, { x: 0, y }, '#2c3e50', 1));
+        ticks.push(`<text x="-10" y="${y + 4}" text-anchor="end">${label(wy)}</text>`);
+    }
+    items.push(...ticks);
+    items.push(`<text x="${width / 2}" y="${height + 42}" text-anchor="middle">x (m)</text>`);
+    items.push(`<text transform="translate(-45 ${height / 2}) rotate(-90)" text-anchor="middle">y (m)</text>`);
+
+    for (const obstacle of scene.obstacles ?? []) {
+        items.push(obstacle instanceof PolygonObstacle
+            ? `<polygon points="${obstacle.points.map(px).map(p => `${fmt(p.x)},${fmt(p.y)}`).join(' ')}" ` +
+                'fill="#95a5a6" fill-opacity="0.3" stroke="#7f8c8d"/>'
+            : svgCircle(px(obstacle.center), obstacle.radius * view.scale, '#95a5a6', ' fill-opacity="0.3" stroke="#7f8c8d"'));
+    }
+    if (scene.obstacles?.length) legend.push({ label: 'Obstacle', color: '#95a5a6' });
+
+    for (const body of scene.bodies ?? []) {
+        items.push(svgCircle(px(body.position), body.radius * view.scale, '#d35400'));
+    }
+    if (scene.bodies?.length) legend.push({ label: 'Gravity body', color: '#d35400' });
+
+    // Trajectory, with coast phases drawn over it
+    const n = 400;
+    items.push(svgPolyline(Array.from({ length: n + 1 }, (_, i) => px(path.rocketPosition((path.t_max / n) * i))), '#2980b9', 2));
+    legend.push({ label: 'Trajectory', color: '#2980b9' });
+    const coasts = path.phases.filter(phase => phase.thrust.length() === 0 && phase.duration > 0);
+    for (const phase of coasts) {
+        items.push(svgPolyline(Array.from({ length: 21 }, (_, i) =>
+            px(path.rocketPosition(phase.start + (phase.duration / 20) * i))), '#7f8c8d', 3));
+    }
+    if (coasts.length > 0) legend.push({ label: 'Coast', color: '#7f8c8d' });
+
+    for (const waypoint of scene.waypoints ?? []) {
+        items.push(svgCircle(px(waypoint.position), 5, '#9b59b6'));
+    }
+    if (scene.waypoints?.length) legend.push({ label: 'Waypoint', color: '#9b59b6' });
+
+    items.push(svgCircle(px(scene.p_start), 7, '#e74c3c'));
+    items.push(svgCircle(px(scene.p_end), 7, '#3498db', ' stroke="#2c3e50"'));
+    legend.push({ label: 'Start', color: '#e74c3c' }, { label: 'End', color: '#3498db' });
+
+    if (current_time !== undefined) {
+        const p = path.rocketPosition(current_time);
+        const a_max = scene.a_max ?? Math.max(...path.phases.map(phase => phase.thrust.length()), 1e-9);
+        // The thrust arrow is thrust_scale pixels long at a_max, whatever the zoom
+        items.push(svgLine(px(p), px(p.add(path.rocketVelocity(current_time).mul(vel_scale))), '#f39c12', 2));
+        items.push(svgLine(px(p), px(p).add(path.rocketAcceleration(current_time).mul(thrust_scale / a_max)), '#e67e22', 2,
+            ' stroke-dasharray="4 2"'));
+        items.push(svgCircle(px(p), 6, '#27ae60'));
+        legend.push({ label: `Ship at t = ${current_time.toFixed(2)}s`, color: '#27ae60' },
+            { label: 'Velocity', color: '#f39c12' }, { label: 'Thrust', color: '#e67e22' });
+    }
+
+    // Legend in the top right corner
+    const legend_width = 170;
+    const legend_x = width - legend_width - 10;
+    items.push(`<rect x="${legend_x}" y="10" width="${legend_width}" height="${legend.length * 20 + 30}" ` +
+        'fill="#ffffff" fill-opacity="0.9" stroke="#bdc3c7"/>');
+    items.push(`<text x="${legend_x + 10}" y="28">t_max = ${path.t_max.toFixed(2)}s</text>`);
+    legend.forEach((entry, i) => {
+        const y = 48 + i * 20;
+        items.push(`<rect x="${legend_x + 10}" y="${y - 9}" width="14" height="10" fill="${entry.color}"/>`);
+        items.push(`<text x="${legend_x + 32}" y="${y}">${escapeXml(entry.label)}</text>`);
+    });
+
+    const total_width = width + margin.left + margin.right;
+    const total_height = height + margin.top + margin.bottom;
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${total_width}" height="${total_height}" ` +
+            `viewBox="0 0 ${total_width} ${total_height}" font-family="Arial, sans-serif" font-size="12" fill="#2c3e50">`,
+        title ? `<text x="${total_width / 2}" y="26" text-anchor="middle" font-size="16" font-weight="bold">${escapeXml(title)}</text>` : '',
+        `<g transform="translate(${margin.left} ${margin.top})">`,
+        ...items.map(item => '  ' + item),
+        '</g>',
+        '</svg>'
+    ].filter(Boolean).join('\n') + '\n';
+}
+
+export {
+    MAX_SAMPLES,
+    sampleTimeSeries,
+    timeSeriesToCSV,
+    timeSeriesToJSON,
+    trajectoryToSVG
+};
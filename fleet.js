@@ -0,0 +1,305 @@
+import {
+    Vec2,
+    FlightPath,
+    InitialVFlightPath,
+    InvalidInputError,
+    requireFiniteVec,
+    requireFinite,
+    requirePositive
+} from './trajectory.js';
+import { Route } from './route.js';
+import { CircleObstacle } from './obstacles.js';
+
+const FORMATION_SHAPES = ['line', 'wedge', 'circle', 'grid'];
+
+// Conflicts the detour search tries to resolve at most, one after the other
+const MAX_DETOUR_ROUNDS = 3;
+
+/**
+ * Target positions of count ships in a formation around center, spacing apart.
+ * The formation faces heading (radians): a line stands across it and a wedge
+ * points along it with the leader first.
+ */
+function formationSlots(shape, center, count, spacing, heading = 0) {
+    requireFiniteVec(center, 'center');
+    requirePositive(spacing, 'spacing');
+    requireFinite(heading, 'heading');
+    const forward = new Vec2(Math.cos(heading), Math.sin(heading));
+    const side = new Vec2(-forward.y, forward.x);
+    const at = (f, s) => center.add(forward.mul(f * spacing)).add(side.mul(s * spacing));
+
+    switch (shape) {
+        case 'line':
+            return Array.from({ length: count }, (_, i) => at(0, i - (count - 1) / 2));
+        case 'wedge':
+            // Leader at the tip, the others alternating left and right behind it
+            return Array.from({ length: count }, (_, i) => {
+                const rank = Math.ceil(i / 2);
+                return at(-rank, i % 2 === 1 ? rank : -rank);
+            });
+        case 'circle': {
+            // Neighbours on the circle are spacing apart
+            if (count === 1) return [center];
+            const radius = spacing / (2 * Math.sin(Math.PI / count));
+            return Array.from({ length: count }, (_, i) => {
+                const angle = heading + (2 * Math.PI * i) / count;
+                return center.add(new Vec2(Math.cos(angle), Math.sin(angle)).mul(radius));
+            });
+        }
+        case 'grid': {
+            const columns = Math.ceil(Math.sqrt(count));
+            const rows = Math.ceil(count / columns);
+            return Array.from({ length: count }, (_, i) =>
+                at((rows - 1) / 2 - Math.floor(i / columns), (i % columns) - (columns - 1) / 2));
+        }
+        default:
+            throw new InvalidInputError(`Unknown formation "${shape}", expected one of ${FORMATION_SHAPES.join(', ')}`);
+    }
+}
+
+function* permutations(items) {
+    if (items.length <= 1) {
+        yield items;
+        return;
+    }
+    for (let i = 0; i < items.length; i++) {
+        for (const rest of permutations([...items.slice(0, i), ...items.slice(i + 1)])) {
+            yield [items[i], ...rest];
+        }
+    }
+}
+
+/**
+ * Assigns each ship { p_start, v0, a_max } a different slot. Returns the slot
+ * index of every ship, chosen to minimise the latest arrival and then the total
+ * flight time. Exhaustive up to 8 ships, otherwise the fastest pairs go first.
+ */
+function assignTargets(ships, slots) {
+    if (slots.length < ships.length) {
+        throw new InvalidInputError(`${ships.length} ships need at least as many slots, got ${slots.length}`);
+    }
+    const times = ships.map(ship => slots.map(slot => new InitialVFlightPath(ship.p_start, slot, ship.a_max, ship.v0).t_max));
+
+    if (ships.length <= 8 && slots.length === ships.length) {
+        let best = null;
+        for (const order of permutations(slots.map((_, i) => i))) {
+            const arrivals = order.map((slot, i) => times[i][slot]);
+            const latest = Math.max(...arrivals);
+            const total = arrivals.reduce((sum, t) => sum + t, 0);
+            if (!best || latest < best.latest || (latest === best.latest && total < best.total)) {
+                best = { order, latest, total };
+            }
+        }
+        return best.order;
+    }
+
+    const assignment = new Array(ships.length);
+    const pairs = times.flatMap((row, i) => row.map((t, slot) => ({ i, slot, t }))).sort((a, b) => a.t - b.t);
+    const taken = new Set();
+    for (const { i, slot } of pairs) {
+        if (assignment[i] !== undefined || taken.has(slot)) continue;
+        assignment[i] = slot;
+        taken.add(slot);
+    }
+    return assignment;
+}
+
+/**
+ * Handles flight paths that arrive at t_arrival instead of as early as possible,
+ * built by build(a) for a lowered acceleration a. If even a tiny acceleration
+ * arrives early, the ship waits at the target for the rest of the time.
+ */
+class SynchronizedFlightPath extends FlightPath {
+    constructor(build, a_max, t_arrival) {
+        super();
+        requirePositive(a_max, 'a_max');
+        let a = a_max;
+        let path = build(a);
+        if (path.t_max < t_arrival) {
+            // Lower accelerations take longer: bracket t_arrival, then bisect on a log scale
+            let lo = a_max / 2;
+            while (build(lo).t_max < t_arrival && lo > a_max * 1e-6) lo /= 2;
+            let hi = a_max;
+            for (let i = 0; i < 50; i++) {
+                const mid = Math.sqrt(lo * hi);
+                if (build(mid).t_max < t_arrival) {
+                    hi = mid;
+                } else {
+                    lo = mid;
+                }
+            }
+            // The faster end, so the ship never arrives late
+            a = hi;
+            path = build(a);
+        }
+
+        this.path = path;
+        this.a_used = a;
+        this.t_max = Math.max(t_arrival, path.t_max);
+        this.wait_time = this.t_max - path.t_max;
+        this.phases = [
+            ...path.phases,
+            { start: path.t_max, duration: this.wait_time, thrust: Vec2.zero }
+        ].filter(phase => phase.duration > 0);
+    }
+
+    rocketPosition(t) {
+        return this.path.rocketPosition(Math.min(t, this.path.t_max));
+    }
+
+    rocketVelocity(t) {
+        return t < this.path.t_max ? this.path.rocketVelocity(t) : Vec2.zero;
+    }
+}
+
+/**
+ * Samples the paths on a shared clock and returns the closest approach of every
+ * pair of ships that comes within min_separation, as { ships: [i, j], t, position,
+ * distance } with position halfway between the two ships. Paths that end early
+ * stay at their last position.
+ */
+function findConflicts(paths, min_separation, samples = 200) {
+    const t_end = Math.max(0, ...paths.map(path => path.t_max));
+    const at = (path, t) => path.rocketPosition(Math.min(t, path.t_max));
+    const conflicts = [];
+    for (let i = 0; i < paths.length; i++) {
+        for (let j = i + 1; j < paths.length; j++) {
+            let closest = null;
+            for (let k = 0; k <= samples; k++) {
+                const t = (t_end / samples) * k;
+                const p = at(paths[i], t);
+                const q = at(paths[j], t);
+                const distance = p.sub(q).length();
+                if (distance < min_separation && (!closest || distance < closest.distance)) {
+                    closest = { ships: [i, j], t, position: p.add(q).div(2), distance };
+                }
+            }
+            if (closest) conflicts.push(closest);
+        }
+    }
+    return conflicts;
+}
+
+/**
+ * Flies ships { p_start, v0, a_max } to their targets so that they all arrive at
+ * the time the slowest one needs. Close approaches are resolved one at a time by
+ * sending one of the two ships through a detour waypoint around the conflict.
+ * Conflicts that no detour clears are left in conflicts. Ships that start or
+ * end closer than min_separation conflict whatever path they fly, so such pairs
+ * are listed in unavoidable, as { ships: [i, j], end: 'start' | 'target',
+ * distance }, and not searched. Without detours the conflicts are only found,
+ * which is quick enough to redo on every mouse move.
+ */
+class FleetPlan {
+    constructor(ships, targets, { min_separation = 30, samples = 200, detours = true } = {}) {
+        if (targets.length !== ships.length) {
+            throw new InvalidInputError(`${ships.length} ships need as many targets, got ${targets.length}`);
+        }
+        requirePositive(min_separation, 'min_separation');
+        this.ships = ships;
+        this.targets = targets;
+        this.min_separation = min_separation;
+        this.samples = samples;
+        this.detours = ships.map(() => null); // Waypoint each ship detours through, if any
+        this.built = new Map(); // Paths by ship, detour and arrival time, shared by the candidate plans
+
+        this.unavoidable = [];
+        for (let i = 0; i < ships.length; i++) {
+            for (let j = i + 1; j < ships.length; j++) {
+                for (const [end, a, b] of [['start', ships[i].p_start, ships[j].p_start], ['target', targets[i], targets[j]]]) {
+                    const distance = a.sub(b).length();
+                    if (distance < min_separation) this.unavoidable.push({ ships: [i, j], end, distance });
+                }
+            }
+        }
+        // No plan has fewer conflicts than there are unavoidable pairs
+        this.fewest_conflicts = new Set(this.unavoidable.map(({ ships }) => ships.join())).size;
+
+        this.plan();
+        for (let round = 0; detours && round < MAX_DETOUR_ROUNDS; round++) {
+            if (!this.conflicts.filter(conflict => this.avoidable(conflict)).some(conflict => this.resolve(conflict))) break;
+        }
+    }
+
+    avoidable(conflict) {
+        return !this.unavoidable.some(({ ships }) => ships.join() === conflict.ships.join());
+    }
+
+    // Looks up what make() gives for ship i with its current detour, and key for anything else it depends on
+    cachedFor(i, key, make) {
+        const detour = this.detours[i];
+        const id = `${i} ${detour ? `${detour.x},${detour.y}` : '-'} ${key}`;
+        if (!this.built.has(id)) this.built.set(id, make());
+        return this.built.get(id);
+    }
+
+    // Builds ship i's path at acceleration a, through its detour if it has one
+    build(i, a, detour = this.detours[i]) {
+        const { p_start, v0 } = this.ships[i];
+        return detour
+            ? new Route(p_start, [{ position: detour }, { position: this.targets[i], stop: true }], a, v0)
+            : new InitialVFlightPath(p_start, this.targets[i], a, v0);
+    }
+
+    // Flight time of ship i at its own a_max, through its current detour
+    fastestTime(i) {
+        return this.cachedFor(i, 'fastest', () => this.build(i, this.ships[i].a_max).t_max);
+    }
+
+    // Stretches every path to the arrival time of the slowest ship and looks for conflicts
+    plan() {
+        // Only the ship given a new detour, or all when the arrival time moves, need building again
+        this.fastest = this.ships.map((_, i) => this.fastestTime(i));
+        this.t_arrival = Math.max(0, ...this.fastest);
+        this.paths = this.ships.map((ship, i) => this.cachedFor(i, this.t_arrival,
+            () => new SynchronizedFlightPath(a => this.build(i, a), ship.a_max, this.t_arrival)));
+        this.conflicts = findConflicts(this.paths, this.min_separation, this.samples);
+    }
+
+    /**
+     * Tries detours for either ship around the conflict, at one and two separations
+     * beyond it, and keeps the plan with the fewest conflicts and then the earliest
+     * arrival. Returns whether that has fewer conflicts than before.
+     */
+    resolve(conflict) {
+        const current = { detours: this.detours, conflicts: this.conflicts.length };
+        const keep_out = new CircleObstacle(conflict.position, this.min_separation);
+        const candidates = [
+            ...keep_out.candidateWaypoints(this.min_separation),
+            ...keep_out.candidateWaypoints(2 * this.min_separation)
+        ];
+
+        // The arrival time of a candidate is quick to find, so the plans are tried from the earliest
+        // arrival on and the search stops at the first one with as few conflicts as possible
+        const options = conflict.ships.flatMap(i => candidates.map(detour => {
+            this.detours = current.detours.map((other, k) => k === i ? detour : other);
+            return { detours: this.detours, t_arrival: Math.max(0, ...this.ships.map((_, k) => this.fastestTime(k))) };
+        })).sort((a, b) => a.t_arrival - b.t_arrival);
+
+        let best = null;
+        for (const { detours } of options) {
+            this.detours = detours;
+            this.plan();
+            if (!best || this.conflicts.length < best.conflicts ||
+                (this.conflicts.length === best.conflicts && this.t_arrival < best.t_arrival)) {
+                best = { detours: this.detours, conflicts: this.conflicts.length, t_arrival: this.t_arrival };
+            }
+            if (best.conflicts <= this.fewest_conflicts) break;
+        }
+
+        const improved = best.conflicts < current.conflicts;
+        this.detours = improved ? best.detours : current.detours;
+        this.plan();
+        return improved;
+    }
+}
+
+export {
+    FORMATION_SHAPES,
+    MAX_DETOUR_ROUNDS,
+    formationSlots,
+    assignTargets,
+    SynchronizedFlightPath,
+    findConflicts,
+    FleetPlan
+};
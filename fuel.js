@@ -0,0 +1,191 @@
+import { FlightPath, InvalidInputError, requirePositive, shiftPhases, slicePhases } from './trajectory.js';
+
+// Stages a rocket flight is planned in, each burning an equal share of the tank
+const ROCKET_STAGES = 10;
+
+/**
+ * Rocket with a propellant tank. The engine's thrust is fixed, so the
+ * acceleration limit grows as fuel burns and the ship gets lighter.
+ */
+class RocketModel {
+    constructor(dry_mass, fuel_mass, exhaust_velocity, max_thrust) {
+        requirePositive(dry_mass, 'dry_mass');
+        if (!(fuel_mass >= 0) || !Number.isFinite(fuel_mass)) {
+            throw new InvalidInputError(`fuel_mass must be a non-negative finite number, got ${fuel_mass}`);
+        }
+        requirePositive(exhaust_velocity, 'exhaust_velocity');
+        requirePositive(max_thrust, 'max_thrust');
+        this.dry_mass = dry_mass;
+        this.fuel_mass = fuel_mass;
+        this.exhaust_velocity = exhaust_velocity;
+        this.max_thrust = max_thrust;
+    }
+
+    accelerationLimit(fuel) {
+        return this.max_thrust / (this.dry_mass + fuel);
+    }
+
+    // Acceleration limit with a full tank, the lowest during the flight
+    get a_max() {
+        return this.accelerationLimit(this.fuel_mass);
+    }
+
+    // Total delta-v the tank allows by the rocket equation
+    deltaVCapacity() {
+        return this.exhaust_velocity * Math.log((this.dry_mass + this.fuel_mass) / this.dry_mass);
+    }
+
+    // Fuel burned for delta_v from a full tank by the rocket equation, which may exceed the tank
+    fuelForDeltaV(delta_v) {
+        return (this.dry_mass + this.fuel_mass) * (1 - Math.exp(-delta_v / this.exhaust_velocity));
+    }
+
+    /**
+     * Follows the fuel consumption along a path by the rocket equation. The path
+     * fails if the tank runs dry or it needs more acceleration than the engine gives.
+     */
+    evaluate(path, samples = 500) {
+        const dt = path.t_max / samples;
+        const times = [0];
+        const fuel = [this.fuel_mass];
+        let dry_at = null;
+        let overloaded_at = null;
+
+        let remaining = this.fuel_mass;
+        for (let i = 0; i < samples; i++) {
+            const t = dt * i;
+            const delta_v = path.deltaVBetween(t, t + dt);
+            if (overloaded_at === null && delta_v > this.accelerationLimit(remaining) * dt * (1 + 1e-6)) {
+                overloaded_at = t;
+            }
+
+            const mass = this.dry_mass + remaining;
+            remaining -= mass * (1 - Math.exp(-delta_v / this.exhaust_velocity));
+            if (remaining < 0) {
+                if (dry_at === null) dry_at = t;
+                remaining = 0;
+            }
+            times.push(t + dt);
+            fuel.push(remaining);
+        }
+
+        return new FuelProfile(times, fuel, dry_at, overloaded_at);
+    }
+}
+
+/**
+ * Remaining fuel over the time of a path, as computed by RocketModel.evaluate
+ */
+class FuelProfile {
+    constructor(times, fuel, dry_at, overloaded_at) {
+        this.times = times;
+        this.fuel = fuel;
+        this.dry_at = dry_at;
+        this.overloaded_at = overloaded_at;
+        this.ok = dry_at === null && overloaded_at === null;
+    }
+
+    fuelAt(t) {
+        const dt = this.times[1] - this.times[0];
+        if (!(dt > 0)) return this.fuel[0];
+        const i = Math.min(Math.max(Math.floor(t / dt), 0), this.times.length - 2);
+        const s = Math.min(Math.max((t - this.times[i]) / dt, 0), 1);
+        return this.fuel[i] + (this.fuel[i + 1] - this.fuel[i]) * s;
+    }
+
+    get fuel_used() {
+        return this.fuel[0] - this.fuel[this.fuel.length - 1];
+    }
+}
+
+// Time by which path has used delta_v, or null if it never does
+function timeOfDeltaV(path, delta_v) {
+    let used = 0;
+    for (const phase of path.phases) {
+        const a = phase.thrust.length();
+        if (a > 0 && used + a * phase.duration >= delta_v) {
+            return phase.start + (delta_v - used) / a;
+        }
+        used += a * phase.duration;
+    }
+    return null;
+}
+
+/**
+ * Flight of a rocket that accelerates harder as it gets lighter.
+ * plan(p_start, v0, a_max, heading) plans the rest of the flight from a state
+ * for a constant a_max, with heading the nose direction in radians or null at
+ * the start. Each stage flies a plan for the rocket's limit at its start until
+ * 1/stages of the tank has burned, then the next stage plans again with the
+ * higher limit; the last plan is flown to its end. The rocket only gets lighter
+ * within a stage, so the engine always gives the acceleration planned.
+ * stages holds { start, duration, a_max, path } for each of them.
+ */
+class RocketFlightPath extends FlightPath {
+    constructor(rocket, p_start, v0, plan, stages = ROCKET_STAGES) {
+        super();
+        this.stages = [];
+        let p = p_start;
+        let v = v0;
+        let heading = null;
+        let fuel = rocket.fuel_mass;
+        const burn = rocket.fuel_mass / stages;
+        while (true) {
+            const a_max = rocket.accelerationLimit(fuel);
+            const path = plan(p, v, a_max, heading);
+            let duration = path.t_max;
+            if (this.stages.length < stages - 1 && burn > 0) {
+                // Delta-v that burns the stage's share by the rocket equation
+                const delta_v = -rocket.exhaust_velocity * Math.log(1 - burn / (rocket.dry_mass + fuel));
+                duration = Math.min(timeOfDeltaV(path, delta_v) ?? Infinity, path.t_max);
+            }
+            this.stages.push({ start: this.t_max, duration, a_max, path });
+            this.phases.push(...shiftPhases(slicePhases(path.phases, 0, duration), this.t_max));
+            this.t_max += duration;
+            if (duration === path.t_max) break;
+
+            p = path.rocketPosition(duration);
+            v = path.rocketVelocity(duration);
+            heading = path.rocketOrientation(duration);
+            fuel -= burn;
+        }
+    }
+
+    // The stage flying at time t, the last one after the end
+    stageAt(t) {
+        return this.stages.find(stage => t < stage.start + stage.duration) ?? this.stages[this.stages.length - 1];
+    }
+
+    rocketPosition(t) {
+        const stage = this.stageAt(t);
+        return stage.path.rocketPosition(Math.max(t, 0) - stage.start);
+    }
+
+    rocketVelocity(t) {
+        const stage = this.stageAt(t);
+        return stage.path.rocketVelocity(Math.max(t, 0) - stage.start);
+    }
+
+    rocketAcceleration(t) {
+        if (!(t >= 0 && t < this.t_max)) return super.rocketAcceleration(t);
+        const stage = this.stageAt(t);
+        return stage.path.rocketAcceleration(t - stage.start);
+    }
+
+    rocketOrientation(t) {
+        const stage = this.stageAt(t);
+        return stage.path.rocketOrientation(Math.min(Math.max(t, 0), this.t_max) - stage.start);
+    }
+
+    // Time the stages spend turning the ship instead of burning, with an attitude model
+    slewTime() {
+        return this.phases.reduce((sum, phase) => phase.slew ? sum + phase.duration : sum, 0);
+    }
+}
+
+export {
+    ROCKET_STAGES,
+    RocketModel,
+    RocketFlightPath,
+    FuelProfile
+};
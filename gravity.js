@@ -0,0 +1,139 @@
+import {
+    Vec2, FlightPath, InitialVFlightPath, SampledFlightPath, requireFinite, requireFiniteVec, requirePositive
+} from './trajectory.js';
+
+/**
+ * Point mass with gravitational parameter mu = G * M. Inside its radius the
+ * body is treated as a uniform sphere, which keeps the field finite.
+ */
+class GravityBody {
+    constructor(position, mu, radius) {
+        requireFiniteVec(position, 'position');
+        requireFinite(mu, 'mu');
+        requirePositive(radius, 'radius');
+        this.position = position;
+        this.mu = mu;
+        this.radius = radius;
+    }
+
+    accelerationAt(p) {
+        const r = p.sub(this.position);
+        const distance = Math.max(r.length(), this.radius);
+        return r.mul(-this.mu / (distance * distance * distance));
+    }
+
+    contains(p) {
+        return p.sub(this.position).length() < this.radius;
+    }
+}
+
+function gravityAt(p, bodies) {
+    return bodies.reduce((sum, body) => sum.add(body.accelerationAt(p)), Vec2.zero);
+}
+
+/**
+ * Advances position and velocity by one classic Runge-Kutta step under a
+ * constant thrust plus the gravity of the bodies
+ */
+function rk4Step(p, v, thrust, bodies, dt) {
+    const accel = q => thrust.add(gravityAt(q, bodies));
+
+    const k1v = accel(p);
+    const k1p = v;
+    const k2v = accel(p.add(k1p.mul(dt / 2)));
+    const k2p = v.add(k1v.mul(dt / 2));
+    const k3v = accel(p.add(k2p.mul(dt / 2)));
+    const k3p = v.add(k2v.mul(dt / 2));
+    const k4v = accel(p.add(k3p.mul(dt)));
+    const k4p = v.add(k3v.mul(dt));
+
+    return {
+        p: p.add(k1p.add(k2p.mul(2)).add(k3p.mul(2)).add(k4p).mul(dt / 6)),
+        v: v.add(k1v.add(k2v.mul(2)).add(k3v.mul(2)).add(k4v).mul(dt / 6))
+    };
+}
+
+/**
+ * Handles flight paths under the gravity of point masses. A feedback guidance
+ * law replans an InitialVFlightPath from the current state every step, with the
+ * acceleration left over after cancelling the strongest gravity along the
+ * free-space path, and the resulting motion is integrated numerically.
+ * converged only means that the last plan ran to completion; it is false if the
+ * ship crashes into a body or runs out of steps. miss_distance and final_speed
+ * tell how close to rest at p_end the ship actually ended.
+ */
+class GravityFlightPath extends FlightPath {
+    constructor(p_start, p_end, a_max, v0, bodies, steps = 400) {
+        super();
+        requirePositive(a_max, 'a_max');
+        this.p_end = p_end;
+        this.bodies = bodies;
+
+        // The free-space path serves as the initial guess for the time scale and gravity
+        const guess = new InitialVFlightPath(p_start, p_end, a_max, v0);
+        const dt = guess.t_max / steps;
+        let g_max = 0;
+        for (let i = 0; i <= 50; i++) {
+            g_max = Math.max(g_max, gravityAt(guess.rocketPosition((guess.t_max / 50) * i), bodies).length());
+        }
+        // Planning with a constant acceleration keeps the replanned paths consistent
+        const a_plan = Math.max(a_max - g_max, 0.1 * a_max) * 0.95;
+        const times = [0];
+        const positions = [p_start];
+        const velocities = [v0];
+        this.thrusts = [];
+        this.crashed = false;
+        this.converged = false;
+
+        let p = p_start;
+        let v = v0;
+        let t = 0;
+        for (let i = 0; i < steps * 20; i++) {
+            const g = gravityAt(p, bodies);
+            const plan = new InitialVFlightPath(p, p_end, a_plan, v);
+
+            // Follow the plan's average acceleration over the step, shortening the last one
+            const h = Math.min(dt, plan.t_max);
+            if (!(h > 0)) {
+                this.converged = true;
+                break;
+            }
+            const desired = plan.rocketVelocity(h).sub(v).div(h);
+            let thrust = desired.sub(g);
+            if (thrust.length() > a_max) thrust = thrust.mul(a_max / thrust.length());
+
+            ({ p, v } = rk4Step(p, v, thrust, bodies, h));
+            t += h;
+            times.push(t);
+            positions.push(p);
+            velocities.push(v);
+            this.thrusts.push(thrust);
+
+            if (bodies.some(body => body.contains(p))) {
+                this.crashed = true;
+                break;
+            }
+            if (h < dt) {
+                this.converged = true;
+                break;
+            }
+        }
+
+        this.miss_distance = p.sub(p_end).length();
+        this.final_speed = v.length();
+        this.times = times;
+        const samples = new SampledFlightPath(times, positions, velocities);
+        this.t_max = samples.t_max;
+        this.rocketPosition = samples.rocketPosition.bind(samples);
+        this.rocketVelocity = samples.rocketVelocity.bind(samples);
+        // Gravity changes the velocity for free, so the phases hold only the recorded thrust
+        this.phases = this.thrusts.map((thrust, i) => ({ start: times[i], duration: times[i + 1] - times[i], thrust }));
+    }
+}
+
+export {
+    GravityBody,
+    gravityAt,
+    rk4Step,
+    GravityFlightPath
+};
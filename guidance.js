@@ -0,0 +1,147 @@
+import { Vec2, FlightPath, InitialVFlightPath, SampledFlightPath, requireFinite, requirePositive } from './trajectory.js';
+
+/**
+ * Seeded pseudo random numbers in [0, 1) (mulberry32), so that disturbed
+ * flights can be repeated exactly
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let x = state;
+        x = Math.imul(x ^ (x >>> 15), x | 1);
+        x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+        return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Normally distributed sample with standard deviation sigma (Box-Muller)
+function gaussian(random, sigma) {
+    if (sigma === 0) return 0;
+    const u = 1 - random();
+    return sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function gaussianVec(random, sigma) {
+    return new Vec2(gaussian(random, sigma), gaussian(random, sigma));
+}
+
+function rotate(v, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return new Vec2(v.x * cos - v.y * sin, v.x * sin + v.y * cos);
+}
+
+/**
+ * Flies an InitialVFlightPath in closed loop with a fixed timestep. Each step
+ * applies the current plan's thrust command, turned by the engine misalignment,
+ * plus a random disturbance acceleration. Every replan_interval seconds a new
+ * plan is made from a noisy measurement of the state. The flight ends when the
+ * plan runs out or the measured state is within arrival_distance and
+ * arrival_speed of rest at p_end, tolerances that grow with the noise and the
+ * thrust error one replan interval leaves uncorrected; converged tells whether
+ * the true final state is within them. Options (all optional): dt,
+ * replan_interval, disturbance (standard deviation in u/s²), misalignment
+ * (radians), position_noise, velocity_noise and seed.
+ */
+class GuidedFlightPath extends FlightPath {
+    constructor(p_start, p_end, a_max, v0, options = {}) {
+        super();
+        requirePositive(a_max, 'a_max');
+        this.p_end = p_end;
+        this.nominal_path = new InitialVFlightPath(p_start, p_end, a_max, v0);
+
+        const {
+            dt = this.nominal_path.t_max / 400,
+            replan_interval = 1,
+            disturbance = 0,
+            misalignment = 0,
+            position_noise = 0,
+            velocity_noise = 0,
+            seed = 1
+        } = options;
+        // A ship already at rest on the target has nothing to fly
+        const arrived = this.nominal_path.t_max === 0;
+        if (!arrived) requirePositive(dt, 'dt');
+        requirePositive(replan_interval, 'replan_interval');
+        Object.entries({ disturbance, misalignment, position_noise, velocity_noise, seed })
+            .forEach(([name, value]) => requireFinite(value, name));
+        const random = seededRandom(seed);
+
+        // Three standard deviations of the measurement noise, plus what one replan interval of
+        // errors adds before the next plan corrects them, and a little for rounding
+        const a_error = Math.abs(disturbance) + a_max * Math.abs(Math.sin(misalignment));
+        const rounding = 1e-6 * (1 + p_end.sub(p_start).length());
+        this.arrival_speed = 3 * Math.abs(velocity_noise) + a_error * replan_interval + Math.sqrt(2 * a_max * rounding);
+        this.arrival_distance = 3 * Math.abs(position_noise) + this.arrival_speed * replan_interval + rounding;
+
+        const times = [0];
+        const positions = [p_start];
+        const velocities = [v0];
+        this.thrusts = [];
+        this.replans = [];
+
+        let p = p_start;
+        let v = v0;
+        let t = 0;
+        let plan = null;
+        let plan_time = 0;
+        let next_replan = 0;
+        // Give up after a generous multiple of the undisturbed flight time
+        const max_steps = 10 * Math.ceil(this.nominal_path.t_max / dt) + 100;
+        for (let i = 0; !arrived && i < max_steps; i++) {
+            if (t >= next_replan - 1e-9) {
+                const measured_p = p.add(gaussianVec(random, position_noise));
+                const measured_v = v.add(gaussianVec(random, velocity_noise));
+                next_replan = t + replan_interval;
+                // That close, replanning from noisy measurements would only make the ship dither
+                // around the target, so it stops or finishes braking on the current plan
+                const close = measured_p.sub(p_end).length() <= this.arrival_distance;
+                if (close && measured_v.length() <= this.arrival_speed) break;
+                if (!close || plan === null) {
+                    plan = new InitialVFlightPath(measured_p, p_end, a_max, measured_v);
+                    plan_time = 0;
+                    this.replans.push({ t, position: p, plan });
+                }
+            }
+
+            // Command the plan's average acceleration over the step, shortening the last one
+            const h = Math.min(dt, plan.t_max - plan_time);
+            if (!(h > 0)) break;
+            const plan_dv = plan.rocketVelocity(plan_time + h).sub(plan.rocketVelocity(plan_time));
+            const plan_dp = plan.rocketPosition(plan_time + h).sub(plan.rocketPosition(plan_time));
+            const command = plan_dv.div(h);
+            let thrust = rotate(command, misalignment);
+            if (thrust.length() > a_max) thrust = thrust.mul(a_max / thrust.length());
+
+            // Follow the plan exactly, thrust switches within the step included, plus the error on top
+            const error = thrust.sub(command).add(gaussianVec(random, disturbance));
+            p = p.add(plan_dp).add(v.sub(plan.rocketVelocity(plan_time)).mul(h)).add(error.mul(h * h / 2));
+            v = v.add(plan_dv).add(error.mul(h));
+            t += h;
+            plan_time += h;
+            times.push(t);
+            positions.push(p);
+            velocities.push(v);
+            this.thrusts.push(thrust);
+
+            if (h < dt) break;
+        }
+
+        this.miss_distance = p.sub(p_end).length();
+        this.final_speed = v.length();
+        this.converged = this.miss_distance <= this.arrival_distance && this.final_speed <= this.arrival_speed;
+        this.times = times;
+        const samples = new SampledFlightPath(times, positions, velocities);
+        this.t_max = samples.t_max;
+        this.rocketPosition = samples.rocketPosition.bind(samples);
+        this.rocketVelocity = samples.rocketVelocity.bind(samples);
+        // Disturbances are free, so the phases hold only the thrust the engine produced
+        this.phases = this.thrusts.map((thrust, i) => ({ start: times[i], duration: times[i + 1] - times[i], thrust }));
+    }
+}
+
+export {
+    seededRandom,
+    GuidedFlightPath
+};
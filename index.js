@@ -0,0 +1,19 @@
+// Headless entry point: everything except the browser simulation in main.js
+export * from './trajectory.js';
+export * from './route.js';
+export * from './obstacles.js';
+export * from './gravity.js';
+export * from './fuel.js';
+export * from './guidance.js';
+export * from './solvers.js';
+export * from './scenario.js';
+export * from './export.js';
+export * from './space3d.js';
+export * from './attitude.js';
+export * from './fleet.js';
+export * from './units.js';
+export * from './viewport.js';
+export * from './reachability.js';
+export * from './compare.js';
+export * from './recording.js';
+export * from './pilot.js';
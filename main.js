@@ -1,323 +1,2533 @@
-import { Vec2, DirectedInitialVFlightPath, InitialVFlightPath } from './trajectory.js';
+import {
+    Vec2,
+    Vec3,
+    TrajectoryError,
+    InvalidInputError,
+    checkPath,
+    DirectedInitialVFlightPath,
+    InitialVFlightPath,
+    RendezvousFlightPath,
+    InterceptFlightPath,
+    TimeOptimalFlightPath,
+    timeFuelTradeoffPath,
+    BoxEnvelope,
+    EllipseEnvelope,
+    MainRcsEnvelope
+} from './trajectory.js';
+import { Route } from './route.js';
+import { CircleObstacle, findCollision, AvoidingFlightPath } from './obstacles.js';
+import { GravityBody, GravityFlightPath } from './gravity.js';
+import { RocketModel, RocketFlightPath } from './fuel.js';
+import { GuidedFlightPath } from './guidance.js';
+import { sampleTimeSeries, timeSeriesToCSV, timeSeriesToJSON, trajectoryToSVG } from './export.js';
+import {
+    ScenarioError, scenarioToJSON, scenarioFromJSON, parseScenario, encodeScenarioHash, decodeScenarioHash
+} from './scenario.js';
+import { InitialVFlightPath3D, TimeOptimalFlightPath3D, OrbitCamera } from './space3d.js';
+import { AttitudeModel, SlewingFlightPath } from './attitude.js';
+import { formationSlots, assignTargets, FleetPlan } from './fleet.js';
+import { LENGTH_UNITS, formatLength, formatSpeed, formatAcceleration, formatDuration } from './units.js';
+import { Viewport, niceStep } from './viewport.js';
+import { solvers } from './solvers.js';
+import { timeToTargetCell, isochroneLevels, isochroneSegments } from './reachability.js';
+import { compareSolvers } from './compare.js';
+import {
+    DYNAMIC_KEYS, RecordingError, Recording, RecordingPlayer, recordingToJSON, parseRecording
+} from './recording.js';
+import { THRUST_KEYS, clampCommand, keyboardCommand, gamepadCommand, PilotFlight } from './pilot.js';
+
+// Slider steps per second while animating, a sweep every 3.3 seconds
+const ANIMATION_SPEED = 300;
+// Longest frame the loop simulates, so that a hidden tab does not jump ahead on return
+const MAX_FRAME_TIME = 100;
+// Simulated seconds of each pilot step. The pilot flies whole steps, which recordings replay exactly.
+const PILOT_STEP = 1 / 60;
+
+// Cells across the heatmap, computed coarse to fine in the worker
+const HEATMAP_LEVELS = [16, 32, 64, 128];
+// Cells across when the heatmap has to be computed on the page itself
+const HEATMAP_FALLBACK_CELLS = 16;
+// Milliseconds of each animation frame the page spends on that grid, so that slow solvers do not freeze it
+const HEATMAP_FALLBACK_BUDGET = 8;
+
+// Hue in degrees, saturation and lightness from 0 to 1, to 0-255 channels for ImageData
+function hslToRgb(hue, saturation, lightness) {
+    const a = saturation * Math.min(lightness, 1 - lightness);
+    const channel = n => {
+        const k = (n + hue / 30) % 12;
+        return Math.round(255 * (lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+    };
+    return [channel(0), channel(8), channel(4)];
+}
 
 class TrajectorySimulation {
     constructor() {
         this.canvas = document.getElementById('myCanvas');
         this.ctx = this.canvas.getContext('2d');
-        this.vel_scale = 25;
+        this.timelineCanvas = document.getElementById('timelineCanvas');
+        this.timelineCtx = this.timelineCanvas.getContext('2d');
+        this.comparePanel = document.getElementById('comparePanel');
+        this.speedChartCanvas = document.getElementById('speedChartCanvas');
+        this.speedChartCtx = this.speedChartCanvas.getContext('2d');
+        this.compareTableBody = document.getElementById('compareTableBody');
+        this.view3dCanvas = document.getElementById('view3dCanvas');
+        this.view3dCtx = this.view3dCanvas.getContext('2d');
+        this.camera = new OrbitCamera(new Vec3(500, 500, 0), 1300);
+        this.orbitDrag = null; // Last mouse position while orbiting the 3D view
+        // World coordinates are in meters, starting at one pixel per meter
+        this.view = new Viewport(this.canvas.width, this.canvas.height);
+        this.panDrag = null; // Last mouse position while panning the canvas
+        this.vel_scale = 25; // Seconds of flight the velocity arrows cover
+        this.heatmap = null; // Latest reachability grid { params, grid, image }
+        this.heatmapJob = null; // Key and id of the grid being computed
+        this.recorder = null; // { recording, start } while recording
+        this.recording = null; // Last recorded or imported session
+        this.player = null; // Replays the recording instead of the live session
+        this.replaying = false;
+        this.animationFrame = null; // requestAnimationFrame id while the frame loop runs
+        this.animationProgress = 0; // Fraction of a slider step carried over between frames
+        this.pilotProgress = 0; // Fraction of a pilot step carried over between frames
+        this.pilotReplayed = false; // Pilot steps replayed since the last render
+        this.pilot = null; // Flight of the pilot experiment
+        this.keys = new Set(); // Thrust keys held down, by KeyboardEvent.code
+        this.gamepadButtonHeld = false;
         
         // Initial positions
         this.p_start = new Vec2(50, 500);
         this.p_end = new Vec2(950, 500);
         this.click_pos = new Vec2(100, 500);
         this.last_vel = Vec2.zero;
+        this.v_end = new Vec2(0, -2); // Velocity of the target in rendezvous and intercept mode
+        this.waypoints = []; // Intermediate route waypoints { position, speed, stop } before p_end
+        this.selectedWaypoint = null;
+        this.obstacles = [new CircleObstacle(new Vec2(500, 250), 80)];
+        this.selectedObstacle = null;
+        this.bodies = [new GravityBody(new Vec2(500, 650), 8000, 40)];
+        this.selectedBody = null;
+        // Ships of the fleet experiment, each with its own state and a_max
+        this.fleet = [
+            { p_start: new Vec2(80, 200), v0: new Vec2(1, 0.5), a_max: 1 },
+            { p_start: new Vec2(60, 420), v0: new Vec2(2, 0), a_max: 0.6 },
+            { p_start: new Vec2(120, 640), v0: new Vec2(0, -1.5), a_max: 1.4 },
+            { p_start: new Vec2(70, 860), v0: Vec2.zero, a_max: 0.8 }
+        ];
+        this.selectedShip = null;
         this.drag = false;
         this.selectedPoint = null; // Track which point is being dragged
+        this.cache = {}; // Results of solvers too slow to rerun every frame
 
         // UI Controls
         this.animateTrajectory = document.getElementById('animateTrajectory');
+        this.showOptimal = document.getElementById('showOptimal');
         this.timeRange = document.getElementById('timeRange');
         this.aMaxRange = document.getElementById('aMaxRange');
+        this.aMaxInput = document.getElementById('aMaxInput');
+        this.targetDistanceInput = document.getElementById('targetDistance');
+        this.targetUnit = document.getElementById('targetUnit');
+        this.velScaleInput = document.getElementById('velScale');
+        this.fitViewButton = document.getElementById('fitView');
+        this.showHeatmap = document.getElementById('showHeatmap');
+        this.heatmapSolver = document.getElementById('heatmapSolver');
+        this.showIsochrones = document.getElementById('showIsochrones');
+        this.reachableOnly = document.getElementById('reachableOnly');
+        this.reachableTime = document.getElementById('reachableTime');
+        this.fuelWeightRange = document.getElementById('fuelWeightRange');
+        this.useRocket = document.getElementById('useRocket');
+        this.rocketInputs = ['dryMass', 'fuelMass', 'exhaustVelocity', 'maxThrust']
+            .map(id => document.getElementById(id));
+        this.useAttitude = document.getElementById('useAttitude');
+        this.attitudeInputs = ['maxAngularVelocity', 'maxAngularAcceleration'].map(id => document.getElementById(id));
+        this.envelopeType = document.getElementById('envelopeType');
+        this.envelopeInputs = ['envelopeX', 'envelopeY', 'envelopeHeading'].map(id => document.getElementById(id));
+        this.guidanceInputs = ['replanInterval', 'disturbance', 'misalignment', 'positionNoise', 'velocityNoise', 'guidanceSeed']
+            .map(id => document.getElementById(id));
+        this.space3dInputs = ['startZ', 'endZ', 'initialVz'].map(id => document.getElementById(id));
+        this.formationShape = document.getElementById('formationShape');
+        this.fleetInputs = ['formationSpacing', 'minSeparation'].map(id => document.getElementById(id));
         this.radios = document.getElementsByName('experiment');
+        this.autopilotCheck = document.getElementById('autopilot');
+        this.timeWarpInput = document.getElementById('timeWarp');
+        this.resetPilotButton = document.getElementById('resetPilot');
+        this.recordButton = document.getElementById('recordButton');
+        this.playButton = document.getElementById('playButton');
+        this.stepButton = document.getElementById('stepButton');
+        this.liveButton = document.getElementById('liveButton');
+        this.replayScrub = document.getElementById('replayScrub');
+        this.exportRecordingButton = document.getElementById('exportRecording');
+        this.importRecordingInput = document.getElementById('importRecording');
+        this.recordingStatus = document.getElementById('recordingStatus');
+        this.exportScenarioButton = document.getElementById('exportScenario');
+        this.importScenarioInput = document.getElementById('importScenario');
+        this.copyLinkButton = document.getElementById('copyScenarioLink');
+        this.scenarioStatus = document.getElementById('scenarioStatus');
+        this.sampleRateInput = document.getElementById('sampleRate');
+        this.exportStatus = document.getElementById('exportStatus');
+        this.exportButtons = {
+            csv: document.getElementById('exportCsv'),
+            json: document.getElementById('exportJson'),
+            svg: document.getElementById('exportSvg'),
+            png: document.getElementById('exportPng')
+        };
         
+        // The time-optimal solver takes seconds per grid even in the worker, so it is left out
+        for (const [name, solver] of Object.entries(solvers)) {
+            if (name === 'optimal') continue;
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = solver.label;
+            this.heatmapSolver.appendChild(option);
+        }
+        this.heatmapSolver.value = 'better';
+        // The time-optimal solver is slow, so it is only compared on request
+        this.compareChecks = Object.entries(solvers).map(([name, solver]) => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.id = `compare-${name}`;
+            input.value = name;
+            input.checked = name !== 'optimal';
+            label.append(input, ` ${solver.label}`);
+            document.getElementById('compareSolvers').appendChild(label);
+            return input;
+        });
+
         this.setupEventListeners();
-        this.startAnimation();
+        if (window.location.hash.length > 1) {
+            this.loadScenarioFromHash();
+        }
+        this.toggleAnimation();
     }
 
     setupEventListeners() {
         // Mouse interaction
         this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
         this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
+        this.canvas.addEventListener('contextmenu', this.handleContextMenu.bind(this));
         this.canvas.addEventListener('mouseup', () => {
-            this.drag = false;
-            this.selectedPoint = null;
+            this.panDrag = null;
+            this.endDrag();
         });
+        this.canvas.addEventListener('wheel', event => {
+            event.preventDefault();
+            this.view.zoomAt(this.screenPos(event), Math.exp(-event.deltaY * 0.001));
+            this.viewChanged();
+            this.recordView();
+        }, { passive: false });
         
         // Touch interaction for mobile devices
         this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
         this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this));
-        this.canvas.addEventListener('touchend', () => {
-            this.drag = false;
-            this.selectedPoint = null;
-        });
+        this.canvas.addEventListener('touchend', () => this.endDrag());
 
         // Control updates
         this.timeRange.oninput = () => this.render();
-        this.radios.forEach(radio => radio.onchange = () => this.render());
-        this.aMaxRange.oninput = () => this.render();
+        this.radios.forEach(radio => radio.onchange = () => {
+            this.toggleAnimation();
+            this.render();
+        });
+        this.aMaxRange.oninput = () => {
+            this.aMaxInput.value = this.aMaxRange.value / 100;
+            this.render();
+        };
+        this.aMaxInput.oninput = () => {
+            this.aMaxRange.value = Math.round(Number(this.aMaxInput.value) * 100);
+            this.render();
+        };
+        this.targetDistanceInput.onchange = () => this.setTargetDistance();
+        this.targetUnit.onchange = () => this.render();
+        this.velScaleInput.onchange = () => this.setVelScale(Number(this.velScaleInput.value));
+        this.fitViewButton.onclick = () => this.fitView();
+        [this.showHeatmap, this.heatmapSolver, this.showIsochrones, this.reachableOnly]
+            .forEach(input => input.onchange = () => this.render());
+        this.reachableTime.oninput = () => this.render();
+        this.fuelWeightRange.oninput = () => this.render();
         this.animateTrajectory.onclick = () => this.toggleAnimation();
-    }
+        this.showOptimal.onchange = () => this.render();
+        this.useRocket.onchange = () => this.render();
+        this.rocketInputs.forEach(input => input.oninput = () => this.render());
+        this.useAttitude.onchange = () => this.render();
+        this.attitudeInputs.forEach(input => input.oninput = () => this.render());
+        this.envelopeType.onchange = () => this.render();
+        this.envelopeInputs.forEach(input => input.oninput = () => this.render());
+        this.guidanceInputs.forEach(input => input.oninput = () => this.render());
+        this.space3dInputs.forEach(input => input.oninput = () => this.render());
+        this.formationShape.onchange = () => this.render();
+        this.compareChecks.forEach(input => input.onchange = () => this.render());
+        this.fleetInputs.forEach(input => input.oninput = () => this.render());
 
-    isNearPoint(pos, point) {
-        return new Vec2(pos.x - point.x, pos.y - point.y).length() < 15;
+        // 3D view: drag to orbit, scroll to zoom, double-click to reset
+        this.view3dCanvas.addEventListener('mousedown', event => {
+            this.orbitDrag = new Vec2(event.clientX, event.clientY);
+        });
+        window.addEventListener('mousemove', event => {
+            if (!this.orbitDrag) return;
+            const pos = new Vec2(event.clientX, event.clientY);
+            const delta = pos.sub(this.orbitDrag);
+            this.orbitDrag = pos;
+            this.camera.orbit(-delta.x * 0.01, delta.y * 0.01);
+            this.render();
+        });
+        window.addEventListener('mouseup', () => this.orbitDrag = null);
+        this.view3dCanvas.addEventListener('wheel', event => {
+            event.preventDefault();
+            this.camera.zoom(Math.exp(event.deltaY * 0.001));
+            this.render();
+        }, { passive: false });
+        this.view3dCanvas.addEventListener('dblclick', () => {
+            this.camera.reset();
+            this.render();
+        });
+
+        // Scenarios
+        this.exportScenarioButton.onclick = () => this.exportScenario();
+        this.importScenarioInput.onchange = () => this.importScenario(this.importScenarioInput.files[0]);
+        this.copyLinkButton.onclick = () => this.copyScenarioLink();
+        window.addEventListener('hashchange', () => this.loadScenarioFromHash());
+
+        // Piloting: held keys thrust, P toggles the autopilot and R restarts
+        window.addEventListener('keydown', this.handleKeyDown.bind(this));
+        window.addEventListener('keyup', event => this.keys.delete(event.code));
+        window.addEventListener('blur', () => this.keys.clear());
+        this.autopilotCheck.onchange = () => this.render();
+        this.timeWarpInput.oninput = () => this.render();
+        this.resetPilotButton.onclick = () => this.restartPilot();
+
+        // Recording and replay
+        this.recordButton.onclick = () => this.toggleRecording();
+        this.playButton.onclick = () => this.togglePlay();
+        this.stepButton.onclick = () => this.stepReplay();
+        this.liveButton.onclick = () => this.exitReplay();
+        this.replayScrub.oninput = () => this.scrubReplay();
+        this.exportRecordingButton.onclick = () => this.exportRecording();
+        this.importRecordingInput.onchange = () => this.importRecording(this.importRecordingInput.files[0]);
+
+        // Trajectory export
+        this.exportButtons.csv.onclick = () => this.exportTimeSeries('csv');
+        this.exportButtons.json.onclick = () => this.exportTimeSeries('json');
+        this.exportButtons.svg.onclick = () => this.exportSVG();
+        this.exportButtons.png.onclick = () => this.exportPNG();
+
+        // Recordings keep every control change, after its handler has run
+        const controls = [
+            this.timeRange, this.aMaxRange, this.aMaxInput, this.fuelWeightRange, this.animateTrajectory,
+            this.showOptimal, this.useRocket, ...this.rocketInputs, this.useAttitude, ...this.attitudeInputs,
+            this.envelopeType, ...this.envelopeInputs, ...this.guidanceInputs, ...this.space3dInputs,
+            this.formationShape, ...this.fleetInputs, this.targetDistanceInput, this.targetUnit, this.velScaleInput,
+            this.showHeatmap, this.heatmapSolver, this.showIsochrones, this.reachableOnly, this.reachableTime,
+            ...this.compareChecks, this.autopilotCheck, this.timeWarpInput
+        ];
+        for (const input of controls) {
+            const type = input.oninput ? 'input' : input.onchange ? 'change' : 'click';
+            input.addEventListener(type, () => this.recordEvent({
+                type: 'input',
+                id: input.id,
+                ...(input.type === 'checkbox' ? { checked: input.checked } : { value: String(input.value) })
+            }));
+        }
+        this.radios.forEach(radio => radio.addEventListener('change', () =>
+            this.recordEvent({ type: 'experiment', value: radio.value })));
+        for (const button of [this.fitViewButton, this.resetPilotButton]) {
+            button.addEventListener('click', () => this.recordEvent({ type: 'click', id: button.id }));
+        }
     }
 
-    handleMouseDown(event) {
-        const mousePos = new Vec2(
-            event.pageX - this.canvas.offsetLeft,
-            event.pageY - this.canvas.offsetTop
-        );
+    downloadFile(name, contents, type) {
+        const url = URL.createObjectURL(contents instanceof Blob ? contents : new Blob([contents], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
 
-        // Check if clicking near start or end point
-        if (this.isNearPoint(mousePos, this.p_start)) {
-            this.selectedPoint = 'start';
-        } else if (this.isNearPoint(mousePos, this.p_end)) {
-            this.selectedPoint = 'end';
+    exportTimeSeries(format) {
+        const path = this.currentPath;
+        const sample_rate = Number(this.sampleRateInput.value);
+        if (!path || !(sample_rate > 0)) return;
+        let samples;
+        try {
+            samples = sampleTimeSeries(path, sample_rate);
+        } catch (error) {
+            if (!(error instanceof TrajectoryError)) throw error;
+            this.exportStatus.textContent = `Could not export: ${error.message}`;
+            this.exportStatus.classList.add('error');
+            return;
         }
+        this.exportStatus.textContent = '';
+        this.exportStatus.classList.remove('error');
+        if (format === 'csv') {
+            this.downloadFile('trajectory.csv', timeSeriesToCSV(samples), 'text/csv');
+        } else {
+            this.downloadFile('trajectory.json', timeSeriesToJSON(path, samples), 'application/json');
+        }
+    }
 
-        this.drag = true;
-        this.updateClickPos(mousePos.x, mousePos.y);
+    exportSVG() {
+        const path = this.currentPath;
+        if (!path) return;
+        const experiment = this.getExperiment();
+        const svg = trajectoryToSVG({
+            path,
+            p_start: this.p_start,
+            p_end: this.p_end,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            current_time: this.getTime() * path.t_max,
+            a_max: this.getPathEnvelope(path)?.largest() ?? this.getAMax(),
+            vel_scale: this.vel_scale,
+            obstacles: this.obstacles,
+            bodies: experiment === 'gravity' ? this.bodies : [],
+            waypoints: experiment === 'route' ? this.waypoints : [],
+            view: this.view,
+            title: `${experiment} trajectory`
+        });
+        this.downloadFile('trajectory.svg', svg, 'image/svg+xml');
     }
 
-    handleMouseMove(event) {
-        if (this.drag) {
-            this.updateClickPos(
-                event.pageX - this.canvas.offsetLeft,
-                event.pageY - this.canvas.offsetTop
-            );
+    exportPNG() {
+        // The dark background is CSS only, so paint it under a copy of the canvas
+        const snapshot = document.createElement('canvas');
+        snapshot.width = this.canvas.width;
+        snapshot.height = this.canvas.height;
+        const ctx = snapshot.getContext('2d');
+        ctx.fillStyle = '#2c3e50';
+        ctx.fillRect(0, 0, snapshot.width, snapshot.height);
+        ctx.drawImage(this.canvas, 0, 0);
+        snapshot.toBlob(blob => this.downloadFile('trajectory.png', blob), 'image/png');
+    }
+
+    getScenarioState() {
+        const [dry_mass, fuel_mass, exhaust_velocity, max_thrust] = this.rocketInputs.map(input => Number(input.value));
+        const [replan_interval, disturbance, misalignment, position_noise, velocity_noise, seed] =
+            this.guidanceInputs.map(input => Number(input.value));
+        const [start_z, end_z, vz] = this.space3dInputs.map(input => Number(input.value));
+        const [max_angular_velocity, max_angular_acceleration] = this.attitudeInputs.map(input => Number(input.value));
+        const [x, y, heading] = this.envelopeInputs.map(input => Number(input.value));
+        const [spacing, min_separation] = this.fleetInputs.map(input => Number(input.value));
+        return {
+            experiment: this.getExperiment(),
+            p_start: this.p_start,
+            p_end: this.p_end,
+            click_pos: this.click_pos,
+            last_vel: this.last_vel,
+            v_end: this.v_end,
+            a_max: Number(this.aMaxInput.value),
+            time: this.getTime(),
+            fuel_weight: this.getFuelWeight(),
+            show_optimal: this.showOptimal.checked,
+            animate: this.animateTrajectory.checked,
+            waypoints: this.waypoints,
+            obstacles: this.obstacles,
+            bodies: this.bodies,
+            rocket: { enabled: this.useRocket.checked, dry_mass, fuel_mass, exhaust_velocity, max_thrust },
+            guidance: { replan_interval, disturbance, misalignment, position_noise, velocity_noise, seed },
+            space3d: { start_z, end_z, vz },
+            attitude: { enabled: this.useAttitude.checked, max_angular_velocity, max_angular_acceleration },
+            envelope: { type: this.envelopeType.value, x, y, heading },
+            fleet: { ships: this.fleet, formation: this.formationShape.value, spacing, min_separation },
+            vel_scale: this.vel_scale,
+            view: { origin: this.view.origin, scale: this.view.scale },
+            compare: { solvers: this.getCompareSolvers() }
+        };
+    }
+
+    applyScenarioState(state) {
+        const radio = Array.from(this.radios).find(radio => radio.value === state.experiment);
+        if (!radio) {
+            throw new ScenarioError(`Unknown experiment "${state.experiment}"`);
+        }
+
+        this.p_start = state.p_start;
+        this.p_end = state.p_end;
+        this.click_pos = state.click_pos;
+        this.last_vel = state.last_vel;
+        this.v_end = state.v_end;
+        this.waypoints = state.waypoints;
+        this.obstacles = state.obstacles;
+        this.bodies = state.bodies;
+        this.selectedPoint = null;
+        this.drag = false;
+        this.cache = {};
+
+        radio.checked = true;
+        this.aMaxRange.value = Math.round(state.a_max * 100);
+        this.aMaxInput.value = state.a_max;
+        this.vel_scale = state.vel_scale;
+        this.velScaleInput.value = state.vel_scale;
+        this.view.origin = state.view.origin;
+        this.view.scale = state.view.scale;
+        this.syncCamera();
+        this.timeRange.value = Math.round(state.time * 1000);
+        this.fuelWeightRange.value = Math.round(state.fuel_weight * 100);
+        this.showOptimal.checked = state.show_optimal;
+        this.useRocket.checked = state.rocket.enabled;
+        ['dry_mass', 'fuel_mass', 'exhaust_velocity', 'max_thrust']
+            .forEach((key, i) => this.rocketInputs[i].value = state.rocket[key]);
+        ['replan_interval', 'disturbance', 'misalignment', 'position_noise', 'velocity_noise', 'seed']
+            .forEach((key, i) => this.guidanceInputs[i].value = state.guidance[key]);
+        ['start_z', 'end_z', 'vz'].forEach((key, i) => this.space3dInputs[i].value = state.space3d[key]);
+        this.useAttitude.checked = state.attitude.enabled;
+        ['max_angular_velocity', 'max_angular_acceleration']
+            .forEach((key, i) => this.attitudeInputs[i].value = state.attitude[key]);
+        this.envelopeType.value = state.envelope.type;
+        ['x', 'y', 'heading'].forEach((key, i) => this.envelopeInputs[i].value = state.envelope[key]);
+        // Files without ships keep the current fleet
+        if (state.fleet.ships.length > 0) {
+            this.fleet = state.fleet.ships;
         }
+        this.formationShape.value = state.fleet.formation;
+        ['spacing', 'min_separation'].forEach((key, i) => this.fleetInputs[i].value = state.fleet[key]);
+        this.compareChecks.forEach(input => input.checked = state.compare.solvers.includes(input.value));
+        this.animateTrajectory.checked = state.animate;
+        this.toggleAnimation();
+        this.render();
+        this.recordEvent({ type: 'scenario', state: scenarioToJSON(state) });
     }
 
-    handleTouchStart(event) {
-        event.preventDefault();
-        const touch = event.touches[0];
-        const touchPos = new Vec2(
-            touch.pageX - this.canvas.offsetLeft,
-            touch.pageY - this.canvas.offsetTop
-        );
+    showScenarioStatus(message, isError = false) {
+        this.scenarioStatus.textContent = message;
+        this.scenarioStatus.classList.toggle('error', isError);
+    }
 
-        // Check if touching near start or end point
-        if (this.isNearPoint(touchPos, this.p_start)) {
-            this.selectedPoint = 'start';
-        } else if (this.isNearPoint(touchPos, this.p_end)) {
-            this.selectedPoint = 'end';
+    loadScenarioFromHash() {
+        try {
+            this.applyScenarioState(decodeScenarioHash(window.location.hash));
+            this.showScenarioStatus('Loaded scenario from link');
+        } catch (error) {
+            this.showScenarioStatus(`Could not load scenario from link: ${error.message}`, true);
         }
+    }
 
-        this.drag = true;
-        this.updateClickPos(touchPos.x, touchPos.y);
+    // Keeps the link in the address bar up to date without flooding the history
+    scheduleHashUpdate() {
+        if (this.hashTimeout) return;
+        this.hashTimeout = setTimeout(() => {
+            this.hashTimeout = null;
+            window.history.replaceState(null, '', '#' + encodeScenarioHash(this.getScenarioState()));
+        }, 500);
     }
 
-    handleTouchMove(event) {
-        event.preventDefault();
-        if (this.drag) {
-            const touch = event.touches[0];
-            this.updateClickPos(
-                touch.pageX - this.canvas.offsetLeft,
-                touch.pageY - this.canvas.offsetTop
-            );
+    exportScenario() {
+        const json = JSON.stringify(scenarioToJSON(this.getScenarioState()), null, 2);
+        this.downloadFile('scenario.json', json, 'application/json');
+    }
+
+    async importScenario(file) {
+        if (!file) return;
+        try {
+            this.applyScenarioState(parseScenario(await file.text()));
+            this.showScenarioStatus(`Loaded scenario from ${file.name}`);
+        } catch (error) {
+            this.showScenarioStatus(`Could not load ${file.name}: ${error.message}`, true);
         }
+        this.importScenarioInput.value = '';
     }
 
-    updateClickPos(x, y) {
-        const newPos = new Vec2(
-            Math.max(0, Math.min(this.canvas.width, x)),
-            Math.max(0, Math.min(this.canvas.height, y))
-        );
+    async copyScenarioLink() {
+        const url = window.location.href.split('#')[0] + '#' + encodeScenarioHash(this.getScenarioState());
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showScenarioStatus('Link copied to the clipboard');
+        } catch (error) {
+            this.showScenarioStatus(`Could not copy the link: ${url}`, true);
+        }
+    }
 
-        if (this.selectedPoint === 'start') {
-            this.p_start = newPos;
-        } else if (this.selectedPoint === 'end') {
-            this.p_end = newPos;
-        } else {
-            this.click_pos = newPos;
+    recordEvent(event) {
+        if (!this.recorder) return;
+        const { recording, start } = this.recorder;
+        // A keyframe cannot hold the pilot's flight, so there are none while the ship is out
+        recording.add({ t: performance.now() - start, ...event, after: this.dynamicState() },
+            () => this.pilot?.launched ? null : this.snapshot());
+        this.updateReplayStatus();
+    }
+
+    recordView() {
+        this.recordEvent({ type: 'view', origin: [this.view.origin.x, this.view.origin.y], scale: this.view.scale });
+    }
+
+    // What experimentMove changes while rendering, compared after every replayed event
+    dynamicState() {
+        return Object.fromEntries(DYNAMIC_KEYS.map(key => [key, [this[key].x, this[key].y]]));
+    }
+
+    // The drag in progress, with the dragged obstacle and body as indices
+    getInteraction() {
+        const index = (list, item) => item ? list.indexOf(item) : null;
+        return {
+            selected_point: this.selectedPoint,
+            drag: this.drag,
+            selected_waypoint: this.selectedWaypoint,
+            selected_ship: this.selectedShip,
+            selected_obstacle: index(this.obstacles, this.selectedObstacle),
+            selected_body: index(this.bodies, this.selectedBody)
+        };
+    }
+
+    snapshot() {
+        return { state: scenarioToJSON(this.getScenarioState()), interaction: this.getInteraction() };
+    }
+
+    restoreKeyframe({ state, interaction }) {
+        // Keyframes are only taken before the pilot's ship launches
+        delete this.cache.pilot;
+        this.pilot = null;
+        this.applyScenarioState(scenarioFromJSON(state));
+        this.selectedPoint = interaction.selected_point;
+        this.drag = interaction.drag;
+        this.selectedWaypoint = interaction.selected_waypoint;
+        this.selectedShip = interaction.selected_ship;
+        this.selectedObstacle = this.obstacles[interaction.selected_obstacle] ?? null;
+        this.selectedBody = this.bodies[interaction.selected_body] ?? null;
+    }
+
+    // Runs a recorded event through the same methods as the live handlers
+    replayEvent(event) {
+        const pos = event.pos && new Vec2(...event.pos);
+        switch (event.type) {
+            case 'press':
+                this.startDrag(pos, event.add);
+                break;
+            case 'drag':
+                this.updateClickPos(pos);
+                break;
+            case 'release':
+                this.endDrag();
+                break;
+            case 'double_click':
+                this.toggleWaypointStop(pos);
+                break;
+            case 'context_menu':
+                this.removeAt(pos);
+                break;
+            case 'view':
+                this.view.origin = new Vec2(...event.origin);
+                this.view.scale = event.scale;
+                this.viewChanged();
+                break;
+            case 'input': {
+                const input = this.replayControl(event.id);
+                if (event.value !== undefined) {
+                    input.value = event.value;
+                } else {
+                    input.checked = event.checked;
+                }
+                (input.oninput ?? input.onchange ?? input.onclick)();
+                break;
+            }
+            case 'click':
+                this.replayControl(event.id).onclick();
+                break;
+            case 'experiment': {
+                const radio = Array.from(this.radios).find(radio => radio.value === event.value);
+                if (!radio) throw new RecordingError(`The recording selects an unknown experiment "${event.value}"`);
+                radio.checked = true;
+                radio.onchange();
+                break;
+            }
+            case 'scenario':
+                this.applyScenarioState(scenarioFromJSON(event.state));
+                break;
+            case 'pilot':
+                // Drawn once by runReplay, so that seeking through a long flight stays quick
+                this.stepPilot(event.steps, new Vec2(...event.command), event.autopilot);
+                this.pilotReplayed = true;
+                break;
         }
+        return this.dynamicState();
+    }
 
-        this.render();
+    replayControl(id) {
+        const control = document.getElementById(id);
+        if (!control) throw new RecordingError(`The recording uses an unknown control "${id}"`);
+        return control;
     }
 
-    getExperiment() {
-        for (let radio of this.radios) {
-            if (radio.checked) return radio.value;
+    toggleRecording() {
+        if (this.recorder) {
+            this.stopRecording();
+        } else {
+            this.startRecording();
         }
-        return 'basic';
     }
 
-    getTime() {
-        return this.timeRange.value / 1000;
+    startRecording() {
+        this.exitReplay();
+        // The recording starts with the ship on the pad, as a keyframe cannot hold a flight
+        if (this.pilot?.launched) this.restartPilot();
+        const { state, interaction } = this.snapshot();
+        this.recorder = { recording: new Recording(state, interaction), start: performance.now() };
+        this.recordButton.textContent = 'Stop';
+        this.updateReplayStatus();
     }
 
-    getAMax() {
-        return this.aMaxRange.value / 100;
+    stopRecording() {
+        this.recording = this.recorder.recording;
+        this.recorder = null;
+        this.recordButton.textContent = 'Record';
+        this.updateReplayStatus();
     }
 
-    toggleAnimation() {
-        if (this.animateTrajectory.checked) {
-            this.startAnimation();
-        } else {
-            this.stopAnimation();
+    // Replaces the live session with the recording, paused at its start
+    loadReplay(recording) {
+        if (this.recorder) this.stopRecording();
+        this.pauseReplay();
+        this.recording = recording;
+        this.replaying = true;
+        this.keys.clear();
+        this.toggleAnimation();
+        try {
+            this.player = new RecordingPlayer(recording, {
+                restore: keyframe => this.restoreKeyframe(keyframe),
+                apply: event => this.replayEvent(event)
+            });
+        } catch (error) {
+            this.exitReplay();
+            throw error;
         }
+        this.updateReplayStatus();
     }
 
-    startAnimation() {
-        this.stopAnimation();
-        this.animationInterval = setInterval(() => {
-            this.timeRange.value = (parseInt(this.timeRange.value) + 5) % 1000;
-            this.render();
+    togglePlay() {
+        if (this.replayInterval) {
+            this.pauseReplay();
+            return;
+        }
+        if (!this.recording) return;
+        const loaded = this.runReplay(() => {
+            if (!this.player || this.player.done) this.loadReplay(this.recording);
+        });
+        if (!loaded) return;
+
+        let last = performance.now();
+        this.replayInterval = setInterval(() => {
+            const now = performance.now();
+            this.runReplay(() => this.player.seek(this.player.time + now - last));
+            last = now;
+            if (this.player?.done) this.pauseReplay();
         }, 1000 / 60);
+        this.playButton.textContent = 'Pause';
     }
 
-    stopAnimation() {
-        if (this.animationInterval) {
-            clearInterval(this.animationInterval);
-            this.animationInterval = null;
+    pauseReplay() {
+        clearInterval(this.replayInterval);
+        this.replayInterval = null;
+        this.playButton.textContent = 'Play';
+    }
+
+    stepReplay() {
+        if (!this.recording) return;
+        this.pauseReplay();
+        this.runReplay(() => {
+            if (!this.player) this.loadReplay(this.recording);
+            this.player.step();
+        });
+    }
+
+    scrubReplay() {
+        if (!this.recording) return;
+        const t = (Number(this.replayScrub.value) / 1000) * this.recording.duration;
+        this.runReplay(() => {
+            if (!this.player) this.loadReplay(this.recording);
+            this.player.seek(t);
+        });
+    }
+
+    // Events from a hand-edited or older file may not apply, which ends the replay. False if it ended.
+    runReplay(action) {
+        try {
+            action();
+            if (this.pilotReplayed) {
+                this.pilotReplayed = false;
+                this.render();
+            }
+            this.updateReplayStatus();
+            return true;
+        } catch (error) {
+            const readable = error instanceof ScenarioError || error instanceof RecordingError || error instanceof TrajectoryError;
+            if (!readable) throw error;
+            const position = this.player?.position ?? 0;
+            this.exitReplay();
+            this.showRecordingStatus(`Replay stopped at event ${position + 1}: ${error.message}`, true);
+            return false;
         }
     }
 
-    drawGrid() {
-        const gridSize = 50;
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-        this.ctx.lineWidth = 1;
+    // Leaves the session as the replay left it and hands it back to the user
+    exitReplay() {
+        this.pauseReplay();
+        if (!this.replaying) return;
+        this.player = null;
+        this.replaying = false;
+        this.toggleAnimation();
+        this.updateReplayStatus();
+    }
 
-        // Draw vertical lines
-        for (let x = 0; x <= this.canvas.width; x += gridSize) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(x, 0);
-            this.ctx.lineTo(x, this.canvas.height);
-            this.ctx.stroke();
+    showRecordingStatus(message, isError = false) {
+        this.recordingStatus.textContent = message;
+        this.recordingStatus.classList.toggle('error', isError);
+    }
+
+    updateReplayStatus() {
+        this.liveButton.disabled = !this.replaying;
+        this.exportRecordingButton.disabled = !this.recording && !this.recorder;
+        if (this.recorder) {
+            const { recording } = this.recorder;
+            this.showRecordingStatus(`Recording: ${recording.events.length} events`);
+        } else if (this.player) {
+            const { position, time, diverged_at } = this.player;
+            const duration = this.recording.duration;
+            this.replayScrub.value = duration > 0 ? Math.round((time / duration) * 1000) : 0;
+            const progress = `Replay: event ${position} of ${this.recording.events.length}, ` +
+                `${formatDuration(time / 1000)} of ${formatDuration(duration / 1000)}`;
+            if (diverged_at !== null) {
+                this.showRecordingStatus(`${progress}. Diverged from the recording at event ${diverged_at + 1}`, true);
+            } else {
+                this.showRecordingStatus(progress);
+            }
+        } else if (this.recording) {
+            this.showRecordingStatus(`Recorded ${this.recording.events.length} events ` +
+                `over ${formatDuration(this.recording.duration / 1000)}`);
         }
+    }
 
-        // Draw horizontal lines
-        for (let y = 0; y <= this.canvas.height; y += gridSize) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, y);
-            this.ctx.lineTo(this.canvas.width, y);
-            this.ctx.stroke();
+    exportRecording() {
+        if (this.recorder) this.stopRecording();
+        const json = JSON.stringify(recordingToJSON(this.recording));
+        this.downloadFile('recording.json', json, 'application/json');
+    }
+
+    async importRecording(file) {
+        if (!file) return;
+        try {
+            this.loadReplay(parseRecording(await file.text()));
+            this.showRecordingStatus(`Loaded recording from ${file.name}`);
+        } catch (error) {
+            this.showRecordingStatus(`Could not load ${file.name}: ${error.message}`, true);
         }
+        this.importRecordingInput.value = '';
     }
 
-    renderCircle(p, color, radius = 3) {
-        this.ctx.beginPath();
-        this.ctx.arc(p.x, p.y, radius, 0, Math.PI * 2, false);
-        this.ctx.fillStyle = color;
-        this.ctx.fill();
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-        this.ctx.lineWidth = 1;
-        this.ctx.stroke();
-        this.ctx.closePath();
+    // Within 15 pixels on screen, at any zoom
+    isNearPoint(pos, point) {
+        return new Vec2(pos.x - point.x, pos.y - point.y).length() * this.view.scale < 15;
     }
 
-    renderPointLine(points, lineColor, pointColor) {
-        // Draw the trajectory line
-        this.ctx.beginPath();
-        this.ctx.moveTo(points[0].x, points[0].y);
-        for (let i = 1; i < points.length; i++) {
-            this.ctx.lineTo(points[i].x, points[i].y);
+    targetVelocityHandle() {
+        return this.p_end.add(this.v_end.mul(this.vel_scale));
+    }
+
+    findPointAt(pos) {
+        // The target velocity handle sits on top of the end point when v_end is zero,
+        // so check it first to keep it draggable
+        const experiment = this.getExperiment();
+        const hasTarget = experiment === 'rendezvous' || experiment === 'intercept';
+        if (hasTarget && this.isNearPoint(pos, this.targetVelocityHandle())) {
+            return 'target_vel';
+        }
+        if (experiment === 'fleet') {
+            // Only the ships and the formation are on the canvas
+            const i = this.fleet.findIndex(ship => this.isNearPoint(pos, ship.p_start));
+            this.selectedShip = i === -1 ? null : i;
+            return i === -1 ? null : 'ship';
+        }
+        if (this.isNearPoint(pos, this.p_start)) return 'start';
+        if (this.isNearPoint(pos, this.p_end)) return 'end';
+        if (experiment === 'route') {
+            this.selectedWaypoint = this.findWaypointAt(pos);
+            if (this.selectedWaypoint !== null) return 'waypoint';
+            if (this.isNearPoint(pos, this.click_pos)) return 'click';
         }
-        this.ctx.strokeStyle = lineColor;
-        this.ctx.lineWidth = 2;
-        this.ctx.stroke();
-        this.ctx.closePath();
 
-        // Draw points along the trajectory
-        points.forEach((p, i) => {
-            if (i % 5 === 0) { // Draw fewer points for better performance
-                this.renderCircle(p, pointColor, 2);
+        if (experiment === 'gravity') {
+            this.selectedBody = this.bodies.find(body => this.isNearPoint(pos, body.position));
+            if (this.selectedBody) return 'body';
+        }
+
+        // Obstacles are moved by their center and resized by the handle on their rim
+        for (const obstacle of this.obstacles) {
+            const handle = this.isNearPoint(pos, this.obstacleRadiusHandle(obstacle)) ? 'obstacle_radius'
+                : this.isNearPoint(pos, obstacle.center) ? 'obstacle' : null;
+            if (handle) {
+                this.selectedObstacle = obstacle;
+                return handle;
             }
-        });
+        }
+        return null;
     }
 
-    renderText(p, text) {
-        this.ctx.font = '16px Arial';
-        this.ctx.fillStyle = 'white';
-        this.ctx.fillText(text, p.x, p.y);
+    obstacleRadiusHandle(obstacle) {
+        return obstacle.center.add(new Vec2(obstacle.radius, 0));
     }
 
-    renderLine(p1, p2, color, width = 1) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(p1.x, p1.y);
-        this.ctx.lineTo(p2.x, p2.y);
-        this.ctx.strokeStyle = color;
-        this.ctx.lineWidth = width;
-        this.ctx.stroke();
-        this.ctx.closePath();
+    findWaypointAt(pos) {
+        const i = this.waypoints.findIndex(waypoint => this.isNearPoint(pos, waypoint.position));
+        return i === -1 ? null : i;
     }
 
-    renderTrajectory(path) {
-        const n = 50;
-        const points = Array.from({length: n + 1}, (_, i) => {
-            const t = (path.t_max / n) * i;
-            return path.rocketPosition(t);
-        });
-
-        // Render trajectory path
-        this.renderPointLine(points, '#3498db', '#e74c3c');
+    addWaypoint(pos) {
+        // Insert where the waypoint makes the smallest detour
+        const points = [this.p_start, ...this.waypoints.map(waypoint => waypoint.position), this.p_end];
+        let best = 0;
+        let bestDetour = Infinity;
+        for (let i = 0; i < points.length - 1; i++) {
+            const detour = pos.sub(points[i]).length() + points[i + 1].sub(pos).length()
+                - points[i + 1].sub(points[i]).length();
+            if (detour < bestDetour) {
+                bestDetour = detour;
+                best = i;
+            }
+        }
+        this.waypoints.splice(best, 0, { position: pos, stop: false });
+        return best;
+    }
 
-        // Render current position
-        const currentTime = this.getTime() * path.t_max;
-        const currentPos = path.rocketPosition(currentTime);
-        this.renderCircle(currentPos, '#2ecc71', 6);
+    startDrag(pos, addObstacle = false) {
+        this.selectedPoint = this.findPointAt(pos);
+        if (addObstacle && this.getExperiment() === 'fleet') {
+            // In fleet mode shift-click adds a ship at rest
+            this.fleet.push({ p_start: pos, v0: Vec2.zero, a_max: this.getAMax() });
+            this.selectedShip = this.fleet.length - 1;
+            this.selectedPoint = 'ship';
+        } else if (addObstacle && this.getExperiment() === 'gravity') {
+            // In gravity mode shift-click places a body instead
+            this.selectedBody = new GravityBody(pos, 8000, 40);
+            this.bodies.push(this.selectedBody);
+            this.selectedPoint = 'body';
+        } else if (addObstacle) {
+            // Shift-click places an obstacle, dragging sets its radius
+            this.selectedObstacle = new CircleObstacle(pos, 5 / this.view.scale);
+            this.obstacles.push(this.selectedObstacle);
+            this.selectedPoint = 'obstacle_radius';
+        } else if (this.selectedPoint === null && this.getExperiment() === 'route') {
+            // Clicking on empty space in route mode adds a waypoint and drags it
+            this.selectedWaypoint = this.addWaypoint(pos);
+            this.selectedPoint = 'waypoint';
+        } else if (this.selectedPoint === null && this.getExperiment() === 'fleet') {
+            // Clicking elsewhere places the formation
+            this.selectedPoint = 'end';
+        }
+        this.drag = true;
+        this.updateClickPos(pos);
+    }
 
-        // Render velocity vector
-        const rocketVel = path.rocketVelocity(currentTime);
-        const velEnd = currentPos.add(rocketVel.mul(this.vel_scale));
-        this.renderLine(currentPos, velEnd, '#f1c40f', 2);
+    // Canvas pixel under a mouse event or touch
+    screenPos(event) {
+        return new Vec2(event.pageX - this.canvas.offsetLeft, event.pageY - this.canvas.offsetTop);
+    }
 
-        // Render start and end points with labels
-        this.renderCircle(this.p_start, '#e74c3c', 8);
-        this.renderText(this.p_start.add(new Vec2(10, -10)), 'Start');
-        
-        this.renderCircle(this.p_end, '#3498db', 8);
-        this.renderText(this.p_end.add(new Vec2(10, -10)), 'End');
-        
-        // Render time information
-        this.renderText(new Vec2(10, 30), `Time: ${currentTime.toFixed(2)}s`);
-        this.renderText(new Vec2(10, 60), `Max Time: ${path.t_max.toFixed(2)}s`);
-        this.renderText(new Vec2(10, 90), `Speed: ${rocketVel.length().toFixed(2)} u/s`);
+    // World point under a mouse event or touch
+    worldPos(event) {
+        return this.view.toWorld(this.screenPos(event));
     }
 
-    experimentBasic() {
-        const a_max = this.getAMax();
-        const initial_v = this.click_pos.sub(this.p_start).x / this.vel_scale;
-        return new DirectedInitialVFlightPath(this.p_start, this.p_end, a_max, initial_v);
+    handleMouseDown(event) {
+        // The middle button, or the left one with Ctrl held, pans the view
+        if (event.button === 1 || (event.button === 0 && event.ctrlKey)) {
+            event.preventDefault();
+            this.panDrag = this.screenPos(event);
+            return;
+        }
+        if (event.button !== 0) return;
+        const pos = this.worldPos(event);
+        this.startDrag(pos, event.shiftKey);
+        this.recordEvent({ type: 'press', pos: [pos.x, pos.y], add: event.shiftKey });
     }
 
-    experimentBetter() {
-        const a_max = this.getAMax();
-        const initial_v = this.click_pos.sub(this.p_start).div(this.vel_scale);
-        return new InitialVFlightPath(this.p_start, this.p_end, a_max, initial_v);
+    endDrag() {
+        const dragging = this.drag;
+        this.drag = false;
+        this.selectedPoint = null;
+        if (dragging) {
+            this.recordEvent({ type: 'release' });
+            // The fleet plans its detours only once the drag is over
+            if (this.getExperiment() === 'fleet') this.render();
+        }
     }
 
-    experimentMove() {
-        const a_max = this.getAMax();
-        if (!this.click_pos.equals(this.p_end)) {
-            const cur_path = new InitialVFlightPath(this.p_start, this.p_end, a_max, this.last_vel);
-            const currentTime = this.getTime() * cur_path.t_max;
-            this.p_start = cur_path.rocketPosition(currentTime);
-            this.last_vel = cur_path.rocketVelocity(currentTime);
-            this.p_end = this.click_pos;
+    handleDoubleClick(event) {
+        const pos = this.worldPos(event);
+        if (this.toggleWaypointStop(pos)) {
+            this.recordEvent({ type: 'double_click', pos: [pos.x, pos.y] });
         }
-        return new InitialVFlightPath(this.p_start, this.p_end, a_max, this.last_vel);
     }
 
-    render() {
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Draw grid
-        this.drawGrid();
-        
-        // Draw guide line
-        this.renderLine(this.p_start, this.click_pos, '#27ae60', 1);
+    // Double-clicking a route waypoint makes the ship stop there or fly through
+    toggleWaypointStop(pos) {
+        if (this.getExperiment() !== 'route') return false;
+        const i = this.findWaypointAt(pos);
+        if (i === null) return false;
+        this.waypoints[i].stop = !this.waypoints[i].stop;
+        this.render();
+        return true;
+    }
 
-        // Render appropriate experiment
+    handleContextMenu(event) {
+        const pos = this.worldPos(event);
+        if (this.removeAt(pos)) {
+            event.preventDefault();
+            this.recordEvent({ type: 'context_menu', pos: [pos.x, pos.y] });
+        }
+    }
+
+    // Right-click deletes the waypoint, ship, body or obstacle under the cursor
+    removeAt(pos) {
         const experiment = this.getExperiment();
-        let path;
-        
-        switch (experiment) {
-            case 'basic':
-                path = this.experimentBasic();
-                break;
-            case 'better':
-                path = this.experimentBetter();
-                break;
-            case 'move':
-                path = this.experimentMove();
-                break;
-            default:
-                path = this.experimentBasic();
+        const i = experiment === 'route' ? this.findWaypointAt(pos) : null;
+        const ship = experiment === 'fleet' && this.fleet.length > 1
+            ? this.fleet.findIndex(ship => this.isNearPoint(pos, ship.p_start)) : -1;
+        const body = experiment === 'gravity' ? this.bodies.find(b => b.contains(pos)) : undefined;
+        const obstacle = this.obstacles.find(o => o.contains(pos));
+        if (i !== null) {
+            this.waypoints.splice(i, 1);
+        } else if (ship !== -1) {
+            this.fleet.splice(ship, 1);
+        } else if (body) {
+            this.bodies.splice(this.bodies.indexOf(body), 1);
+        } else if (obstacle) {
+            this.obstacles.splice(this.obstacles.indexOf(obstacle), 1);
+        } else {
+            return false;
+        }
+        this.render();
+        return true;
+    }
+
+    handleMouseMove(event) {
+        if (this.panDrag) {
+            const pos = this.screenPos(event);
+            this.view.pan(pos.sub(this.panDrag));
+            this.panDrag = pos;
+            this.viewChanged();
+            this.recordView();
+        } else if (this.drag) {
+            this.dragTo(this.worldPos(event));
         }
+    }
+
+    dragTo(pos) {
+        this.updateClickPos(pos);
+        this.recordEvent({ type: 'drag', pos: [pos.x, pos.y] });
+    }
+
+    handleTouchStart(event) {
+        event.preventDefault();
+        const pos = this.worldPos(event.touches[0]);
+        this.startDrag(pos);
+        this.recordEvent({ type: 'press', pos: [pos.x, pos.y], add: false });
+    }
 
-        this.renderTrajectory(path);
+    handleTouchMove(event) {
+        event.preventDefault();
+        if (this.drag) {
+            this.dragTo(this.worldPos(event.touches[0]));
+        }
+    }
+
+    // Points can be dragged anywhere in the world, also off the visible part
+    updateClickPos(newPos) {
+        if (this.selectedPoint === 'start') {
+            this.p_start = newPos;
+        } else if (this.selectedPoint === 'end') {
+            this.p_end = newPos;
+        } else if (this.selectedPoint === 'target_vel') {
+            this.v_end = newPos.sub(this.p_end).div(this.vel_scale);
+        } else if (this.selectedPoint === 'waypoint') {
+            this.waypoints[this.selectedWaypoint].position = newPos;
+        } else if (this.selectedPoint === 'ship') {
+            this.fleet[this.selectedShip].p_start = newPos;
+        } else if (this.selectedPoint === 'body') {
+            this.selectedBody.position = newPos;
+        } else if (this.selectedPoint === 'obstacle') {
+            this.selectedObstacle.center = newPos;
+        } else if (this.selectedPoint === 'obstacle_radius') {
+            this.selectedObstacle.radius = Math.max(5 / this.view.scale, newPos.sub(this.selectedObstacle.center).length());
+        } else {
+            this.click_pos = newPos;
+        }
+
+        this.render();
+    }
+
+    getExperiment() {
+        for (let radio of this.radios) {
+            if (radio.checked) return radio.value;
+        }
+        return 'basic';
+    }
+
+    getTime() {
+        return this.timeRange.value / 1000;
+    }
+
+    getRocket() {
+        if (!this.useRocket.checked) return null;
+        const [dry_mass, fuel_mass, exhaust_velocity, max_thrust] = this.rocketInputs.map(input => Number(input.value));
+        return new RocketModel(dry_mass, fuel_mass, exhaust_velocity, max_thrust);
+    }
+
+    getAttitude() {
+        if (!this.useAttitude.checked) return null;
+        // Entered in degrees
+        const [max_angular_velocity, max_angular_acceleration] = this.attitudeInputs
+            .map(input => Number(input.value) * Math.PI / 180);
+        return new AttitudeModel(max_angular_velocity, max_angular_acceleration);
+    }
+
+    getAMax() {
+        // With a rocket model, the acceleration available on a full tank, the lowest of the flight
+        const rocket = this.getRocket();
+        return rocket ? rocket.a_max : Number(this.aMaxInput.value);
+    }
+
+    // The limits are entered as multiples of a_max, and the heading in degrees. Null for a circle.
+    getEnvelope(a_max = this.getAMax()) {
+        const [x, y, heading] = this.envelopeInputs.map(input => Number(input.value));
+        switch (this.envelopeType.value) {
+            case 'box':
+                return new BoxEnvelope(x * a_max, y * a_max);
+            case 'ellipse':
+                return new EllipseEnvelope(x * a_max, y * a_max);
+            case 'main_rcs':
+                return new MainRcsEnvelope(x * a_max, y * a_max, heading * Math.PI / 180);
+            default:
+                return null;
+        }
+    }
+
+    // What the solvers that support thrust envelopes get for a_max
+    getThrustLimit(a_max = this.getAMax()) {
+        return this.getEnvelope(a_max) ?? a_max;
+    }
+
+    // The envelope the displayed path was flown with, if any
+    getPathEnvelope(path) {
+        const uses_envelope = ['basic', 'better', 'move', 'rendezvous', 'intercept'].includes(this.getExperiment());
+        return uses_envelope && !(this.solverPath(path) instanceof SlewingFlightPath) ? this.getEnvelope() : null;
+    }
+
+    // The path as the solver planned it, the first stage's for a rocket
+    solverPath(path) {
+        return path instanceof RocketFlightPath ? path.stages[0].path : path;
+    }
+
+    // Keeps the 3D view looking at what the canvas shows
+    syncCamera() {
+        const center = this.view.center();
+        this.camera.frame(new Vec3(center.x, center.y, 0), 1.3 * this.view.width / this.view.scale);
+    }
+
+    viewChanged() {
+        this.syncCamera();
+        this.render();
+    }
+
+    // Zooms to the start, the end and the whole displayed trajectory
+    fitView() {
+        const points = [this.p_start, this.p_end];
+        const path = this.currentPath;
+        if (path) {
+            const n = 50;
+            for (let i = 0; i <= n; i++) {
+                const p = path.rocketPosition((path.t_max / n) * i);
+                points.push(new Vec2(p.x, p.y));
+            }
+        }
+        if (this.getExperiment() === 'fleet') {
+            points.push(...this.fleet.map(ship => ship.p_start));
+        }
+        this.view.fit(points);
+        this.viewChanged();
+    }
+
+    // Moves the end point to the typed distance along the current direction and zooms to fit
+    setTargetDistance() {
+        const distance = Number(this.targetDistanceInput.value) * LENGTH_UNITS[this.targetUnit.value];
+        if (!(distance > 0)) return;
+        const direction = this.p_end.sub(this.p_start).normOrZero();
+        this.p_end = this.p_start.add((direction.length() > 0 ? direction : new Vec2(1, 0)).mul(distance));
+        if (this.getExperiment() === 'move') {
+            // The dynamic method flies to the last click
+            this.click_pos = this.p_end;
+        }
+        this.view.fit([this.p_start, this.p_end]);
+        this.viewChanged();
+    }
+
+    // Shows the distance in the chosen unit, unless it is being typed
+    updateTargetDistance() {
+        if (document.activeElement === this.targetDistanceInput) return;
+        const distance = this.p_end.sub(this.p_start).length() / LENGTH_UNITS[this.targetUnit.value];
+        this.targetDistanceInput.value = Number(distance.toPrecision(6));
+    }
+
+    // Longer or shorter velocity arrows for the same initial velocity
+    setVelScale(seconds) {
+        if (!(seconds > 0)) return;
+        if (this.getExperiment() !== 'move') {
+            const initial_v = this.click_pos.sub(this.p_start).div(this.vel_scale);
+            this.click_pos = this.p_start.add(initial_v.mul(seconds));
+        }
+        this.vel_scale = seconds;
+        this.render();
+    }
+
+    // A replay owns the time slider
+    animating() {
+        return this.animateTrajectory.checked && !this.replaying;
+    }
+
+    // The animation and the pilot share one frame loop, which runs while either needs it
+    toggleAnimation() {
+        if (this.animating() || this.getExperiment() === 'pilot') {
+            this.startAnimation();
+        } else {
+            this.stopAnimation();
+        }
+    }
+
+    startAnimation() {
+        if (this.animationFrame !== null) return;
+        this.lastFrame = null;
+        this.animationFrame = requestAnimationFrame(now => this.frame(now));
+    }
+
+    stopAnimation() {
+        if (this.animationFrame !== null) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    // Advances the animation and the pilot by the real time since the previous frame
+    frame(now) {
+        const dt = this.lastFrame === null ? 0 : Math.min(now - this.lastFrame, MAX_FRAME_TIME) / 1000;
+        this.lastFrame = now;
+        this.animationFrame = requestAnimationFrame(now => this.frame(now));
+
+        let steps = 0;
+        if (this.animating()) {
+            this.animationProgress += dt * ANIMATION_SPEED;
+            steps = Math.floor(this.animationProgress);
+            this.animationProgress -= steps;
+            this.timeRange.value = (parseInt(this.timeRange.value) + steps) % 1000;
+        }
+        // A replay flies the pilot from the recording instead of the live controls
+        let flown = false;
+        if (this.getExperiment() === 'pilot' && !this.replaying) {
+            this.pilotProgress += (dt * this.getTimeWarp()) / PILOT_STEP;
+            const pilot_steps = Math.floor(this.pilotProgress);
+            this.pilotProgress -= pilot_steps;
+            flown = this.flyPilot(pilot_steps);
+        }
+        if (steps > 0 || flown) {
+            this.render();
+        }
+        if (steps > 0) {
+            this.recordEvent({ type: 'input', id: this.timeRange.id, value: String(this.timeRange.value) });
+        }
+    }
+
+    handleKeyDown(event) {
+        if (this.getExperiment() !== 'pilot' || this.replaying || event.ctrlKey || event.metaKey || event.altKey) return;
+        // Typing into a field keeps its keys, while checkboxes, radios and sliders give them up
+        const target = event.target;
+        if (target.tagName === 'SELECT' || target.tagName === 'TEXTAREA' ||
+            (target.tagName === 'INPUT' && ['text', 'number'].includes(target.type))) return;
+
+        if (THRUST_KEYS[event.code]) {
+            this.keys.add(event.code);
+        } else if (event.code === 'KeyP' && !event.repeat) {
+            this.toggleAutopilot();
+            this.recordEvent({ type: 'input', id: this.autopilotCheck.id, checked: this.autopilotCheck.checked });
+        } else if (event.code === 'KeyR' && !event.repeat) {
+            this.restartPilot();
+            this.recordEvent({ type: 'click', id: this.resetPilotButton.id });
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    toggleAutopilot() {
+        this.autopilotCheck.checked = !this.autopilotCheck.checked;
+        this.render();
+    }
+
+    restartPilot() {
+        delete this.cache.pilot;
+        this.pilot = null;
+        this.render();
+    }
+
+    getTimeWarp() {
+        const warp = Number(this.timeWarpInput.value);
+        return warp > 0 ? warp : 1;
+    }
+
+    // The first connected gamepad, if the browser has any
+    getGamepad() {
+        return Array.from(navigator.getGamepads?.() ?? []).find(gamepad => gamepad?.connected) ?? null;
+    }
+
+    // Flies the pilot's ship steps PILOT_STEPs with the live controls and records them, true if it moved
+    flyPilot(steps) {
+        const pilot = this.pilot;
+        if (!pilot || pilot.arrived) return false;
+
+        let command = keyboardCommand(this.keys);
+        const gamepad = this.getGamepad();
+        if (gamepad) {
+            command = clampCommand(command.add(gamepadCommand(gamepad)));
+            // Button A toggles the autopilot once per press
+            const pressed = gamepad.buttons[0]?.pressed ?? false;
+            if (pressed && !this.gamepadButtonHeld) {
+                this.autopilotCheck.checked = !this.autopilotCheck.checked;
+            }
+            this.gamepadButtonHeld = pressed;
+        }
+        // Touching the controls takes over from the autopilot
+        if (command.length() > 0) {
+            this.autopilotCheck.checked = false;
+        }
+        if (steps === 0) return false;
+
+        const autopilot = this.autopilotCheck.checked;
+        const flown = this.stepPilot(steps, command, autopilot);
+        if (flown) {
+            this.recordEvent({ type: 'pilot', steps, command: [command.x, command.y], autopilot });
+        }
+        return flown;
+    }
+
+    // Flies the pilot's ship steps PILOT_STEPs holding the command, live or from a recording, true if it moved
+    stepPilot(steps, command, autopilot) {
+        const pilot = this.pilot;
+        if (!pilot || pilot.arrived) return false;
+        this.autopilotCheck.checked = autopilot;
+        if (autopilot && !pilot.autopilot) {
+            pilot.engageAutopilot();
+        } else if (!autopilot && pilot.autopilot) {
+            pilot.disengageAutopilot();
+        }
+
+        const t = pilot.t;
+        pilot.step(steps * PILOT_STEP, command);
+        return pilot.t !== t;
+    }
+
+    // Grid lines at round distances, every fifth one brighter, with a scale bar
+    drawGrid() {
+        const step = this.view.gridStep();
+        const { min, max } = this.view.bounds();
+        this.ctx.lineWidth = 1;
+        const line = (a, b, value) => {
+            const major = Math.abs(Math.round(value / step)) % 5 === 0;
+            this.ctx.strokeStyle = major ? 'rgba(255, 255, 255, 0.2)' : 'rgba(255, 255, 255, 0.1)';
+            this.ctx.beginPath();
+            this.ctx.moveTo(a.x, a.y);
+            this.ctx.lineTo(b.x, b.y);
+            this.ctx.stroke();
+        };
+
+        // Draw vertical lines
+        for (let x = Math.ceil(min.x / step) * step; x <= max.x; x += step) {
+            const screenX = this.view.toScreen(new Vec2(x, 0)).x;
+            line(new Vec2(screenX, 0), new Vec2(screenX, this.canvas.height), x);
+        }
+
+        // Draw horizontal lines
+        for (let y = Math.ceil(min.y / step) * step; y <= max.y; y += step) {
+            const screenY = this.view.toScreen(new Vec2(0, y)).y;
+            line(new Vec2(0, screenY), new Vec2(this.canvas.width, screenY), y);
+        }
+
+        const bar = step * this.view.scale;
+        const corner = new Vec2(this.canvas.width - 20 - bar, this.canvas.height - 20);
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(corner.x, corner.y - 5);
+        this.ctx.lineTo(corner.x, corner.y);
+        this.ctx.lineTo(corner.x + bar, corner.y);
+        this.ctx.lineTo(corner.x + bar, corner.y - 5);
+        this.ctx.stroke();
+        this.ctx.textAlign = 'right';
+        this.renderScreenText(new Vec2(corner.x + bar, corner.y - 10), formatLength(step));
+        this.ctx.textAlign = 'left';
+    }
+
+    // The render helpers take world points; radii, offsets and widths stay in pixels
+    renderCircle(p, color, radius = 3) {
+        const s = this.view.toScreen(p);
+        this.ctx.beginPath();
+        this.ctx.arc(s.x, s.y, radius, 0, Math.PI * 2, false);
+        this.ctx.fillStyle = color;
+        this.ctx.fill();
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+        this.ctx.closePath();
+    }
+
+    renderPointLine(points, lineColor, pointColor) {
+        // Draw the trajectory line
+        const screen = points.map(p => this.view.toScreen(p));
+        this.ctx.beginPath();
+        this.ctx.moveTo(screen[0].x, screen[0].y);
+        for (let i = 1; i < screen.length; i++) {
+            this.ctx.lineTo(screen[i].x, screen[i].y);
+        }
+        this.ctx.strokeStyle = lineColor;
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+        this.ctx.closePath();
+
+        // Draw points along the trajectory
+        points.forEach((p, i) => {
+            if (i % 5 === 0) { // Draw fewer points for better performance
+                this.renderCircle(p, pointColor, 2);
+            }
+        });
+    }
+
+    // Text offset pixels away from world point p
+    renderText(p, text, offset = Vec2.zero) {
+        this.renderScreenText(this.view.toScreen(p).add(offset), text);
+    }
+
+    renderScreenText(p, text) {
+        this.ctx.font = '16px Arial';
+        this.ctx.fillStyle = 'white';
+        this.ctx.fillText(text, p.x, p.y);
+    }
+
+    // Stacks status lines in the top left corner
+    renderHudText(text) {
+        this.hudLine++;
+        this.renderScreenText(new Vec2(10, 30 * this.hudLine), text);
+    }
+
+    renderWarning(text) {
+        this.ctx.font = 'bold 16px Arial';
+        const width = this.ctx.measureText(text).width + 30;
+        this.ctx.fillStyle = 'rgba(192, 57, 43, 0.9)';
+        this.ctx.fillRect((this.canvas.width - width) / 2, 20, width, 34);
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(text, this.canvas.width / 2, 42);
+        this.ctx.textAlign = 'left';
+    }
+
+    renderLine(p1, p2, color, width = 1) {
+        const a = this.view.toScreen(p1);
+        const b = this.view.toScreen(p2);
+        this.ctx.beginPath();
+        this.ctx.moveTo(a.x, a.y);
+        this.ctx.lineTo(b.x, b.y);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = width;
+        this.ctx.stroke();
+        this.ctx.closePath();
+    }
+
+    // Line from world point p along a vector given in pixels, like the thrust arrow
+    renderArrow(p, pixels, color, width = 1) {
+        this.renderLine(p, p.add(pixels.div(this.view.scale)), color, width);
+    }
+
+    renderObstacles() {
+        for (const obstacle of this.obstacles) {
+            const center = this.view.toScreen(obstacle.center);
+            this.ctx.beginPath();
+            this.ctx.arc(center.x, center.y, obstacle.radius * this.view.scale, 0, Math.PI * 2, false);
+            this.ctx.fillStyle = 'rgba(149, 165, 166, 0.3)';
+            this.ctx.fill();
+            this.ctx.strokeStyle = 'rgba(149, 165, 166, 0.8)';
+            this.ctx.lineWidth = 1;
+            this.ctx.stroke();
+            this.ctx.closePath();
+
+            this.renderCircle(obstacle.center, '#95a5a6', 4);
+            this.renderCircle(this.obstacleRadiusHandle(obstacle), '#95a5a6', 4);
+        }
+    }
+
+    // The grid the worker should compute for the current start state and view
+    heatmapParams() {
+        const { min, max } = this.view.bounds();
+        // The dynamic method flies on from where the ship is now
+        const v0 = this.getExperiment() === 'move'
+            ? this.last_vel
+            : this.click_pos.sub(this.p_start).div(this.vel_scale);
+        const solver = this.heatmapSolver.value;
+        return {
+            solver,
+            p_start: { x: this.p_start.x, y: this.p_start.y },
+            v0: { x: v0.x, y: v0.y },
+            // Like experimentBasic, Basic takes the x component as its speed towards the target
+            ...(solver === 'basic' && { initial_v: v0.x }),
+            a_max: this.getAMax(),
+            min: { x: min.x, y: min.y },
+            max: { x: max.x, y: max.y },
+            aspect: this.canvas.height / this.canvas.width
+        };
+    }
+
+    // Null when workers are not available, so that the page computes a coarse grid itself
+    getHeatmapWorker() {
+        if (this.heatmapWorker === undefined) {
+            try {
+                this.heatmapWorker = new Worker(new URL('./reachability.worker.js', import.meta.url), { type: 'module' });
+                this.heatmapWorker.onmessage = ({ data }) => {
+                    if (data.id !== this.heatmapJob?.id) return;
+                    this.heatmap = { params: data.params, grid: data.grid };
+                    this.render();
+                };
+                this.heatmapWorker.onerror = () => {
+                    this.heatmapWorker.terminate();
+                    this.heatmapWorker = null;
+                    this.heatmapJob = null;
+                    this.render();
+                };
+            } catch (error) {
+                this.heatmapWorker = null;
+            }
+        }
+        return this.heatmapWorker;
+    }
+
+    // Starts a new grid when the start state, solver or view changed
+    requestHeatmap() {
+        const params = this.heatmapParams();
+        const key = JSON.stringify(params);
+        if (this.heatmapJob?.key === key) return;
+        const id = (this.heatmapJob?.id ?? 0) + 1;
+        this.heatmapJob = { key, id };
+
+        const worker = this.getHeatmapWorker();
+        if (worker) {
+            worker.postMessage({ id, params, levels: HEATMAP_LEVELS });
+        } else {
+            const nx = HEATMAP_FALLBACK_CELLS;
+            this.fillHeatmap(id, { ...params, nx, ny: Math.max(1, Math.round(nx * params.aspect)) });
+        }
+    }
+
+    // Computes the grid on the page a few cells per animation frame, until a newer job replaces it
+    fillHeatmap(id, level) {
+        const grid = new Float64Array(level.nx * level.ny);
+        let k = 0;
+        const work = () => {
+            if (this.heatmapJob?.id !== id) return;
+            const deadline = performance.now() + HEATMAP_FALLBACK_BUDGET;
+            do {
+                grid[k] = timeToTargetCell(level, k % level.nx, Math.floor(k / level.nx));
+                k++;
+            } while (k < grid.length && performance.now() < deadline);
+            if (k < grid.length) {
+                requestAnimationFrame(work);
+                return;
+            }
+            this.heatmap = { params: level, grid };
+            this.render();
+        };
+        requestAnimationFrame(work);
+    }
+
+    // Blue for the fastest cells to red for the slowest on a log scale, or green within reach
+    heatmapImage(reachable_time) {
+        const { params, grid } = this.heatmap;
+        const key = String(reachable_time);
+        if (this.heatmap.image?.key === key) return this.heatmap.image.canvas;
+
+        const finite = Array.from(grid).filter(t => Number.isFinite(t) && t > 0);
+        const lo = Math.min(...finite);
+        const hi = Math.max(...finite);
+        const canvas = document.createElement('canvas');
+        canvas.width = params.nx;
+        canvas.height = params.ny;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(params.nx, params.ny);
+        grid.forEach((t, i) => {
+            if (!Number.isFinite(t)) return;
+            let rgb;
+            if (reachable_time !== null) {
+                if (t > reachable_time) return;
+                rgb = [46, 204, 113];
+            } else {
+                const u = hi > lo ? Math.log(Math.max(t, lo) / lo) / Math.log(hi / lo) : 0;
+                rgb = hslToRgb((1 - u) * 240, 0.7, 0.5);
+            }
+            image.data.set([...rgb, 110], i * 4);
+        });
+        ctx.putImageData(image, 0, 0);
+        this.heatmap.image = { key, canvas };
+        return canvas;
+    }
+
+    renderHeatmap() {
+        this.requestHeatmap();
+        if (!this.heatmap) return;
+        const { params, grid } = this.heatmap;
+        const reachable_time = this.reachableOnly.checked ? Number(this.reachableTime.value) : null;
+
+        // The grid covers the view it was computed for, which may have moved since
+        const corner = this.view.toScreen(new Vec2(params.min.x, params.min.y));
+        const size = new Vec2(params.max.x - params.min.x, params.max.y - params.min.y).mul(this.view.scale);
+        this.ctx.imageSmoothingEnabled = true;
+        this.ctx.drawImage(this.heatmapImage(reachable_time), corner.x, corner.y, size.x, size.y);
+
+        if (this.showIsochrones.checked || reachable_time !== null) {
+            const levels = reachable_time !== null ? [reachable_time] : isochroneLevels(grid);
+            for (const level of levels) {
+                const segments = isochroneSegments(params, grid, level);
+                const color = reachable_time !== null ? '#2ecc71' : 'rgba(255, 255, 255, 0.6)';
+                segments.forEach(([a, b]) => this.renderLine(a, b, color, reachable_time !== null ? 2 : 1));
+                if (segments.length > 0) {
+                    this.renderText(segments[Math.floor(segments.length / 2)][0], formatDuration(level), new Vec2(4, -4));
+                }
+            }
+        }
+        this.renderHudText(`Reachability: ${solvers[params.solver].label}, ${params.nx}×${params.ny} cells` +
+            (reachable_time !== null ? `, within ${formatDuration(reachable_time)}` : ''));
+    }
+
+    renderTrajectory(path) {
+        const n = 50;
+        const points = Array.from({length: n + 1}, (_, i) => {
+            const t = (path.t_max / n) * i;
+            return path.rocketPosition(t);
+        });
+
+        // Render trajectory path, in red if it flies through an obstacle
+        const collision = findCollision(path, this.obstacles);
+        this.renderPointLine(points, collision ? '#c0392b' : '#3498db', '#e74c3c');
+        this.renderCoastSegments(path);
+        if (collision) {
+            this.renderCircle(collision.position, '#c0392b', 6);
+            this.renderText(collision.position, `Collision at ${formatDuration(collision.t)}`, new Vec2(10, 20));
+        }
+
+        // Render current position
+        const currentTime = this.getTime() * path.t_max;
+        const currentPos = path.rocketPosition(currentTime);
+        const rocketAcc = path.rocketAcceleration(currentTime);
+        const envelope = this.getPathEnvelope(path);
+        // A ship with a main engine and RCS holds its heading and translates with the thrusters
+        const heading = envelope instanceof MainRcsEnvelope ? envelope.heading : path.rocketOrientation(currentTime);
+        if (envelope) {
+            this.renderEnvelope(currentPos, envelope);
+        }
+        this.renderShip(currentPos, heading, rocketAcc.length() > 0);
+
+        // Render velocity vector
+        const rocketVel = path.rocketVelocity(currentTime);
+        const velEnd = currentPos.add(rocketVel.mul(this.vel_scale));
+        this.renderLine(currentPos, velEnd, '#f1c40f', 2);
+
+        // Render thrust vector, a_max long thrust spans 40 pixels
+        const a_scale = envelope ? envelope.largest() : this.getAMax();
+        this.renderArrow(currentPos, rocketAcc.mul(40 / a_scale), '#e67e22', 2);
+
+        // Render start and end points with labels
+        this.renderCircle(this.p_start, '#e74c3c', 8);
+        this.renderText(this.p_start, 'Start', new Vec2(10, -10));
+        
+        this.renderCircle(this.p_end, '#3498db', 8);
+        this.renderText(this.p_end, 'End', new Vec2(10, -10));
+        
+        // Render time information
+        this.renderHudText(`Time: ${formatDuration(currentTime)}`);
+        this.renderHudText(`Max Time: ${formatDuration(path.t_max)}`);
+        this.renderHudText(`Distance: ${formatLength(this.p_end.sub(this.p_start).length())}`);
+        this.renderHudText(`Speed: ${formatSpeed(rocketVel.length())}`);
+        this.renderHudText(`Thrust: ${formatAcceleration(rocketAcc.length())}`);
+        this.renderHudText(`Delta-v: ${formatSpeed(path.deltaV())} ` +
+            `(burn ${formatDuration(path.burnTime())}, coast ${formatDuration(path.coastTime())})`);
+        if (this.solverPath(path) instanceof SlewingFlightPath) {
+            this.renderHudText(`Slewing: ${formatDuration(path.slewTime())}, ` +
+                `heading ${(path.rocketOrientation(currentTime) * 180 / Math.PI).toFixed(0)}°`);
+        }
+
+        const rocket = this.getRocket();
+        if (rocket) {
+            this.renderFuel(rocket, path, currentTime);
+        }
+        this.renderTimeline(path, currentTime);
+    }
+
+    // Draws the thrust envelope around the ship at the scale of the thrust vector
+    renderEnvelope(p, envelope) {
+        const center = this.view.toScreen(p);
+        const points = envelope.outline().map(a => center.add(a.mul(40 / envelope.largest())));
+        this.ctx.beginPath();
+        this.ctx.moveTo(points[0].x, points[0].y);
+        points.slice(1).forEach(q => this.ctx.lineTo(q.x, q.y));
+        this.ctx.closePath();
+        this.ctx.fillStyle = 'rgba(230, 126, 34, 0.15)';
+        this.ctx.fill();
+        this.ctx.strokeStyle = 'rgba(230, 126, 34, 0.6)';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+    }
+
+    // Draws the hull as a triangle with its nose along heading, and the exhaust while the engine burns
+    renderShip(position, heading, burning, color = '#2ecc71') {
+        const p = this.view.toScreen(position);
+        const forward = new Vec2(Math.cos(heading), Math.sin(heading));
+        const side = new Vec2(-forward.y, forward.x);
+        const tail = p.sub(forward.mul(8));
+        const outline = [p.add(forward.mul(14)), tail.add(side.mul(7)), tail.sub(side.mul(7))];
+
+        if (burning) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(tail.x + side.x * 4, tail.y + side.y * 4);
+            this.ctx.lineTo(tail.x - forward.x * 12, tail.y - forward.y * 12);
+            this.ctx.lineTo(tail.x - side.x * 4, tail.y - side.y * 4);
+            this.ctx.fillStyle = '#e67e22';
+            this.ctx.fill();
+        }
+        this.ctx.beginPath();
+        this.ctx.moveTo(outline[0].x, outline[0].y);
+        outline.slice(1).forEach(q => this.ctx.lineTo(q.x, q.y));
+        this.ctx.closePath();
+        this.ctx.fillStyle = color;
+        this.ctx.fill();
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+    }
+
+    // Draws the thrust phases as blocks along a time axis, coloured by thrust direction
+    renderTimeline(path, currentTime) {
+        const ctx = this.timelineCtx;
+        const { width, height } = this.timelineCanvas;
+        ctx.clearRect(0, 0, width, height);
+        if (!(path.t_max > 0)) return;
+
+        const scale = width / path.t_max;
+        for (const phase of path.phases) {
+            const angle = Math.atan2(phase.thrust.y, phase.thrust.x) * 180 / Math.PI;
+            // Slews in purple, other coasting in grey
+            ctx.fillStyle = phase.slew ? '#8e44ad'
+                : phase.thrust.length() > 0 ? `hsl(${(angle + 360) % 360}, 70%, 50%)` : '#95a5a6';
+            ctx.fillRect(phase.start * scale, 10, Math.max(phase.duration * scale, 1), height - 20);
+        }
+
+        // Current time cursor
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(currentTime * scale, 0);
+        ctx.lineTo(currentTime * scale, height);
+        ctx.stroke();
+    }
+
+    renderCoastSegments(path) {
+        if (!path.phases) return;
+        for (const phase of path.phases) {
+            if (phase.thrust.length() > 0 || phase.duration <= 0) continue;
+            const n = 20;
+            const points = Array.from({length: n + 1}, (_, i) => path.rocketPosition(phase.start + (phase.duration / n) * i));
+            for (let i = 0; i < n; i++) {
+                this.renderLine(points[i], points[i + 1], '#95a5a6', 3);
+            }
+        }
+    }
+
+    renderFuel(rocket, path, currentTime) {
+        const profile = rocket.evaluate(path);
+        const fuel = profile.fuelAt(currentTime);
+        this.renderHudText(`Fuel: ${fuel.toFixed(1)} / ${rocket.fuel_mass.toFixed(1)} kg ` +
+            `(a_max ${formatAcceleration(rocket.accelerationLimit(fuel))})`);
+        if (path instanceof RocketFlightPath) {
+            const stage = path.stageAt(currentTime);
+            this.renderHudText(`Stage ${path.stages.indexOf(stage) + 1} of ${path.stages.length}, ` +
+                `planned with a_max ${formatAcceleration(stage.a_max)}`);
+        }
+        if (profile.dry_at !== null) {
+            this.renderHudText(`Tank runs dry at ${formatDuration(profile.dry_at)}`);
+        } else if (profile.overloaded_at !== null) {
+            this.renderHudText(`Engine too weak at ${formatDuration(profile.overloaded_at)}`);
+        }
+
+        // Fuel over time graph in the top right corner
+        const box = { x: this.canvas.width - 220, y: 20, w: 200, h: 80 };
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(box.x, box.y, box.w, box.h);
+        // The graph stays put on the screen, so its points go through the view backwards
+        const toBox = (t, f) => this.view.toWorld(new Vec2(
+            box.x + (path.t_max > 0 ? t / path.t_max : 0) * box.w,
+            box.y + box.h * (1 - f / rocket.fuel_mass)
+        ));
+        const points = profile.times.map((t, i) => toBox(t, profile.fuel[i]));
+        this.renderPointLine(points, profile.ok ? '#2ecc71' : '#e74c3c', 'rgba(0, 0, 0, 0)');
+        this.renderCircle(toBox(currentTime, fuel), '#2ecc71', 4);
+        this.renderScreenText(new Vec2(box.x + 5, box.y + box.h + 20), 'Fuel over time');
+    }
+
+    cached(name, inputs, build) {
+        const key = JSON.stringify(inputs);
+        if (!this.cache[name] || this.cache[name].key !== key) {
+            this.cache[name] = { key, value: build() };
+        }
+        return this.cache[name].value;
+    }
+
+    getOptimalPath(p_start, p_end, a_max, v0) {
+        const OptimalPath = p_start instanceof Vec3 ? TimeOptimalFlightPath3D : TimeOptimalFlightPath;
+        return this.cached('optimal', [p_start, p_end, a_max, v0],
+            () => new OptimalPath(p_start, p_end, a_max, v0));
+    }
+
+    renderOptimalOverlay(path) {
+        // Only paths that end at rest can be compared with the time-optimal solution
+        if (path.rocketVelocity(path.t_max).length() > 1e-9) return;
+        // which assumes the same a_max in every direction and throughout the flight
+        if (this.getPathEnvelope(path) || path instanceof RocketFlightPath) return;
+
+        const optimal = this.getOptimalPath(
+            path.rocketPosition(0), path.rocketPosition(path.t_max), this.getAMax(), path.rocketVelocity(0)
+        );
+        // A solver that failed falls back to the heuristic path, whose zero gap would mean nothing
+        if (optimal.converged === false) {
+            this.renderHudText('Optimal Time: not converged');
+            return;
+        }
+        const n = 50;
+        const points = Array.from({length: n + 1}, (_, i) => optimal.rocketPosition((optimal.t_max / n) * i));
+        this.renderPointLine(points, 'rgba(26, 188, 156, 0.8)', '#1abc9c');
+
+        // Both ships share the absolute clock of the displayed path
+        const currentTime = this.getTime() * path.t_max;
+        this.renderCircle(optimal.rocketPosition(currentTime), '#1abc9c', 5);
+
+        const gap = path.t_max - optimal.t_max;
+        const percent = optimal.t_max > 0 ? (gap / optimal.t_max) * 100 : 0;
+        this.renderHudText(`Optimal Time: ${formatDuration(optimal.t_max)} ` +
+            `(gap: +${formatDuration(gap)}, +${percent.toFixed(1)}%)`);
+    }
+
+    // With an attitude model the ship starts pointed along its velocity and slews before burning
+    slewingPath(p_start, v0, a_max, heading0) {
+        heading0 ??= v0.length() > 0 ? Math.atan2(v0.y, v0.x) : null;
+        return new SlewingFlightPath(p_start, this.p_end, a_max, v0, this.getAttitude(), heading0);
+    }
+
+    /**
+     * Flies plan(p_start, v0, a_max, heading) from the start. With the rocket
+     * model it plans again in stages, as the burned fuel raises a_max.
+     */
+    planFlight(v0, plan) {
+        const rocket = this.getRocket();
+        return rocket ? new RocketFlightPath(rocket, this.p_start, v0, plan) : plan(this.p_start, v0, this.getAMax(), null);
+    }
+
+    experimentBasic() {
+        const initial_v = this.click_pos.sub(this.p_start).x / this.vel_scale;
+        const attitude = this.getAttitude();
+        return this.planFlight(this.p_end.sub(this.p_start).normOrZero().mul(initial_v), (p, v, a_max, heading) => {
+            if (attitude) return this.slewingPath(p, v, a_max, heading);
+            // Later stages start on the line, with the speed along it
+            const speed = heading === null ? initial_v : v.dot(this.p_end.sub(p).normOrZero());
+            return new DirectedInitialVFlightPath(p, this.p_end, this.getThrustLimit(a_max), speed);
+        });
+    }
+
+    experimentBetter() {
+        const initial_v = this.click_pos.sub(this.p_start).div(this.vel_scale);
+        const attitude = this.getAttitude();
+        return this.planFlight(initial_v, (p, v, a_max, heading) => attitude
+            ? this.slewingPath(p, v, a_max, heading)
+            : new InitialVFlightPath(p, this.p_end, this.getThrustLimit(a_max), v));
+    }
+
+    experimentRendezvous() {
+        const a_max = this.getThrustLimit();
+        const initial_v = this.click_pos.sub(this.p_start).div(this.vel_scale);
+        return new RendezvousFlightPath(this.p_start, this.p_end, a_max, initial_v, this.v_end);
+    }
+
+    renderRendezvousTarget(path) {
+        // The target passes through p_end at t_max, so trace where it comes from
+        const currentTime = this.getTime() * path.t_max;
+        const targetStart = this.p_end.sub(this.v_end.mul(path.t_max));
+        const targetPos = this.p_end.sub(this.v_end.mul(path.t_max - currentTime));
+        this.renderLine(targetStart, this.p_end, 'rgba(155, 89, 182, 0.6)', 1);
+        this.renderCircle(targetPos, '#9b59b6', 6);
+        this.renderTargetVelocityHandle();
+    }
+
+    renderTargetVelocityHandle() {
+        const handle = this.targetVelocityHandle();
+        this.renderLine(this.p_end, handle, '#9b59b6', 2);
+        this.renderCircle(handle, '#9b59b6', 4);
+        this.renderHudText(`Target Speed: ${formatSpeed(this.v_end.length())}`);
+    }
+
+    experimentIntercept() {
+        const a_max = this.getThrustLimit();
+        const initial_v = this.click_pos.sub(this.p_start).div(this.vel_scale);
+        const target = { position: this.p_end, velocity: this.v_end };
+        return new InterceptFlightPath(this.p_start, target, a_max, initial_v);
+    }
+
+    renderInterceptTarget(path) {
+        // Render the target's own trajectory up to the meeting point
+        const n = 50;
+        const points = Array.from({length: n + 1}, (_, i) => path.target.rocketPosition((path.t_max / n) * i));
+        this.renderPointLine(points, 'rgba(155, 89, 182, 0.6)', '#9b59b6');
+
+        const currentTime = this.getTime() * path.t_max;
+        this.renderCircle(path.target.rocketPosition(currentTime), '#9b59b6', 6);
+
+        // Render meeting point
+        const m = path.meeting_point;
+        const cross = new Vec2(8, 8).div(this.view.scale);
+        this.renderArrow(m.sub(cross), new Vec2(16, 16), '#e67e22', 3);
+        this.renderArrow(m.add(new Vec2(-cross.x, cross.y)), new Vec2(16, -16), '#e67e22', 3);
+        this.renderText(m, 'Intercept', new Vec2(10, 20));
+
+        this.renderTargetVelocityHandle();
+    }
+
+    experimentRoute() {
+        const a_max = this.getAMax();
+        const initial_v = this.click_pos.sub(this.p_start).div(this.vel_scale);
+        const waypoints = [...this.waypoints, { position: this.p_end, stop: true }];
+        return new Route(this.p_start, waypoints, a_max, initial_v);
+    }
+
+    renderRouteWaypoints(path) {
+        path.legs.forEach((leg, i) => {
+            const waypoint = path.waypoints[i];
+            const t_end = path.leg_starts[i] + leg.t_max;
+            if (i < this.waypoints.length) {
+                // Stop waypoints are drawn larger
+                this.renderCircle(waypoint.position, '#e67e22', waypoint.stop ? 8 : 6);
+            }
+            this.renderText(waypoint.position,
+                `Leg ${i + 1}: ${formatDuration(leg.t_max)} (t=${formatDuration(t_end)})`, new Vec2(10, 20));
+        });
+    }
+
+    experimentAvoid() {
+        const a_max = this.getAMax();
+        const initial_v = this.click_pos.sub(this.p_start).div(this.vel_scale);
+        return this.cached('avoid', [this.p_start, this.p_end, a_max, initial_v, this.obstacles],
+            () => new AvoidingFlightPath(this.p_start, this.p_end, a_max, initial_v, this.obstacles));
+    }
+
+    renderAvoidWaypoints(path) {
+        path.waypoints.forEach(p => this.renderCircle(p, '#e67e22', 4));
+        if (path.collides) {
+            this.renderHudText('No clear route found');
+        }
+    }
+
+    experimentGravity() {
+        const a_max = this.getAMax();
+        const initial_v = this.click_pos.sub(this.p_start).div(this.vel_scale);
+        return this.cached('gravity', [this.p_start, this.p_end, a_max, initial_v, this.bodies],
+            () => new GravityFlightPath(this.p_start, this.p_end, a_max, initial_v, this.bodies));
+    }
+
+    renderBodies(path) {
+        for (const body of this.bodies) {
+            // The dashed ring marks where gravity equals a_max
+            const center = this.view.toScreen(body.position);
+            this.ctx.beginPath();
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.arc(center.x, center.y, Math.sqrt(body.mu / this.getAMax()) * this.view.scale, 0, Math.PI * 2, false);
+            this.ctx.strokeStyle = 'rgba(230, 126, 34, 0.5)';
+            this.ctx.lineWidth = 1;
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            this.ctx.closePath();
+
+            this.renderCircle(body.position, '#d35400', Math.max(2, body.radius * this.view.scale));
+        }
+
+        if (path.crashed) {
+            this.renderHudText('Crashed into a body');
+        } else if (!path.converged) {
+            this.renderHudText(`Target not reached, miss distance: ${formatLength(path.miss_distance)}`);
+        }
+    }
+
+    getGuidanceOptions() {
+        const [replan_interval, disturbance, misalignment, position_noise, velocity_noise, seed] =
+            this.guidanceInputs.map(input => Number(input.value));
+        return {
+            replan_interval: Math.max(replan_interval, 0.01),
+            disturbance,
+            misalignment: misalignment * Math.PI / 180,
+            position_noise,
+            velocity_noise,
+            seed
+        };
+    }
+
+    experimentGuidance() {
+        const a_max = this.getAMax();
+        const initial_v = this.click_pos.sub(this.p_start).div(this.vel_scale);
+        const options = this.getGuidanceOptions();
+        return this.cached('guidance', [this.p_start, this.p_end, a_max, initial_v, options],
+            () => new GuidedFlightPath(this.p_start, this.p_end, a_max, initial_v, options));
+    }
+
+    renderGuidanceInfo(path) {
+        // Commanded path as planned before the first disturbance
+        const nominal = path.nominal_path;
+        const n = 50;
+        const points = Array.from({length: n + 1}, (_, i) => nominal.rocketPosition((nominal.t_max / n) * i));
+        for (let i = 0; i < n; i++) {
+            this.renderLine(points[i], points[i + 1], 'rgba(236, 240, 241, 0.6)', 1);
+        }
+        path.replans.forEach(replan => this.renderCircle(replan.position, '#9b59b6', 2));
+
+        this.renderHudText(`Commanded Time: ${formatDuration(nominal.t_max)}, replans: ${path.replans.length}`);
+        this.renderHudText(`Miss Distance: ${formatLength(path.miss_distance)}, final speed: ${formatSpeed(path.final_speed)}`);
+        if (!path.converged) {
+            this.renderHudText(`Target not reached within ${formatLength(path.arrival_distance)} ` +
+                `and ${formatSpeed(path.arrival_speed)}`);
+        }
+    }
+
+    experimentSpace3d() {
+        const a_max = this.getAMax();
+        const [start_z, end_z, vz] = this.space3dInputs.map(input => Number(input.value));
+        const initial_v = this.click_pos.sub(this.p_start).div(this.vel_scale);
+        return new InitialVFlightPath3D(
+            new Vec3(this.p_start.x, this.p_start.y, start_z),
+            new Vec3(this.p_end.x, this.p_end.y, end_z),
+            a_max,
+            new Vec3(initial_v.x, initial_v.y, vz)
+        );
+    }
+
+    renderSpace3dInfo(path) {
+        const currentTime = this.getTime() * path.t_max;
+        this.renderHudText(`Height: ${formatLength(path.rocketPosition(currentTime).z)} ` +
+            `(vertical speed ${formatSpeed(path.rocketVelocity(currentTime).z)})`);
+    }
+
+    experimentFleet() {
+        const shape = this.formationShape.value;
+        const [spacing, min_separation] = this.fleetInputs.map(input => Number(input.value));
+        // Detours take too long to replan on every mouse move, so a drag only shows the conflicts
+        const detours = !this.drag;
+        this.fleetPlan = this.cached('fleet', [this.fleet, this.p_end, shape, spacing, min_separation, detours], () => {
+            // The formation faces away from where the ships come from
+            const centroid = this.fleet.reduce((sum, ship) => sum.add(ship.p_start), Vec2.zero).div(this.fleet.length);
+            const facing = this.p_end.sub(centroid);
+            const slots = formationSlots(shape, this.p_end, this.fleet.length, spacing, Math.atan2(facing.y, facing.x));
+            const assignment = assignTargets(this.fleet, slots);
+            return new FleetPlan(this.fleet, assignment.map(i => slots[i]), { min_separation, detours });
+        });
+        this.fleetPlan.paths.forEach(checkPath);
+        // Export, the timeline and the 3D view follow the first ship
+        return this.fleetPlan.paths[0];
+    }
+
+    // Draws every ship with its path in its own colour, and the conflicts in red
+    renderFleet(plan) {
+        const currentTime = this.getTime() * plan.t_arrival;
+        const n = 50;
+        plan.paths.forEach((path, i) => {
+            const color = `hsl(${(i * 360) / plan.paths.length}, 70%, 60%)`;
+            const points = Array.from({length: n + 1}, (_, k) => path.rocketPosition((path.t_max / n) * k));
+            this.renderPointLine(points, color, 'rgba(0, 0, 0, 0)');
+            if (plan.detours[i]) {
+                this.renderCircle(plan.detours[i], color, 4);
+            }
+            this.renderCircle(plan.ships[i].p_start, color, 6);
+            this.renderCircle(plan.targets[i], color, 4);
+
+            const position = path.rocketPosition(currentTime);
+            const thrust = path.rocketAcceleration(currentTime);
+            this.renderShip(position, path.rocketOrientation(currentTime), thrust.length() > 0);
+            this.renderLine(position, position.add(path.rocketVelocity(currentTime).mul(this.vel_scale)), '#f1c40f', 2);
+            this.renderArrow(position, thrust.mul(40 / plan.ships[i].a_max), '#e67e22', 2);
+            this.renderText(plan.ships[i].p_start, `${i + 1}`, new Vec2(10, -10));
+        });
+        this.renderCircle(this.p_end, '#27ae60', 4);
+
+        for (const conflict of plan.conflicts) {
+            this.renderCircle(conflict.position, '#c0392b', 8);
+            this.renderText(conflict.position,
+                `Ships ${conflict.ships.map(i => i + 1).join(' and ')} ${formatLength(conflict.distance)} apart ` +
+                `at ${formatDuration(conflict.t)}`, new Vec2(10, 20));
+        }
+
+        this.renderHudText(`Time: ${formatDuration(currentTime)}`);
+        this.renderHudText(`Arrival: ${formatDuration(plan.t_arrival)} for ${plan.paths.length} ships`);
+        plan.paths.forEach((path, i) => {
+            this.renderHudText(`Ship ${i + 1}: a ${path.a_used.toFixed(2)} of ${formatAcceleration(plan.ships[i].a_max)}` +
+                (plan.detours[i] ? ', detour' : '') + (path.wait_time > 1e-9 ? `, waits ${formatDuration(path.wait_time)}` : ''));
+        });
+        this.renderHudText(`Conflicts: ${plan.conflicts.length}` +
+            (this.drag && plan.conflicts.length > 0 ? ' (detours are planned on release)' : ''));
+        // No detour helps these, only other slots or start positions
+        for (const { ships: [i, j], end, distance } of plan.unavoidable) {
+            this.renderHudText(`Ships ${i + 1} and ${j + 1} ${end === 'start' ? 'start' : 'end'} ` +
+                `${formatLength(distance)} apart, closer than the minimum separation`);
+        }
+        this.renderTimeline(plan.paths[0], currentTime);
+    }
+
+    getCompareSolvers() {
+        return this.compareChecks.filter(input => input.checked).map(input => input.value);
+    }
+
+    // Each solver keeps its colour whichever others are compared with it
+    compareColor(name) {
+        const names = Object.keys(solvers);
+        return `hsl(${30 + (names.indexOf(name) * 360) / names.length}, 70%, 60%)`;
+    }
+
+    experimentCompare() {
+        const a_max = this.getAMax();
+        const initial_v = this.click_pos.sub(this.p_start).div(this.vel_scale);
+        const names = this.getCompareSolvers();
+        if (names.length === 0) {
+            throw new InvalidInputError('Check at least one solver to compare');
+        }
+        this.comparison = this.cached('compare', [names, this.p_start, this.p_end, a_max, initial_v],
+            () => compareSolvers(names, this.p_start, this.p_end, a_max, initial_v));
+        const flown = this.comparison.find(entry => entry.path);
+        if (!flown) throw this.comparison[0].error;
+        // Export, the timeline and the 3D view follow the first solver
+        return flown.path;
+    }
+
+    // Draws every solver's path and ship in its own colour, all on the clock of the slowest
+    renderComparison(comparison) {
+        const flown = comparison.filter(entry => entry.path);
+        const t_end = Math.max(...flown.map(entry => entry.path.t_max));
+        const currentTime = this.getTime() * t_end;
+        const n = 50;
+        for (const entry of flown) {
+            const { path } = entry;
+            const color = this.compareColor(entry.name);
+            const points = Array.from({length: n + 1}, (_, i) => path.rocketPosition((path.t_max / n) * i));
+            this.renderPointLine(points, color, 'rgba(0, 0, 0, 0)');
+
+            // Ships that have arrived wait at the end point
+            const t = Math.min(currentTime, path.t_max);
+            const position = path.rocketPosition(t);
+            const thrust = t < path.t_max ? path.rocketAcceleration(t) : Vec2.zero;
+            this.renderShip(position, path.rocketOrientation(t), thrust.length() > 0, color);
+            this.renderLine(position, position.add(path.rocketVelocity(t).mul(this.vel_scale)), '#f1c40f', 2);
+            this.renderArrow(position, thrust.mul(40 / this.getAMax()), '#e67e22', 2);
+            this.renderText(position, entry.label, new Vec2(12, 20));
+        }
+
+        this.renderCircle(this.p_start, '#e74c3c', 8);
+        this.renderText(this.p_start, 'Start', new Vec2(10, -10));
+        this.renderCircle(this.p_end, '#3498db', 8);
+        this.renderText(this.p_end, 'End', new Vec2(10, -10));
+
+        this.renderHudText(`Time: ${formatDuration(currentTime)} of ${formatDuration(t_end)}`);
+        for (const entry of comparison.filter(entry => entry.error)) {
+            this.renderHudText(`${entry.label}: ${entry.error.message}`);
+        }
+        this.renderTimeline(flown[0].path, Math.min(currentTime, flown[0].path.t_max));
+        this.renderSpeedChart(flown, currentTime, t_end);
+        this.renderCompareTable(comparison);
+    }
+
+    // Speed over time of every compared path, with the shared clock as a cursor
+    renderSpeedChart(entries, currentTime, t_end) {
+        const ctx = this.speedChartCtx;
+        const { width, height } = this.speedChartCanvas;
+        ctx.clearRect(0, 0, width, height);
+        const box = { x: 70, y: 10, w: width - 90, h: height - 40 };
+        const v_top = Math.max(...entries.map(entry => entry.metrics.peak_speed)) * 1.1 || 1;
+        const toChart = (t, v) => new Vec2(box.x + (t_end > 0 ? t / t_end : 0) * box.w, box.y + box.h * (1 - v / v_top));
+
+        ctx.font = '12px Arial';
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        const speed_step = niceStep(v_top / 4);
+        ctx.textAlign = 'right';
+        for (let v = 0; v <= v_top; v += speed_step) {
+            const p = toChart(0, v);
+            ctx.beginPath();
+            ctx.moveTo(box.x, p.y);
+            ctx.lineTo(box.x + box.w, p.y);
+            ctx.stroke();
+            ctx.fillText(formatSpeed(v), box.x - 6, p.y + 4);
+        }
+        ctx.textAlign = 'center';
+        if (t_end > 0) {
+            const time_step = niceStep(t_end / 8);
+            for (let t = 0; t <= t_end; t += time_step) {
+                ctx.fillText(formatDuration(t), toChart(t, 0).x, box.y + box.h + 18);
+            }
+        }
+        ctx.textAlign = 'left';
+
+        // The ships rest at the end point after they arrive
+        const n = 200;
+        for (const { name, path } of entries) {
+            const points = Array.from({length: n + 1}, (_, i) => {
+                const t = (path.t_max / n) * i;
+                return toChart(t, path.rocketVelocity(t).length());
+            });
+            points.push(toChart(t_end, 0));
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.strokeStyle = this.compareColor(name);
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+
+        const cursor = toChart(currentTime, 0).x;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(cursor, box.y);
+        ctx.lineTo(cursor, box.y + box.h);
+        ctx.stroke();
+    }
+
+    // One row per solver, with the lowest value of each column in bold
+    renderCompareTable(comparison) {
+        const columns = [
+            ['t_max', formatDuration],
+            ['delta_v', formatSpeed],
+            ['peak_speed', formatSpeed],
+            ['max_deviation', formatLength]
+        ];
+        const flown = comparison.filter(entry => entry.metrics);
+        const best = Object.fromEntries(columns.map(([key]) =>
+            [key, Math.min(...flown.map(entry => entry.metrics[key]))]));
+
+        this.compareTableBody.replaceChildren(...comparison.map(entry => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            const swatch = document.createElement('span');
+            swatch.className = 'swatch';
+            swatch.style.background = this.compareColor(entry.name);
+            name.append(swatch, entry.label);
+            row.appendChild(name);
+            if (!entry.metrics) {
+                const cell = document.createElement('td');
+                cell.colSpan = columns.length;
+                cell.textContent = entry.error.message;
+                row.appendChild(cell);
+                return row;
+            }
+            for (const [key, format] of columns) {
+                const cell = document.createElement('td');
+                cell.textContent = format(entry.metrics[key]);
+                // Equal up to rounding counts as the best too
+                if (flown.length > 1 && entry.metrics[key] <= best[key] * (1 + 1e-9) + 1e-12) {
+                    cell.style.fontWeight = 'bold';
+                }
+                row.appendChild(cell);
+            }
+            return row;
+        }));
+    }
+
+    // Perspective view of the path, with the 2D canvas as the z = 0 ground plane
+    renderView3d(path) {
+        const ctx = this.view3dCtx;
+        const { width, height } = this.view3dCanvas;
+        ctx.clearRect(0, 0, width, height);
+        const project = p => this.camera.project(p, width, height);
+        const line = (p1, p2, color, lineWidth = 1) => {
+            const a = project(p1);
+            const b = project(p2);
+            if (!a || !b) return;
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = lineWidth;
+            ctx.stroke();
+        };
+        const dot = (p, color, radius) => {
+            const a = project(p);
+            if (!a) return;
+            // Nearer points are drawn larger
+            ctx.beginPath();
+            ctx.arc(a.x, a.y, Math.min(radius * this.camera.distance / a.depth, 4 * radius), 0, Math.PI * 2);
+            ctx.fillStyle = color;
+            ctx.fill();
+        };
+
+        // The ground grid covers what the canvas shows, with axes one grid step long at its corner
+        const { min, max } = this.view.bounds();
+        const step = this.view.gridStep(100);
+        const x0 = Math.floor(min.x / step) * step;
+        const y0 = Math.floor(min.y / step) * step;
+        for (let x = x0; x <= max.x + step; x += step) {
+            line(new Vec3(x, y0, 0), new Vec3(x, max.y + step, 0), 'rgba(255, 255, 255, 0.1)');
+        }
+        for (let y = y0; y <= max.y + step; y += step) {
+            line(new Vec3(x0, y, 0), new Vec3(max.x + step, y, 0), 'rgba(255, 255, 255, 0.1)');
+        }
+        const origin = new Vec3(x0, y0, 0);
+        line(origin, origin.add(new Vec3(step, 0, 0)), '#e74c3c', 2);
+        line(origin, origin.add(new Vec3(0, step, 0)), '#2ecc71', 2);
+        line(origin, origin.add(new Vec3(0, 0, step)), '#3498db', 2);
+        for (const obstacle of this.obstacles) {
+            const ring = Array.from({length: 33}, (_, i) => obstacle.center.add(
+                new Vec2(Math.cos(i * Math.PI / 16), Math.sin(i * Math.PI / 16)).mul(obstacle.radius)));
+            ring.slice(1).forEach((p, i) => line(ring[i], p, 'rgba(149, 165, 166, 0.8)'));
+        }
+
+        ctx.font = '14px Arial';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillText('Drag to orbit, scroll to zoom, double-click to reset', 10, height - 10);
+        if (!path) return;
+
+        // Trajectory in blue, grey while coasting, with drop lines to the ground for depth
+        const n = 100;
+        const points = Array.from({length: n + 1}, (_, i) => path.rocketPosition((path.t_max / n) * i));
+        for (let i = 0; i < n; i++) {
+            const coasting = path.rocketAcceleration((path.t_max / n) * (i + 0.5)).length() === 0;
+            line(points[i], points[i + 1], coasting ? '#95a5a6' : '#3498db', 2);
+        }
+        for (let i = 0; i <= n; i += 10) {
+            line(points[i], new Vec3(points[i].x, points[i].y, 0), 'rgba(255, 255, 255, 0.2)');
+        }
+        dot(points[0], '#e74c3c', 6);
+        dot(points[n], '#3498db', 6);
+
+        const currentTime = this.getTime() * path.t_max;
+        const currentPos = path.rocketPosition(currentTime);
+        line(currentPos, currentPos.add(path.rocketVelocity(currentTime).mul(this.vel_scale)), '#f1c40f', 2);
+        // As long as on the canvas
+        const thrust_scale = 40 / this.view.scale / this.getAMax();
+        line(currentPos, currentPos.add(path.rocketAcceleration(currentTime).mul(thrust_scale)), '#e67e22', 2);
+        dot(currentPos, '#2ecc71', 5);
+    }
+
+    getFuelWeight() {
+        return this.fuelWeightRange.value / 100;
+    }
+
+    experimentCoast() {
+        const a_max = this.getAMax();
+        const direction = this.p_end.sub(this.p_start).normOrZero();
+        const initial_v = this.click_pos.sub(this.p_start).dot(direction) / this.vel_scale;
+        return timeFuelTradeoffPath(this.p_start, this.p_end, a_max, initial_v, this.getFuelWeight());
+    }
+
+    renderCoastInfo(path) {
+        this.renderHudText(`Time/Fuel Weight: ${this.getFuelWeight().toFixed(2)} ` +
+            `(fastest possible: ${formatDuration(path.t_min)})`);
+    }
+
+    experimentMove() {
+        const a_max = this.getThrustLimit();
+        if (!this.click_pos.equals(this.p_end)) {
+            const cur_path = new InitialVFlightPath(this.p_start, this.p_end, a_max, this.last_vel);
+            const currentTime = this.getTime() * cur_path.t_max;
+            this.p_start = cur_path.rocketPosition(currentTime);
+            this.last_vel = cur_path.rocketVelocity(currentTime);
+            this.p_end = this.click_pos;
+        }
+        return new InitialVFlightPath(this.p_start, this.p_end, a_max, this.last_vel);
+    }
+
+    experimentPilot() {
+        const a_max = this.getAMax();
+        const v0 = this.click_pos.sub(this.p_start).div(this.vel_scale);
+        // Moving the start, end or initial velocity begins a new flight
+        this.pilot = this.cached('pilot', [this.p_start, this.p_end, a_max, v0],
+            () => new PilotFlight(this.p_start, this.p_end, a_max, v0));
+        return this.pilot.reference;
+    }
+
+    renderPilot(pilot) {
+        // The solver's flight from the start, faintly, under the track flown so far
+        const reference = pilot.reference;
+        const n = 50;
+        const points = Array.from({length: n + 1}, (_, i) => reference.rocketPosition((reference.t_max / n) * i));
+        this.renderPointLine(points, 'rgba(52, 152, 219, 0.4)', 'rgba(0, 0, 0, 0)');
+        if (pilot.autopilot) {
+            const { plan, start } = pilot.autopilot;
+            const ahead = Array.from({length: n + 1}, (_, i) =>
+                plan.rocketPosition(pilot.t - start + ((plan.t_max - pilot.t + start) / n) * i));
+            this.renderPointLine(ahead, 'rgba(155, 89, 182, 0.8)', 'rgba(0, 0, 0, 0)');
+        }
+        // Long flights are thinned out to keep drawing fast
+        const stride = Math.ceil(pilot.positions.length / 500);
+        const track = pilot.positions.filter((_, i) => i % stride === 0);
+        this.renderPointLine([...track, pilot.position], '#2ecc71', 'rgba(0, 0, 0, 0)');
+
+        // The arrival circle
+        const end = this.view.toScreen(this.p_end);
+        this.ctx.beginPath();
+        this.ctx.arc(end.x, end.y, pilot.arrival_distance * this.view.scale, 0, Math.PI * 2);
+        this.ctx.strokeStyle = pilot.arrived ? '#2ecc71' : 'rgba(52, 152, 219, 0.8)';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+
+        this.renderShip(pilot.position, pilot.heading, pilot.thrust.length() > 0);
+        this.renderLine(pilot.position, pilot.position.add(pilot.velocity.mul(this.vel_scale)), '#f1c40f', 2);
+        this.renderArrow(pilot.position, pilot.thrust.mul(40 / pilot.a_max), '#e67e22', 2);
+        this.renderCircle(this.p_start, '#e74c3c', 8);
+        this.renderText(this.p_start, 'Start', new Vec2(10, -10));
+        this.renderCircle(this.p_end, '#3498db', 8);
+        this.renderText(this.p_end, 'End', new Vec2(10, -10));
+
+        if (!pilot.launched) {
+            this.renderHudText('Thrust with the arrow keys, WASD or a gamepad, or press P for the autopilot');
+        }
+        this.renderHudText(`Time: ${formatDuration(pilot.t)}` +
+            (pilot.autopilot_time > 0 ? ` (autopilot ${formatDuration(pilot.autopilot_time)})` : '') +
+            (pilot.autopilot ? ', autopilot flying' : ''));
+        this.renderHudText(`Distance to End: ${formatLength(pilot.position.sub(this.p_end).length())}`);
+        this.renderHudText(`Speed: ${formatSpeed(pilot.velocity.length())} ` +
+            `(arrive below ${formatSpeed(pilot.arrival_speed)})`);
+        this.renderHudText(`Thrust: ${formatAcceleration(pilot.thrust.length())}`);
+        this.renderHudText(`Delta-v: ${formatSpeed(pilot.delta_v)}`);
+        this.renderHudText(`Solver: ${formatDuration(reference.t_max)}, delta-v ${formatSpeed(reference.deltaV())}`);
+        if (pilot.arrived) {
+            const percent = (value, best) => {
+                const change = best > 0 ? (value / best - 1) * 100 : 0;
+                return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+            };
+            this.renderHudText(`Arrived in ${formatDuration(pilot.arrived_at)} ` +
+                `(${percent(pilot.arrived_at, reference.t_max)}), delta-v ${formatSpeed(pilot.delta_v)} ` +
+                `(${percent(pilot.delta_v, reference.deltaV())}) against the solver`);
+        }
+
+        const rocket = this.getRocket();
+        if (rocket) {
+            this.renderHudText(`Fuel: ${rocket.fuelForDeltaV(pilot.delta_v).toFixed(1)} kg ` +
+                `(solver ${rocket.fuelForDeltaV(reference.deltaV()).toFixed(1)} kg) of ${rocket.fuel_mass.toFixed(1)} kg`);
+        }
+        this.renderTimeline(reference, Math.min(pilot.t, reference.t_max));
+    }
+
+    render() {
+        // Clear canvas
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.hudLine = 0;
+        
+        // Draw grid
+        this.drawGrid();
+        
+        // Render appropriate experiment
+        const experiment = this.getExperiment();
+        this.comparePanel.hidden = experiment !== 'compare';
+        try {
+            // The heatmap and obstacles need a_max, which an invalid rocket model cannot give
+            if (this.showHeatmap.checked && experiment !== 'fleet') {
+                this.renderHeatmap();
+            }
+            this.renderObstacles();
+
+            // Draw guide line
+            if (experiment !== 'fleet') {
+                this.renderLine(this.p_start, this.click_pos, '#27ae60', 1);
+            }
+
+            let path;
+            switch (experiment) {
+                case 'basic':
+                    path = this.experimentBasic();
+                    break;
+                case 'better':
+                    path = this.experimentBetter();
+                    break;
+                case 'move':
+                    path = this.experimentMove();
+                    break;
+                case 'rendezvous':
+                    path = this.experimentRendezvous();
+                    break;
+                case 'intercept':
+                    path = this.experimentIntercept();
+                    break;
+                case 'route':
+                    path = this.experimentRoute();
+                    break;
+                case 'avoid':
+                    path = this.experimentAvoid();
+                    break;
+                case 'gravity':
+                    path = this.experimentGravity();
+                    break;
+                case 'coast':
+                    path = this.experimentCoast();
+                    break;
+                case 'guidance':
+                    path = this.experimentGuidance();
+                    break;
+                case 'space3d':
+                    path = this.experimentSpace3d();
+                    break;
+                case 'fleet':
+                    path = this.experimentFleet();
+                    break;
+                case 'compare':
+                    path = this.experimentCompare();
+                    break;
+                case 'pilot':
+                    path = this.experimentPilot();
+                    break;
+                default:
+                    path = this.experimentBasic();
+            }
+            checkPath(path);
+
+            this.currentPath = path;
+            if (experiment === 'fleet') {
+                this.renderFleet(this.fleetPlan);
+            } else if (experiment === 'compare') {
+                this.renderComparison(this.comparison);
+            } else if (experiment === 'pilot') {
+                this.renderPilot(this.pilot);
+            } else {
+                this.renderTrajectory(path);
+            }
+            if (experiment === 'rendezvous') {
+                this.renderRendezvousTarget(path);
+            } else if (experiment === 'intercept') {
+                this.renderInterceptTarget(path);
+            } else if (experiment === 'route') {
+                this.renderRouteWaypoints(path);
+            } else if (experiment === 'avoid') {
+                this.renderAvoidWaypoints(path);
+            } else if (experiment === 'gravity') {
+                this.renderBodies(path);
+            } else if (experiment === 'coast') {
+                this.renderCoastInfo(path);
+            } else if (experiment === 'guidance') {
+                this.renderGuidanceInfo(path);
+            } else if (experiment === 'space3d') {
+                this.renderSpace3dInfo(path);
+            }
+
+            // Fleet ships each have their own a_max, the comparison can include the optimal solver itself,
+            // and the pilot flies on its own clock
+            if (this.showOptimal.checked && !['fleet', 'compare', 'pilot'].includes(experiment)) {
+                this.renderOptimalOverlay(path);
+            }
+            this.renderView3d(path);
+        } catch (error) {
+            // Show solver errors instead of a blank path
+            if (!(error instanceof TrajectoryError)) throw error;
+            this.currentPath = null;
+            this.timelineCtx.clearRect(0, 0, this.timelineCanvas.width, this.timelineCanvas.height);
+            this.renderView3d(null);
+            this.renderWarning(`${error.name}: ${error.message}`);
+        }
+        this.updateTargetDistance();
+        this.scheduleHashUpdate();
     }
 }
 
@@ -0,0 +1,132 @@
+import {
+    Vec2, FlightPath, InitialVFlightPath, DegenerateGeometryError, requireFiniteVec, requirePositive
+} from './trajectory.js';
+import { Route } from './route.js';
+
+/**
+ * Circular keep-out zone, e.g. a planet or asteroid
+ */
+class CircleObstacle {
+    constructor(center, radius) {
+        requireFiniteVec(center, 'center');
+        requirePositive(radius, 'radius');
+        this.center = center;
+        this.radius = radius;
+    }
+
+    contains(p) {
+        return p.sub(this.center).length() < this.radius;
+    }
+
+    // Points just outside the obstacle that a route can pass through
+    candidateWaypoints(margin) {
+        const n = 12;
+        return Array.from({length: n}, (_, i) => {
+            const angle = (2 * Math.PI * i) / n;
+            return this.center.add(new Vec2(Math.cos(angle), Math.sin(angle)).mul(this.radius + margin));
+        });
+    }
+}
+
+/**
+ * Polygonal keep-out zone given by its corner points
+ */
+class PolygonObstacle {
+    constructor(points) {
+        if (points.length < 3) throw new DegenerateGeometryError('A polygon needs at least 3 points');
+        points.forEach((p, i) => requireFiniteVec(p, `points[${i}]`));
+        this.points = points;
+        this.center = points.reduce((sum, p) => sum.add(p), Vec2.zero).div(points.length);
+    }
+
+    contains(p) {
+        // Even-odd rule: count edges crossed by a ray in +x direction
+        let inside = false;
+        for (let i = 0, j = this.points.length - 1; i < this.points.length; j = i++) {
+            const a = this.points[i];
+            const b = this.points[j];
+            if ((a.y > p.y) !== (b.y > p.y) && p.x < a.x + ((p.y - a.y) / (b.y - a.y)) * (b.x - a.x)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    candidateWaypoints(margin) {
+        return this.points.map(p => p.add(p.sub(this.center).normOrZero().mul(margin)));
+    }
+}
+
+/**
+ * Returns the first sampled point of the path inside any obstacle as
+ * { t, position, obstacle }, or null if the path is clear
+ */
+function findCollision(path, obstacles, samples = 200) {
+    for (let i = 0; i <= samples; i++) {
+        const t = (path.t_max / samples) * i;
+        const position = path.rocketPosition(t);
+        const obstacle = obstacles.find(o => o.contains(position));
+        if (obstacle) return { t, position, obstacle };
+    }
+    return null;
+}
+
+/**
+ * Handles flight paths that steer around obstacles by searching for the fastest
+ * route through one or two waypoints placed just outside them. If no clear route
+ * is found, the fastest direct path is kept and collides is set.
+ */
+class AvoidingFlightPath extends FlightPath {
+    constructor(p_start, p_end, a_max, v0, obstacles, margin = 20) {
+        super();
+        requirePositive(a_max, 'a_max');
+        this.obstacles = obstacles;
+        this.waypoints = [];
+
+        let best = new InitialVFlightPath(p_start, p_end, a_max, v0);
+        this.collides = findCollision(best, obstacles) !== null;
+
+        if (this.collides) {
+            // Try the candidates with the shortest detour first, and only the best ones in pairs
+            const detour = p => p.sub(p_start).length() + p_end.sub(p).length();
+            const candidates = obstacles
+                .flatMap(o => o.candidateWaypoints(margin))
+                .filter(p => !obstacles.some(o => o.contains(p)))
+                .sort((a, b) => detour(a) - detour(b));
+            const closest = candidates.slice(0, 10);
+            const sequences = [
+                ...candidates.map(p => [p]),
+                ...closest.flatMap(p => closest.filter(q => q !== p).map(q => [p, q]))
+            ];
+
+            let bestRoute = null;
+            for (const sequence of sequences) {
+                const waypoints = [...sequence.map(position => ({ position })), { position: p_end, stop: true }];
+                const route = new Route(p_start, waypoints, a_max, v0);
+                if ((!bestRoute || route.t_max < bestRoute.t_max) && findCollision(route, obstacles) === null) {
+                    bestRoute = route;
+                }
+            }
+
+            if (bestRoute) {
+                best = bestRoute;
+                this.waypoints = bestRoute.waypoints.slice(0, -1).map(waypoint => waypoint.position);
+                this.collides = false;
+            }
+        }
+
+        this.path = best;
+        this.t_max = best.t_max;
+        this.rocketPosition = best.rocketPosition.bind(best);
+        this.rocketVelocity = best.rocketVelocity.bind(best);
+        this.rocketAcceleration = best.rocketAcceleration.bind(best);
+        this.phases = best.phases;
+    }
+}
+
+export {
+    CircleObstacle,
+    PolygonObstacle,
+    findCollision,
+    AvoidingFlightPath
+};
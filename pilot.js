@@ -0,0 +1,162 @@
+import { Vec2, InitialVFlightPath, requireFinite, requireFiniteVec, requirePositive } from './trajectory.js';
+
+// Stick deflections below this fraction of full travel count as centred
+const GAMEPAD_DEADZONE = 0.15;
+
+// Thrust direction of each key, with y growing down the screen like the canvas
+const THRUST_KEYS = {
+    ArrowUp: new Vec2(0, -1),
+    KeyW: new Vec2(0, -1),
+    ArrowDown: new Vec2(0, 1),
+    KeyS: new Vec2(0, 1),
+    ArrowLeft: new Vec2(-1, 0),
+    KeyA: new Vec2(-1, 0),
+    ArrowRight: new Vec2(1, 0),
+    KeyD: new Vec2(1, 0)
+};
+
+// Standard gamepad mapping of the d-pad buttons
+const DPAD_BUTTONS = [[12, new Vec2(0, -1)], [13, new Vec2(0, 1)], [14, new Vec2(-1, 0)], [15, new Vec2(1, 0)]];
+
+// Shortens a thrust command to at most full thrust
+function clampCommand(command) {
+    const length = command.length();
+    return length > 1 ? command.div(length) : command;
+}
+
+// Thrust command of the held keys (KeyboardEvent.code values), full thrust diagonally too
+function keyboardCommand(keys) {
+    let command = Vec2.zero;
+    for (const key of keys) {
+        if (THRUST_KEYS[key]) command = command.add(THRUST_KEYS[key]);
+    }
+    return command.normOrZero();
+}
+
+/**
+ * Thrust command of a Gamepad from the left stick, rescaled past the deadzone
+ * so that thrust starts at zero, or from the d-pad.
+ */
+function gamepadCommand(gamepad, deadzone = GAMEPAD_DEADZONE) {
+    let command = Vec2.zero;
+    for (const [button, direction] of DPAD_BUTTONS) {
+        if (gamepad.buttons[button]?.pressed) command = command.add(direction);
+    }
+    if (command.length() > 0) return command.normOrZero();
+
+    const stick = new Vec2(gamepad.axes[0] ?? 0, gamepad.axes[1] ?? 0);
+    const deflection = Math.min(stick.length(), 1);
+    if (deflection <= deadzone) return Vec2.zero;
+    return stick.normOrZero().mul((deflection - deadzone) / (1 - deadzone));
+}
+
+/**
+ * A ship flown in real time from p_start with velocity v0 towards rest at
+ * p_end, either by hand with thrust commands up to a_max or by an autopilot
+ * that flies an InitialVFlightPath from wherever the ship is. The clock starts
+ * with the first thrust or the autopilot. The ship has arrived once it is
+ * within arrival_distance of p_end and slow enough to stop there at full
+ * thrust; the braking left is added to its time and delta-v, so that the
+ * autopilot matches reference, the solver's path from the start. The arrival
+ * distance defaults to 1% of the distance, but at least as far as full thrust
+ * takes the ship from rest in a second, so that coincident ends work too.
+ */
+class PilotFlight {
+    constructor(p_start, p_end, a_max, v0, arrival_distance = null) {
+        requireFiniteVec(p_start, 'p_start');
+        requireFiniteVec(p_end, 'p_end');
+        requireFiniteVec(v0, 'v0');
+        requirePositive(a_max, 'a_max');
+        arrival_distance ??= Math.max(p_end.sub(p_start).length() / 100, a_max / 2);
+        requirePositive(arrival_distance, 'arrival_distance');
+        this.p_end = p_end;
+        this.a_max = a_max;
+        this.arrival_distance = arrival_distance;
+        // Fast enough to still stop within the arrival distance at full thrust
+        this.arrival_speed = Math.sqrt(2 * a_max * arrival_distance);
+        this.reference = new InitialVFlightPath(p_start, p_end, a_max, v0);
+
+        this.t = 0;
+        this.position = p_start;
+        this.velocity = v0;
+        this.thrust = Vec2.zero;
+        const facing = v0.length() > 0 ? v0 : p_end.sub(p_start);
+        this.heading = Math.atan2(facing.y, facing.x);
+        this.delta_v = 0;
+        this.autopilot = null; // { plan, start } while the autopilot flies
+        this.autopilot_time = 0;
+        this.launched = false;
+        this.arrived_at = null;
+        this.times = [0];
+        this.positions = [p_start];
+    }
+
+    get arrived() {
+        return this.arrived_at !== null;
+    }
+
+    engageAutopilot() {
+        if (this.arrived) return;
+        this.autopilot = { plan: new InitialVFlightPath(this.position, this.p_end, this.a_max, this.velocity), start: this.t };
+        this.launched = true;
+    }
+
+    disengageAutopilot() {
+        this.autopilot = null;
+    }
+
+    /**
+     * Advances the flight by dt seconds. Without the autopilot the ship holds
+     * the command, a vector of at most unit length, as thrust for the whole step.
+     */
+    step(dt, command = Vec2.zero) {
+        requireFinite(dt, 'dt');
+        if (this.arrived || !(dt > 0)) return;
+        if (!this.launched) {
+            if (command.length() === 0) return;
+            this.launched = true;
+        }
+
+        if (this.autopilot) {
+            // Follow the plan exactly, thrust switches within the step included
+            const { plan, start } = this.autopilot;
+            const t0 = this.t - start;
+            const h = Math.min(dt, plan.t_max - t0);
+            this.delta_v += plan.deltaVBetween(t0, t0 + h);
+            this.thrust = h > 0 ? plan.rocketVelocity(t0 + h).sub(this.velocity).div(h) : Vec2.zero;
+            this.position = plan.rocketPosition(t0 + h);
+            this.velocity = plan.rocketVelocity(t0 + h);
+            this.autopilot_time += h;
+            this.t += h;
+        } else {
+            const a = clampCommand(command).mul(this.a_max);
+            this.position = this.position.add(this.velocity.mul(dt)).add(a.mul(dt * dt / 2));
+            this.velocity = this.velocity.add(a.mul(dt));
+            this.delta_v += a.length() * dt;
+            this.thrust = a;
+            this.t += dt;
+        }
+        if (this.thrust.length() > 0) {
+            this.heading = Math.atan2(this.thrust.y, this.thrust.x);
+        }
+        this.times.push(this.t);
+        this.positions.push(this.position);
+
+        const speed = this.velocity.length();
+        if (this.position.sub(this.p_end).length() <= this.arrival_distance && speed <= this.arrival_speed) {
+            this.arrived_at = this.t + speed / this.a_max;
+            this.delta_v += speed;
+            this.autopilot = null;
+            this.thrust = Vec2.zero;
+        }
+    }
+}
+
+export {
+    GAMEPAD_DEADZONE,
+    THRUST_KEYS,
+    clampCommand,
+    keyboardCommand,
+    gamepadCommand,
+    PilotFlight
+};
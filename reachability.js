@@ -0,0 +1,114 @@
+import { Vec2, TrajectoryError } from './trajectory.js';
+import { getSolver } from './solvers.js';
+import { niceStep } from './viewport.js';
+
+// Center of cell (i, j) of a grid of nx x ny cells over the world rectangle min..max
+function cellCenter({ min, max, nx, ny }, i, j) {
+    return new Vec2(min.x + ((i + 0.5) / nx) * (max.x - min.x), min.y + ((j + 0.5) / ny) * (max.y - min.y));
+}
+
+// t_max from the start state to rest at the center of cell (i, j), NaN where the solver fails or does not converge
+function timeToTargetCell(params, i, j) {
+    const { solve } = getSolver(params.solver);
+    const p_start = new Vec2(params.p_start.x, params.p_start.y);
+    const p_end = cellCenter(params, i, j);
+    // A speed towards every cell instead of one velocity, like the Basic experiment flies
+    const v0 = params.initial_v !== undefined
+        ? p_end.sub(p_start).normOrZero().mul(params.initial_v)
+        : new Vec2(params.v0.x, params.v0.y);
+    try {
+        const path = solve(p_start, p_end, params.a_max, v0);
+        return path.converged === false ? NaN : path.t_max;
+    } catch (error) {
+        if (!(error instanceof TrajectoryError)) throw error;
+        return NaN;
+    }
+}
+
+// t_max of every cell of row j
+function timeToTargetRow(params, j) {
+    const row = new Float64Array(params.nx);
+    for (let i = 0; i < params.nx; i++) {
+        row[i] = timeToTargetCell(params, i, j);
+    }
+    return row;
+}
+
+/**
+ * Time a solver needs from p_start with velocity v0 to rest at every cell center
+ * of the world rectangle min..max, split into nx x ny cells. The parameters are
+ * plain { x, y } objects and numbers so that they can be posted to a worker:
+ * { solver, p_start, v0, a_max, min, max, nx, ny }, and optionally initial_v, a
+ * speed towards each cell that replaces v0. Returns one array with row j
+ * starting at j * nx.
+ */
+function timeToTargetGrid(params) {
+    const grid = new Float64Array(params.nx * params.ny);
+    for (let j = 0; j < params.ny; j++) {
+        grid.set(timeToTargetRow(params, j), j * params.nx);
+    }
+    return grid;
+}
+
+// Up to about count round times between the fastest and slowest finite cells
+function isochroneLevels(grid, count = 6) {
+    const finite = Array.from(grid).filter(Number.isFinite);
+    if (finite.length === 0) return [];
+    const lo = Math.min(...finite);
+    const hi = Math.max(...finite);
+    if (!(hi > lo)) return [];
+    const step = niceStep((hi - lo) / count);
+    const levels = [];
+    for (let level = Math.ceil(lo / step) * step; level < hi; level += step) {
+        if (level > lo) levels.push(level);
+    }
+    return levels;
+}
+
+/**
+ * Contour line segments [a, b] in world coordinates where the grid crosses level,
+ * by marching squares over the cell centers. Squares touching a failed cell are skipped.
+ */
+function isochroneSegments(params, grid, level) {
+    const { nx, ny } = params;
+    const segments = [];
+    // Point on the edge between two cell centers where the time equals level
+    const crossing = (i0, j0, i1, j1) => {
+        const t0 = grid[j0 * nx + i0];
+        const t1 = grid[j1 * nx + i1];
+        const s = (level - t0) / (t1 - t0);
+        const a = cellCenter(params, i0, j0);
+        return a.add(cellCenter(params, i1, j1).sub(a).mul(s));
+    };
+
+    for (let j = 0; j < ny - 1; j++) {
+        for (let i = 0; i < nx - 1; i++) {
+            const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]];
+            const values = corners.map(([ci, cj]) => grid[cj * nx + ci]);
+            if (!values.every(Number.isFinite)) continue;
+
+            // Edges of the square whose ends lie on different sides of the level
+            const points = [];
+            for (let k = 0; k < 4; k++) {
+                const [a, b] = [corners[k], corners[(k + 1) % 4]];
+                if ((values[k] < level) !== (values[(k + 1) % 4] < level)) {
+                    points.push(crossing(a[0], a[1], b[0], b[1]));
+                }
+            }
+            // Two crossings give one segment; four (a saddle) give two
+            for (let k = 0; k + 1 < points.length; k += 2) {
+                segments.push([points[k], points[k + 1]]);
+            }
+        }
+    }
+    return segments;
+}
+
+export {
+    cellCenter,
+    timeToTargetCell,
+    timeToTargetRow,
+    timeToTargetGrid,
+    isochroneLevels,
+    isochroneSegments
+};
@@ -0,0 +1,35 @@
+import { timeToTargetCell } from './reachability.js';
+
+// Only the latest job matters: older ones stop at their next break
+let latest = null;
+
+// Milliseconds of solving between breaks that let newer jobs in
+const SLICE_TIME = 20;
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Computes { id, params, levels } at each resolution in levels, in cells across
+ * with params.aspect rows per column, and posts every finished grid as
+ * { id, params, grid } so the page can draw a coarse heatmap quickly and refine
+ * it while the user waits
+ */
+self.onmessage = async ({ data }) => {
+    const { id, params, levels } = data;
+    latest = id;
+    let deadline = performance.now() + SLICE_TIME;
+    for (const cells of levels) {
+        const level = { ...params, nx: cells, ny: Math.max(1, Math.round(cells * params.aspect)) };
+        const grid = new Float64Array(level.nx * level.ny);
+        for (let k = 0; k < grid.length; k++) {
+            grid[k] = timeToTargetCell(level, k % level.nx, Math.floor(k / level.nx));
+            // A slow solver can take long over a single row, so look for newer jobs after every cell
+            if (performance.now() >= deadline) {
+                await nextTask();
+                if (latest !== id) return;
+                deadline = performance.now() + SLICE_TIME;
+            }
+        }
+        self.postMessage({ id, params: level, grid }, [grid.buffer]);
+    }
+};
@@ -0,0 +1,247 @@
+import { TrajectoryError } from './trajectory.js';
+import { scenarioFromJSON, ScenarioError } from './scenario.js';
+
+// Bump when the recording format changes incompatibly
+const RECORDING_VERSION = 1;
+
+// Events between full snapshots, so that scrubbing replays at most this many
+const KEYFRAME_INTERVAL = 50;
+
+class RecordingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RecordingError';
+    }
+}
+
+/**
+ * Fields of each event type besides t and after. Positions are world [x, y].
+ * press starts a drag (add is the shift key), drag moves it and release ends it;
+ * input sets a control by id to value or checked and runs its handler. pilot
+ * flies the pilot's ship a whole number of fixed steps holding the command [x, y],
+ * with the autopilot on or off.
+ */
+const EVENT_FIELDS = {
+    press: ['pos', 'add'],
+    drag: ['pos'],
+    release: [],
+    double_click: ['pos'],
+    context_menu: ['pos'],
+    view: ['origin', 'scale'],
+    input: ['id'],
+    click: ['id'],
+    experiment: ['value'],
+    scenario: ['state'],
+    pilot: ['steps', 'command', 'autopilot']
+};
+
+// The state experimentMove changes behind the user's back, to check that a replay stays on track
+const DYNAMIC_KEYS = ['p_start', 'p_end', 'click_pos', 'last_vel'];
+
+/**
+ * Input events of an interactive session with the time in milliseconds since
+ * the recording started and the dynamic state after each one. A keyframe
+ * { index, state, interaction } holds the scenario JSON and the drag in
+ * progress after the first index events, starting with the initial state.
+ * Keyframes are skipped while the session has state they cannot hold.
+ */
+class Recording {
+    constructor(state, interaction) {
+        this.events = [];
+        this.keyframes = [{ index: 0, state, interaction }];
+    }
+
+    get duration() {
+        return this.events.length > 0 ? this.events[this.events.length - 1].t : 0;
+    }
+
+    // snapshot() returns { state, interaction }, or null to put the keyframe off, and is only called when one is due
+    add(event, snapshot) {
+        this.events.push(event);
+        if (this.events.length - this.keyframes[this.keyframes.length - 1].index >= KEYFRAME_INTERVAL) {
+            const keyframe = snapshot();
+            if (keyframe) this.keyframes.push({ index: this.events.length, ...keyframe });
+        }
+    }
+}
+
+// True when two dynamic states agree to rounding
+function statesMatch(a, b) {
+    return DYNAMIC_KEYS.every(key => a[key].every((value, i) =>
+        Math.abs(value - b[key][i]) <= 1e-9 * Math.max(1, Math.abs(value))));
+}
+
+/**
+ * Steps through a recording. restore(keyframe) resets the simulation to a
+ * keyframe and apply(event) replays one event and returns the dynamic state it
+ * leads to. diverged_at is the index of the first event whose state differs
+ * from the recorded one, or null.
+ */
+class RecordingPlayer {
+    constructor(recording, { restore, apply }) {
+        this.recording = recording;
+        this.restore = restore;
+        this.apply = apply;
+        this.diverged_at = null;
+        this.rewind();
+    }
+
+    rewind() {
+        this.restore(this.recording.keyframes[0]);
+        this.position = 0; // Events applied so far
+        this.time = 0;
+    }
+
+    get done() {
+        return this.position >= this.recording.events.length;
+    }
+
+    // Applies the next event, false at the end
+    step() {
+        if (this.done) return false;
+        const event = this.recording.events[this.position];
+        const state = this.apply(event);
+        if (this.diverged_at === null && !statesMatch(state, event.after)) {
+            this.diverged_at = this.position;
+        }
+        this.position++;
+        this.time = event.t;
+        return true;
+    }
+
+    // Replays up to time t, from the last keyframe before it when going back
+    seek(t) {
+        const events = this.recording.events;
+        let target = this.position;
+        while (target < events.length && events[target].t <= t) target++;
+        while (target > 0 && events[target - 1].t > t) target--;
+
+        if (target < this.position) {
+            const keyframe = this.recording.keyframes.filter(keyframe => keyframe.index <= target).pop();
+            this.restore(keyframe);
+            this.position = keyframe.index;
+        }
+        while (this.position < target) this.step();
+        this.time = Math.max(0, Math.min(t, this.recording.duration));
+    }
+}
+
+function recordingToJSON(recording) {
+    return {
+        version: RECORDING_VERSION,
+        keyframes: recording.keyframes,
+        events: recording.events
+    };
+}
+
+function requireField(condition, name, expected) {
+    if (!condition) throw new RecordingError(`"${name}" must be ${expected}`);
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isVec = value => Array.isArray(value) && value.length === 2 && value.every(isNumber);
+const isIndex = value => value === null || (Number.isInteger(value) && value >= 0);
+
+function checkScenario(state, name) {
+    try {
+        scenarioFromJSON(state);
+    } catch (error) {
+        // Objects the scenario builds check their own inputs too
+        if (!(error instanceof ScenarioError || error instanceof TrajectoryError)) throw error;
+        throw new RecordingError(`${name}: ${error.message}`);
+    }
+}
+
+function checkEvent(event, i, previous_t) {
+    const name = `events[${i}]`;
+    requireField(typeof event === 'object' && event !== null && !Array.isArray(event), name, 'an object');
+    requireField(isNumber(event.t) && event.t >= previous_t, `${name}.t`, 'a time no earlier than the event before');
+    requireField(Object.hasOwn(EVENT_FIELDS, event.type), `${name}.type`,
+        `one of ${Object.keys(EVENT_FIELDS).map(type => `"${type}"`).join(', ')}`);
+    requireField(typeof event.after === 'object' && event.after !== null && DYNAMIC_KEYS.every(key => isVec(event.after[key])),
+        `${name}.after`, `an object with ${DYNAMIC_KEYS.join(', ')} vectors`);
+    for (const field of EVENT_FIELDS[event.type]) {
+        const value = event[field];
+        switch (field) {
+            case 'pos':
+            case 'origin':
+            case 'command':
+                requireField(isVec(value), `${name}.${field}`, 'a vector [x, y]');
+                break;
+            case 'add':
+            case 'autopilot':
+                requireField(typeof value === 'boolean', `${name}.${field}`, 'true or false');
+                break;
+            case 'steps':
+                requireField(Number.isInteger(value) && value > 0, `${name}.${field}`, 'a positive whole number');
+                break;
+            case 'scale':
+                requireField(isNumber(value) && value > 0, `${name}.${field}`, 'a positive number');
+                break;
+            case 'id':
+            case 'value':
+                requireField(typeof value === 'string', `${name}.${field}`, 'a string');
+                break;
+            case 'state':
+                checkScenario(value, `${name}.state`);
+                break;
+        }
+    }
+    if (event.type === 'input') {
+        requireField(typeof event.value === 'string' || typeof event.checked === 'boolean',
+            `${name}`, 'an input with a string value or a boolean checked');
+    }
+}
+
+/**
+ * Parses recording file contents. Throws a RecordingError naming the first problem found.
+ */
+function parseRecording(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new RecordingError(`Recording is not valid JSON: ${error.message}`);
+    }
+    requireField(typeof data === 'object' && data !== null && !Array.isArray(data), 'recording', 'an object');
+    if (data.version !== RECORDING_VERSION) {
+        throw new RecordingError(typeof data.version === 'number'
+            ? `Recording version ${data.version} is not supported, this simulator reads version ${RECORDING_VERSION}`
+            : 'Not a recording file: the version is missing');
+    }
+    requireField(Array.isArray(data.events), 'events', 'a list');
+    data.events.forEach((event, i) => checkEvent(event, i, i > 0 ? data.events[i - 1].t : 0));
+
+    requireField(Array.isArray(data.keyframes) && data.keyframes.length > 0, 'keyframes', 'a non-empty list');
+    data.keyframes.forEach((keyframe, i) => {
+        const name = `keyframes[${i}]`;
+        requireField(typeof keyframe === 'object' && keyframe !== null, name, 'an object');
+        const previous = i > 0 ? data.keyframes[i - 1].index : -1;
+        requireField(Number.isInteger(keyframe.index) && keyframe.index > previous && keyframe.index <= data.events.length &&
+            (i > 0 || keyframe.index === 0), `${name}.index`, 'an increasing event count starting at 0');
+        checkScenario(keyframe.state, `${name}.state`);
+        const interaction = keyframe.interaction;
+        requireField(typeof interaction === 'object' && interaction !== null &&
+            (interaction.selected_point === null || typeof interaction.selected_point === 'string') &&
+            typeof interaction.drag === 'boolean' &&
+            ['selected_waypoint', 'selected_ship', 'selected_obstacle', 'selected_body'].every(key => isIndex(interaction[key])),
+        `${name}.interaction`, 'the drag in progress');
+    });
+
+    const recording = new Recording(data.keyframes[0].state, data.keyframes[0].interaction);
+    recording.keyframes = data.keyframes;
+    recording.events = data.events;
+    return recording;
+}
+
+export {
+    RECORDING_VERSION,
+    KEYFRAME_INTERVAL,
+    DYNAMIC_KEYS,
+    RecordingError,
+    Recording,
+    RecordingPlayer,
+    statesMatch,
+    recordingToJSON,
+    parseRecording
+};
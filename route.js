@@ -0,0 +1,81 @@
+import {
+    Vec2, FlightPath, InitialVFlightPath, RendezvousFlightPath, requireFinite, requireFiniteVec, requirePositive
+} from './trajectory.js';
+
+/**
+ * Velocity at which the route passes through a waypoint, pointing along the
+ * bisector of the incoming and outgoing legs
+ */
+function passThroughVelocity(p_prev, waypoint, p_next, a_max) {
+    if (waypoint.stop) return Vec2.zero;
+
+    const d_in = waypoint.position.sub(p_prev);
+    const d_out = p_next.sub(waypoint.position);
+    const direction = d_in.normOrZero().add(d_out.normOrZero()).normOrZero();
+
+    // Without an explicit speed, use half the peak speed of a line path over the shorter leg
+    const speed = waypoint.speed !== undefined
+        ? waypoint.speed
+        : Math.sqrt(a_max * Math.min(d_in.length(), d_out.length())) / 2;
+    return direction.mul(speed);
+}
+
+/**
+ * Handles routes through an ordered list of waypoints { position, speed, stop }.
+ * Each leg starts with the velocity the previous one ended with; the ship passes
+ * through waypoints at their speed unless stop is set, and rests at the last one.
+ */
+class Route extends FlightPath {
+    constructor(p_start, waypoints, a_max, v0 = Vec2.zero) {
+        super();
+        requireFiniteVec(p_start, 'p_start');
+        requirePositive(a_max, 'a_max');
+        waypoints.forEach((waypoint, i) => {
+            requireFiniteVec(waypoint.position, `waypoints[${i}].position`);
+            if (waypoint.speed !== undefined) requireFinite(waypoint.speed, `waypoints[${i}].speed`);
+        });
+        this.p_start = p_start;
+        this.waypoints = waypoints;
+        this.a_max = a_max;
+        this.v0 = v0;
+        this.legs = [];
+        this.leg_starts = [];
+
+        let position = p_start;
+        let velocity = v0;
+        waypoints.forEach((waypoint, i) => {
+            const next = waypoints[i + 1];
+            const v_end = next ? passThroughVelocity(position, waypoint, next.position, a_max) : Vec2.zero;
+            const leg = v_end.length() === 0
+                ? new InitialVFlightPath(position, waypoint.position, a_max, velocity)
+                : new RendezvousFlightPath(position, waypoint.position, a_max, velocity, v_end);
+
+            this.leg_starts.push(this.t_max);
+            this.legs.push(leg);
+            this.phases.push(...leg.phases.map(phase => ({ ...phase, start: phase.start + this.t_max })));
+            this.t_max += leg.t_max;
+            position = waypoint.position;
+            velocity = v_end;
+        });
+    }
+
+    legIndexAt(t) {
+        let i = 0;
+        while (i < this.legs.length - 1 && t > this.leg_starts[i] + this.legs[i].t_max) i++;
+        return i;
+    }
+
+    rocketPosition(t) {
+        if (this.legs.length === 0) return this.p_start;
+        const i = this.legIndexAt(t);
+        return this.legs[i].rocketPosition(t - this.leg_starts[i]);
+    }
+
+    rocketVelocity(t) {
+        if (this.legs.length === 0) return Vec2.zero;
+        const i = this.legIndexAt(t);
+        return this.legs[i].rocketVelocity(t - this.leg_starts[i]);
+    }
+}
+
+export { Route };
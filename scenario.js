@@ -0,0 +1,283 @@
+import { Vec2 } from './trajectory.js';
+import { CircleObstacle, PolygonObstacle } from './obstacles.js';
+import { GravityBody } from './gravity.js';
+import { FORMATION_SHAPES } from './fleet.js';
+import { solvers } from './solvers.js';
+
+// Bump when the scenario format changes incompatibly
+const SCENARIO_VERSION = 1;
+
+// Bytes converted to a string at a time when encoding a link
+const HASH_CHUNK = 0x8000;
+
+class ScenarioError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScenarioError';
+    }
+}
+
+const ENVELOPE_TYPES = ['circle', 'box', 'ellipse', 'main_rcs'];
+
+const vecToJSON = v => [v.x, v.y];
+
+/**
+ * Converts the simulation state to a plain, versioned JSON object
+ */
+function scenarioToJSON(state) {
+    return {
+        version: SCENARIO_VERSION,
+        experiment: state.experiment,
+        p_start: vecToJSON(state.p_start),
+        p_end: vecToJSON(state.p_end),
+        click_pos: vecToJSON(state.click_pos),
+        last_vel: vecToJSON(state.last_vel),
+        v_end: vecToJSON(state.v_end),
+        a_max: state.a_max,
+        time: state.time,
+        fuel_weight: state.fuel_weight,
+        show_optimal: state.show_optimal,
+        animate: state.animate,
+        waypoints: state.waypoints.map(waypoint => ({
+            position: vecToJSON(waypoint.position),
+            ...(waypoint.speed !== undefined && { speed: waypoint.speed }),
+            stop: Boolean(waypoint.stop)
+        })),
+        obstacles: state.obstacles.map(obstacle => obstacle instanceof PolygonObstacle
+            ? { type: 'polygon', points: obstacle.points.map(vecToJSON) }
+            : { type: 'circle', center: vecToJSON(obstacle.center), radius: obstacle.radius }),
+        bodies: state.bodies.map(body => ({ position: vecToJSON(body.position), mu: body.mu, radius: body.radius })),
+        rocket: { ...state.rocket },
+        guidance: { ...state.guidance },
+        space3d: { ...state.space3d },
+        attitude: { ...state.attitude },
+        envelope: { ...state.envelope },
+        fleet: {
+            ships: state.fleet.ships.map(ship => ({ p_start: vecToJSON(ship.p_start), v0: vecToJSON(ship.v0), a_max: ship.a_max })),
+            formation: state.fleet.formation,
+            spacing: state.fleet.spacing,
+            min_separation: state.fleet.min_separation
+        },
+        vel_scale: state.vel_scale,
+        view: { origin: vecToJSON(state.view.origin), scale: state.view.scale },
+        compare: { solvers: [...state.compare.solvers] }
+    };
+}
+
+function readNumber(value, name, { min = -Infinity } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+        throw new ScenarioError(`"${name}" must be a number${min > -Infinity ? ` of at least ${min}` : ''}`);
+    }
+    return value;
+}
+
+// Sizes, masses, accelerations and intervals the solvers require to be positive
+function readPositive(value, name) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new ScenarioError(`"${name}" must be a positive number`);
+    }
+    return value;
+}
+
+function readVec(value, name) {
+    if (!Array.isArray(value) || value.length !== 2) {
+        throw new ScenarioError(`"${name}" must be a vector [x, y]`);
+    }
+    return new Vec2(readNumber(value[0], `${name}[0]`), readNumber(value[1], `${name}[1]`));
+}
+
+function readArray(value, name) {
+    if (!Array.isArray(value)) throw new ScenarioError(`"${name}" must be a list`);
+    return value;
+}
+
+function readObject(value, name) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw new ScenarioError(`"${name}" must be an object`);
+    }
+    return value;
+}
+
+/**
+ * Validates a parsed scenario and converts it back to simulation state. Throws
+ * a ScenarioError naming the first problem found.
+ */
+function scenarioFromJSON(data) {
+    readObject(data, 'scenario');
+    if (data.version !== SCENARIO_VERSION) {
+        if (typeof data.version !== 'number') {
+            throw new ScenarioError('Not a scenario file: the version is missing');
+        }
+        throw new ScenarioError(`Scenario version ${data.version} is not supported, ` +
+            `this simulator reads version ${SCENARIO_VERSION}` +
+            ` (the scenario was saved by ${data.version < SCENARIO_VERSION ? 'an older' : 'a newer'} release)`);
+    }
+    if (typeof data.experiment !== 'string') {
+        throw new ScenarioError('"experiment" must be a string');
+    }
+
+    const rocket = readObject(data.rocket, 'rocket');
+    const guidance = readObject(data.guidance, 'guidance');
+    // Added after version 1 was released, so older files fly in the plane
+    const space3d = data.space3d === undefined
+        ? { start_z: 0, end_z: 0, vz: 0 }
+        : readObject(data.space3d, 'space3d');
+    const attitude = data.attitude === undefined
+        ? { enabled: false, max_angular_velocity: 30, max_angular_acceleration: 15 }
+        : readObject(data.attitude, 'attitude');
+    const envelope = data.envelope === undefined
+        ? { type: 'circle', x: 1, y: 0.3, heading: 0 }
+        : readObject(data.envelope, 'envelope');
+    // Older files have no ships, which keeps the ones on screen
+    const fleet = data.fleet === undefined
+        ? { ships: [], formation: 'wedge', spacing: 60, min_separation: 30 }
+        : readObject(data.fleet, 'fleet');
+    // Files from before world units were drawn at one pixel per meter
+    const view = data.view === undefined
+        ? { origin: [0, 0], scale: 1 }
+        : readObject(data.view, 'view');
+    const compare = data.compare === undefined
+        ? { solvers: ['basic', 'better'] }
+        : readObject(data.compare, 'compare');
+    readArray(compare.solvers, 'compare.solvers').forEach((name, i) => {
+        if (!Object.hasOwn(solvers, name)) {
+            throw new ScenarioError(`"compare.solvers[${i}]" must be one of ${Object.keys(solvers).map(name => `"${name}"`).join(', ')}`);
+        }
+    });
+    if (!FORMATION_SHAPES.includes(fleet.formation)) {
+        throw new ScenarioError(`"fleet.formation" must be one of ${FORMATION_SHAPES.map(shape => `"${shape}"`).join(', ')}`);
+    }
+    if (!ENVELOPE_TYPES.includes(envelope.type)) {
+        throw new ScenarioError(`"envelope.type" must be one of ${ENVELOPE_TYPES.map(type => `"${type}"`).join(', ')}`);
+    }
+    return {
+        experiment: data.experiment,
+        p_start: readVec(data.p_start, 'p_start'),
+        p_end: readVec(data.p_end, 'p_end'),
+        click_pos: readVec(data.click_pos, 'click_pos'),
+        last_vel: readVec(data.last_vel, 'last_vel'),
+        v_end: readVec(data.v_end, 'v_end'),
+        a_max: readPositive(data.a_max, 'a_max'),
+        time: readNumber(data.time, 'time', { min: 0 }),
+        fuel_weight: readNumber(data.fuel_weight, 'fuel_weight', { min: 0 }),
+        show_optimal: Boolean(data.show_optimal),
+        animate: Boolean(data.animate),
+        waypoints: readArray(data.waypoints, 'waypoints').map((waypoint, i) => ({
+            position: readVec(readObject(waypoint, `waypoints[${i}]`).position, `waypoints[${i}].position`),
+            ...(waypoint.speed !== undefined && { speed: readNumber(waypoint.speed, `waypoints[${i}].speed`, { min: 0 }) }),
+            stop: Boolean(waypoint.stop)
+        })),
+        obstacles: readArray(data.obstacles, 'obstacles').map((obstacle, i) => {
+            const name = `obstacles[${i}]`;
+            if (readObject(obstacle, name).type === 'circle') {
+                return new CircleObstacle(readVec(obstacle.center, `${name}.center`),
+                    readPositive(obstacle.radius, `${name}.radius`));
+            }
+            if (obstacle.type === 'polygon') {
+                const points = readArray(obstacle.points, `${name}.points`).map((p, j) => readVec(p, `${name}.points[${j}]`));
+                if (points.length < 3) throw new ScenarioError(`"${name}" needs at least 3 points`);
+                return new PolygonObstacle(points);
+            }
+            throw new ScenarioError(`"${name}.type" must be "circle" or "polygon"`);
+        }),
+        bodies: readArray(data.bodies, 'bodies').map((body, i) => new GravityBody(
+            readVec(readObject(body, `bodies[${i}]`).position, `bodies[${i}].position`),
+            readNumber(body.mu, `bodies[${i}].mu`, { min: 0 }),
+            readPositive(body.radius, `bodies[${i}].radius`)
+        )),
+        rocket: {
+            enabled: Boolean(rocket.enabled),
+            dry_mass: readPositive(rocket.dry_mass, 'rocket.dry_mass'),
+            fuel_mass: readNumber(rocket.fuel_mass, 'rocket.fuel_mass', { min: 0 }),
+            exhaust_velocity: readPositive(rocket.exhaust_velocity, 'rocket.exhaust_velocity'),
+            max_thrust: readPositive(rocket.max_thrust, 'rocket.max_thrust')
+        },
+        guidance: {
+            replan_interval: readPositive(guidance.replan_interval, 'guidance.replan_interval'),
+            disturbance: readNumber(guidance.disturbance, 'guidance.disturbance', { min: 0 }),
+            misalignment: readNumber(guidance.misalignment, 'guidance.misalignment'),
+            position_noise: readNumber(guidance.position_noise, 'guidance.position_noise', { min: 0 }),
+            velocity_noise: readNumber(guidance.velocity_noise, 'guidance.velocity_noise', { min: 0 }),
+            seed: readNumber(guidance.seed, 'guidance.seed')
+        },
+        space3d: {
+            start_z: readNumber(space3d.start_z, 'space3d.start_z'),
+            end_z: readNumber(space3d.end_z, 'space3d.end_z'),
+            vz: readNumber(space3d.vz, 'space3d.vz')
+        },
+        attitude: {
+            enabled: Boolean(attitude.enabled),
+            max_angular_velocity: readPositive(attitude.max_angular_velocity, 'attitude.max_angular_velocity'),
+            max_angular_acceleration: readPositive(attitude.max_angular_acceleration, 'attitude.max_angular_acceleration')
+        },
+        envelope: {
+            type: envelope.type,
+            x: readNumber(envelope.x, 'envelope.x', { min: 0 }),
+            y: readNumber(envelope.y, 'envelope.y', { min: 0 }),
+            heading: readNumber(envelope.heading, 'envelope.heading')
+        },
+        fleet: {
+            ships: readArray(fleet.ships, 'fleet.ships').map((ship, i) => ({
+                p_start: readVec(readObject(ship, `fleet.ships[${i}]`).p_start, `fleet.ships[${i}].p_start`),
+                v0: readVec(ship.v0, `fleet.ships[${i}].v0`),
+                a_max: readPositive(ship.a_max, `fleet.ships[${i}].a_max`)
+            })),
+            formation: fleet.formation,
+            spacing: readPositive(fleet.spacing, 'fleet.spacing'),
+            min_separation: readPositive(fleet.min_separation, 'fleet.min_separation')
+        },
+        vel_scale: data.vel_scale === undefined ? 25 : readNumber(data.vel_scale, 'vel_scale', { min: 0.001 }),
+        view: {
+            origin: readVec(view.origin, 'view.origin'),
+            scale: readNumber(view.scale, 'view.scale', { min: 1e-13 })
+        },
+        compare: { solvers: [...compare.solvers] }
+    };
+}
+
+/**
+ * Parses scenario file contents
+ */
+function parseScenario(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new ScenarioError(`Scenario is not valid JSON: ${error.message}`);
+    }
+    return scenarioFromJSON(data);
+}
+
+// URL-safe base64 of the UTF-8 encoded scenario JSON
+function encodeScenarioHash(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(scenarioToJSON(state)));
+    // Spreading every byte into one call overflows the stack for large scenarios
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += HASH_CHUNK) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + HASH_CHUNK));
+    }
+    const base64 = btoa(binary);
+    return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeScenarioHash(hash) {
+    let text;
+    try {
+        const base64 = hash.replace(/^#/, '').replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+        text = new TextDecoder().decode(bytes);
+    } catch (error) {
+        throw new ScenarioError('The scenario in the link is damaged and cannot be decoded');
+    }
+    return parseScenario(text);
+}
+
+export {
+    SCENARIO_VERSION,
+    ScenarioError,
+    scenarioToJSON,
+    scenarioFromJSON,
+    parseScenario,
+    encodeScenarioHash,
+    decodeScenarioHash
+};
@@ -0,0 +1,103 @@
+import {
+    Vec2, Vec3, InvalidInputError, ConvergenceError, checkPath,
+    DirectedInitialVFlightPath, InitialVFlightPath, TimeOptimalFlightPath
+} from './trajectory.js';
+import { PlanarFlightPath3D } from './space3d.js';
+
+/**
+ * Solvers that fly from p_start with velocity v0 to rest at p_end, by name.
+ * Shared by the CLI and any tool that lets the user pick a solver.
+ */
+const solvers = {
+    basic: {
+        label: 'Basic',
+        // Only the velocity component towards the target is taken into account
+        solve: (p_start, p_end, a_max, v0) =>
+            new DirectedInitialVFlightPath(p_start, p_end, a_max, v0.dot(p_end.sub(p_start).normOrZero()))
+    },
+    better: {
+        label: 'Advanced',
+        solve: (p_start, p_end, a_max, v0) => new InitialVFlightPath(p_start, p_end, a_max, v0)
+    },
+    optimal: {
+        label: 'Time-Optimal',
+        solve: (p_start, p_end, a_max, v0) => new TimeOptimalFlightPath(p_start, p_end, a_max, v0)
+    }
+};
+
+function getSolver(name) {
+    if (!Object.hasOwn(solvers, name)) {
+        throw new InvalidInputError(`Unknown solver "${name}", expected one of: ${Object.keys(solvers).join(', ')}`);
+    }
+    return solvers[name];
+}
+
+// Accepts vectors as [x, y] or { x, y }
+function toVec2(value, name) {
+    const [x, y] = Array.isArray(value) ? value : [value?.x, value?.y];
+    if (typeof x !== 'number' || typeof y !== 'number') {
+        throw new InvalidInputError(`${name} must be a vector [x, y] or { x, y }`);
+    }
+    return new Vec2(x, y);
+}
+
+// Like toVec2, but [x, y, z] and { x, y, z } give a Vec3
+function toVector(value, name) {
+    const z = Array.isArray(value) ? value[2] : value?.z;
+    if (z === undefined) return toVec2(value, name);
+    const { x, y } = toVec2(Array.isArray(value) ? value.slice(0, 2) : value, name);
+    if (typeof z !== 'number') {
+        throw new InvalidInputError(`${name} must be a vector [x, y, z] or { x, y, z }`);
+    }
+    return new Vec3(x, y, z);
+}
+
+/**
+ * Solves a scenario { p_start, v0, p_end, a_max, solver } and returns t_max, the
+ * final state and samples + 1 evenly spaced waypoints { t, x, y, vx, vy }.
+ * If any of the vectors has a z component the scenario is solved in 3D, and
+ * the waypoints and final state carry z and vz as well.
+ * Throws a TrajectoryError if the scenario is invalid or the solver fails.
+ */
+function solveScenario(scenario, samples = 20) {
+    const p_start = toVector(scenario.p_start, 'p_start');
+    const p_end = toVector(scenario.p_end, 'p_end');
+    const v0 = scenario.v0 === undefined ? Vec2.zero : toVector(scenario.v0, 'v0');
+    const a_max = Number(scenario.a_max);
+    const name = scenario.solver ?? 'better';
+    const solver = getSolver(name);
+
+    const is3d = [p_start, p_end, v0].some(v => v instanceof Vec3);
+    const path = is3d
+        ? new PlanarFlightPath3D(p_start, p_end, a_max, v0, solver.solve)
+        : solver.solve(p_start, p_end, a_max, v0);
+    if (path.converged === false) {
+        throw new ConvergenceError(`Solver "${name}" did not converge`);
+    }
+    checkPath(path, samples);
+
+    const waypoints = Array.from({ length: samples + 1 }, (_, i) => {
+        const t = (path.t_max / samples) * i;
+        const p = path.rocketPosition(t);
+        const v = path.rocketVelocity(t);
+        return { t, x: p.x, y: p.y, ...(is3d && { z: p.z }), vx: v.x, vy: v.y, ...(is3d && { vz: v.z }) };
+    });
+    const final_position = path.rocketPosition(path.t_max);
+    const final_velocity = path.rocketVelocity(path.t_max);
+
+    return {
+        solver: name,
+        t_max: path.t_max,
+        final_position: { x: final_position.x, y: final_position.y, ...(is3d && { z: final_position.z }) },
+        final_velocity: { x: final_velocity.x, y: final_velocity.y, ...(is3d && { z: final_velocity.z }) },
+        waypoints
+    };
+}
+
+export {
+    solvers,
+    getSolver,
+    toVec2,
+    toVector,
+    solveScenario
+};
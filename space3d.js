@@ -0,0 +1,165 @@
+import {
+    Vec2,
+    Vec3,
+    FlightPath,
+    requireFiniteVec,
+    requirePositive,
+    LineFlightPath,
+    InitialVFlightPath,
+    TimeOptimalFlightPath
+} from './trajectory.js';
+
+/**
+ * Orthonormal basis { u, w } of the plane a 3D manoeuvre takes place in: u points
+ * at the target and w along the part of v0 perpendicular to it. When v0 leaves
+ * the plane undefined (zero, or parallel to u) any plane containing u is used.
+ */
+function planeBasis(direction, v0) {
+    let u;
+    if (direction.length() > 0) {
+        u = direction.norm();
+    } else if (v0.length() > 0) {
+        u = v0.norm();
+    } else {
+        u = new Vec3(1, 0, 0);
+    }
+
+    const v0_perp = v0.sub(u.mul(v0.dot(u)));
+    if (v0_perp.length() > 1e-12 * v0.length()) {
+        return { u, w: v0_perp.norm() };
+    }
+    // Cross with the axis least aligned with u to get a well-conditioned normal
+    const axis = Math.abs(u.x) <= Math.abs(u.y) && Math.abs(u.x) <= Math.abs(u.z) ? new Vec3(1, 0, 0)
+        : Math.abs(u.y) <= Math.abs(u.z) ? new Vec3(0, 1, 0) : new Vec3(0, 0, 1);
+    return { u, w: u.cross(axis).norm() };
+}
+
+/**
+ * Flies a 3D manoeuvre with a 2D solver. Nothing pushes the ship out of the plane
+ * through p_start spanned by the target direction and v0, so the 2D solution in
+ * that plane is lifted back to 3D. By mirror symmetry about the plane this keeps
+ * the time-optimal solution optimal in 3D as well.
+ *
+ * solve(p_start, p_end, a_max, v0) builds the 2D path from Vec2 arguments.
+ */
+class PlanarFlightPath3D extends FlightPath {
+    constructor(p_start, p_end, a_max, v0, solve) {
+        super();
+        requireFiniteVec(p_start, 'p_start');
+        requireFiniteVec(p_end, 'p_end');
+        requirePositive(a_max, 'a_max');
+        requireFiniteVec(v0, 'v0');
+        p_start = Vec3.from(p_start);
+        v0 = Vec3.from(v0);
+        const dd = Vec3.from(p_end).sub(p_start);
+
+        const { u, w } = planeBasis(dd, v0);
+        const toPlane = v => new Vec2(v.dot(u), v.dot(w));
+        const fromPlane = v => u.mul(v.x).add(w.mul(v.y));
+        this.u = u;
+        this.w = w;
+
+        const path = solve(Vec2.zero, toPlane(dd), a_max, toPlane(v0));
+        this.plane_path = path;
+        this.t_max = path.t_max;
+        this.phases = path.phases.map(phase => ({ ...phase, thrust: fromPlane(phase.thrust) }));
+        if (path.converged !== undefined) {
+            this.converged = path.converged;
+        }
+
+        this.rocketPosition = t => p_start.add(fromPlane(path.rocketPosition(t)));
+        this.rocketVelocity = t => fromPlane(path.rocketVelocity(t));
+        this.rocketAcceleration = t => fromPlane(path.rocketAcceleration(t));
+    }
+}
+
+class LineFlightPath3D extends PlanarFlightPath3D {
+    constructor(p_start, p_end, a_max) {
+        super(p_start, p_end, a_max, Vec3.zero, (p0, p1, a) => new LineFlightPath(p0, p1, a));
+    }
+}
+
+class InitialVFlightPath3D extends PlanarFlightPath3D {
+    constructor(p_start, p_end, a_max, v0) {
+        super(p_start, p_end, a_max, v0, (p0, p1, a, v) => new InitialVFlightPath(p0, p1, a, v));
+    }
+}
+
+class TimeOptimalFlightPath3D extends PlanarFlightPath3D {
+    constructor(p_start, p_end, a_max, v0) {
+        super(p_start, p_end, a_max, v0, (p0, p1, a, v) => new TimeOptimalFlightPath(p0, p1, a, v));
+        this.heuristic_t_max = this.plane_path.heuristic_t_max;
+    }
+}
+
+/**
+ * Perspective camera circling a target point, with z pointing up. Seen from
+ * above it shows x to the right and y downwards, like the 2D canvas.
+ */
+class OrbitCamera {
+    constructor(target, distance, yaw = 0.6, pitch = 0.7, fov = Math.PI / 3) {
+        this.initial = { target, distance, yaw, pitch };
+        this.fov = fov;
+        this.reset();
+    }
+
+    reset() {
+        Object.assign(this, this.initial);
+    }
+
+    // Rotates by the given angles, stopping short of the poles where the view flips
+    orbit(d_yaw, d_pitch) {
+        this.yaw += d_yaw;
+        this.pitch = Math.max(-1.5, Math.min(1.5, this.pitch + d_pitch));
+    }
+
+    zoom(factor) {
+        this.distance = Math.max(1e-3 * this.initial.distance, this.distance * factor);
+    }
+
+    // Looks at a new target from a new distance, keeping the direction, and resets to it from now on
+    frame(target, distance) {
+        this.initial = { ...this.initial, target, distance };
+        this.target = target;
+        this.distance = distance;
+    }
+
+    eye() {
+        const horizontal = this.distance * Math.cos(this.pitch);
+        return this.target.add(new Vec3(
+            horizontal * Math.sin(this.yaw),
+            horizontal * Math.cos(this.yaw),
+            this.distance * Math.sin(this.pitch)
+        ));
+    }
+
+    /**
+     * Projects p to pixel coordinates on a width x height canvas, with its
+     * distance along the view direction as depth. Returns null behind the camera.
+     */
+    project(p, width, height) {
+        const eye = this.eye();
+        const forward = this.target.sub(eye).norm();
+        const right = new Vec3(0, 0, 1).cross(forward).norm();
+        const up = forward.cross(right);
+
+        const d = Vec3.from(p).sub(eye);
+        const depth = d.dot(forward);
+        if (depth < 1e-3 * this.distance) return null;
+        const focal = height / (2 * Math.tan(this.fov / 2));
+        return {
+            x: width / 2 + focal * d.dot(right) / depth,
+            y: height / 2 - focal * d.dot(up) / depth,
+            depth
+        };
+    }
+}
+
+export {
+    planeBasis,
+    PlanarFlightPath3D,
+    LineFlightPath3D,
+    InitialVFlightPath3D,
+    TimeOptimalFlightPath3D,
+    OrbitCamera
+};
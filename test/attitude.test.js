@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec2, LineFlightPath, InvalidInputError } from '../trajectory.js';
+import { AttitudeModel, SlewingFlightPath, wrapAngle } from '../attitude.js';
+import { assertVecClose } from './helpers.js';
+
+const deg = Math.PI / 180;
+const attitude = new AttitudeModel(30 * deg, 15 * deg);
+
+test('slews spin up, turn at the maximum rate and spin down', () => {
+    // A flip reaches 30°/s after 2s and 30° of turning
+    assert.ok(Math.abs(attitude.slewTime(Math.PI) - 8) < 1e-12);
+    assert.ok(Math.abs(attitude.slewAngle(Math.PI, 4) - Math.PI / 2) < 1e-12);
+    assert.ok(Math.abs(attitude.slewAngle(-Math.PI, 8) + Math.PI) < 1e-12);
+    // Short slews never reach it
+    assert.ok(Math.abs(attitude.slewTime(10 * deg) - 2 * Math.sqrt(10 / 15)) < 1e-12);
+    // Turning the long way round is never needed
+    assert.equal(attitude.slewTime(1.5 * Math.PI), attitude.slewTime(0.5 * Math.PI));
+    assert.throws(() => new AttitudeModel(0, 1), InvalidInputError);
+});
+
+test('a flight from rest flips at the midpoint', () => {
+    const path = new SlewingFlightPath(new Vec2(50, 500), new Vec2(950, 500), 1, Vec2.zero, attitude);
+    assert.deepEqual(path.phases.map(phase => Boolean(phase.slew)), [false, true, false]);
+    assert.equal(path.phases[1].duration, 8);
+    assert.ok(path.t_max > new LineFlightPath(new Vec2(50, 500), new Vec2(950, 500), 1).t_max);
+    assertVecClose(path.rocketPosition(path.t_max), new Vec2(950, 500), 1e-9, 'end position');
+    assertVecClose(path.rocketVelocity(path.t_max), Vec2.zero, 1e-9, 'end velocity');
+});
+
+test('the orientation follows the burns and turns no faster than the limits', () => {
+    const path = new SlewingFlightPath(new Vec2(0, 0), new Vec2(300, 400), 1.5, new Vec2(-4, 3), attitude, Math.PI / 3);
+    assert.ok(Math.abs(path.rocketOrientation(0) - Math.PI / 3) < 1e-12);
+    for (const phase of path.phases.filter(phase => !phase.slew)) {
+        const heading = path.rocketOrientation(phase.start + phase.duration / 2);
+        assert.ok(Math.abs(wrapAngle(heading - Math.atan2(phase.thrust.y, phase.thrust.x))) < 1e-12);
+    }
+    const n = 2000;
+    const dt = path.t_max / n;
+    for (let i = 0; i < n; i++) {
+        const turn = Math.abs(wrapAngle(path.rocketOrientation((i + 1) * dt) - path.rocketOrientation(i * dt)));
+        assert.ok(turn <= 30 * deg * dt * (1 + 1e-9));
+    }
+});
+
+test('a ship already pointed along its burn does not slew first', () => {
+    const path = new SlewingFlightPath(new Vec2(0, 0), new Vec2(500, 0), 1, new Vec2(3, 0), attitude, 0);
+    assert.deepEqual(path.phases.map(phase => Boolean(phase.slew)), [false, true, false]);
+    assert.ok(path.phases[0].thrust.x > 0);
+});
+
+test('paths without an attitude model point along the last burn', () => {
+    const path = new LineFlightPath(new Vec2(0, 0), new Vec2(0, 100), 1);
+    assert.ok(Math.abs(path.rocketOrientation(1) - Math.PI / 2) < 1e-12);
+    assert.ok(Math.abs(path.rocketOrientation(path.t_max) + Math.PI / 2) < 1e-12);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+function runCli(args, input) {
+    return spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 60000 });
+}
+
+test('the CLI solves JSON scenarios and reports failures per scenario', () => {
+    const scenarios = [
+        { id: 'ok', p_start: [0, 0], v0: [1, 0], p_end: [100, 50], a_max: 2, solver: 'better' },
+        { id: 'bad', p_start: [0, 0], p_end: [100, 50], a_max: 0 }
+    ];
+    const result = runCli(['--samples', '4'], JSON.stringify(scenarios));
+    assert.equal(result.status, 1);
+
+    const [ok, bad] = JSON.parse(result.stdout);
+    assert.equal(ok.ok, true);
+    assert.equal(ok.waypoints.length, 5);
+    assert.ok(Math.abs(ok.final_position.x - 100) < 1e-9 && Math.abs(ok.final_position.y - 50) < 1e-9);
+    assert.equal(bad.ok, false);
+    assert.equal(bad.error_type, 'InvalidInputError');
+});
+
+test('the CLI reads and writes CSV', () => {
+    const input = 'id,p_start_x,p_start_y,v0_x,v0_y,p_end_x,p_end_y,a_max,solver\na,0,0,1,2,300,40,1.5,basic\n';
+    const result = runCli(['--format', 'csv', '--samples', '4'], input);
+    assert.equal(result.status, 0);
+    const [header, ...rows] = result.stdout.trim().split('\n');
+    assert.equal(header, 'id,solver,ok,t_max,final_x,final_y,final_vx,final_vy,error_type,error,waypoint,t,x,y,vx,vy');
+    assert.equal(rows.length, 5);
+    assert.match(rows[0], /^a,basic,true,/);
+    assert.deepEqual(rows[0].split(',').slice(10, 13), ['0', '0', '0']);
+    const last = rows[4].split(',');
+    assert.equal(last[10], '4');
+    assert.ok(Math.abs(Number(last[12]) - 300) < 1e-9 && Math.abs(Number(last[13]) - 40) < 1e-9);
+
+    // Failed scenarios keep a single row without waypoints
+    const failed = runCli(['--format', 'csv'], input.replace('1.5', '0')).stdout.trim().split('\n');
+    assert.equal(failed.length, 2);
+    assert.match(failed[1], /^a,basic,false,.*InvalidInputError,.*,,,,,,$/);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec2, InitialVFlightPath, InvalidInputError } from '../trajectory.js';
+import { distanceToSegment, pathMetrics, compareSolvers } from '../compare.js';
+
+const close = (actual, expected, tolerance, message) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} != ${expected}`);
+
+test('distances to a segment are measured to its nearest end past either end', () => {
+    const a = new Vec2(0, 0);
+    const b = new Vec2(10, 0);
+    assert.equal(distanceToSegment(new Vec2(4, 3), a, b), 3);
+    assert.equal(distanceToSegment(new Vec2(13, 4), a, b), 5);
+    assert.equal(distanceToSegment(new Vec2(3, 4), a, a), 5);
+});
+
+test('a flight from rest has the bang-bang metrics and no deviation', () => {
+    // Accelerate over half the distance and brake over the other half
+    const path = new InitialVFlightPath(new Vec2(0, 0), new Vec2(400, 300), 2, Vec2.zero);
+    const metrics = pathMetrics(path);
+    close(metrics.t_max, 2 * Math.sqrt(500 / 2), 1e-9, 't_max');
+    close(metrics.peak_speed, Math.sqrt(2 * 500), 1e-9, 'peak speed');
+    close(metrics.delta_v, 2 * Math.sqrt(2 * 500), 1e-9, 'delta-v');
+    close(metrics.max_deviation, 0, 1e-9, 'deviation');
+});
+
+test('compared solvers differ once the initial velocity has a sideways component', () => {
+    const p_start = new Vec2(100, 500);
+    const p_end = new Vec2(900, 500);
+    const [basic, better] = compareSolvers(['basic', 'better'], p_start, p_end, 1, new Vec2(5, 8));
+    assert.deepEqual([basic.label, better.label], ['Basic', 'Advanced']);
+    // Basic ignores the sideways velocity and flies the straight line
+    close(basic.metrics.max_deviation, 0, 1e-9, 'basic deviation');
+    assert.ok(better.metrics.max_deviation > 10);
+    assert.ok(better.metrics.peak_speed >= new Vec2(5, 8).length());
+    assert.ok(better.metrics.t_max !== basic.metrics.t_max);
+});
+
+test('solvers that fail are reported with their error', () => {
+    const entries = compareSolvers(['basic', 'better'], new Vec2(0, 0), new Vec2(100, 0), 0, Vec2.zero);
+    assert.ok(entries.every(entry => entry.path === null && entry.error instanceof InvalidInputError));
+    assert.throws(() => compareSolvers(['magic'], new Vec2(0, 0), new Vec2(100, 0), 1, Vec2.zero), InvalidInputError);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Vec2,
+    BoxEnvelope,
+    EllipseEnvelope,
+    MainRcsEnvelope,
+    LineFlightPath,
+    InitialVFlightPath,
+    CoastFlightPath,
+    TimeOptimalFlightPath,
+    InvalidInputError
+} from '../trajectory.js';
+import { GuidedFlightPath } from '../guidance.js';
+import { assertVecClose } from './helpers.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-12, `${message}: ${actual} != ${expected}`);
+
+test('envelopes give the largest acceleration along a direction', () => {
+    const diagonal = new Vec2(1, 1).norm();
+    close(new BoxEnvelope(2, 1).maxAlong(new Vec2(1, 0)), 2, 'box along x');
+    close(new BoxEnvelope(2, 1).maxAlong(diagonal), Math.SQRT2, 'box diagonal');
+    close(new EllipseEnvelope(2, 1).maxAlong(new Vec2(0, -1)), 1, 'ellipse along y');
+    close(new EllipseEnvelope(2, 1).maxAlong(diagonal), 2 * Math.SQRT2 / Math.sqrt(5), 'ellipse diagonal');
+
+    const ship = new MainRcsEnvelope(3, 0.5, Math.PI / 2);
+    close(ship.maxAlong(new Vec2(0, 1)), 3.5, 'main engine and RCS forwards');
+    close(ship.maxAlong(new Vec2(0, -1)), 0.5, 'RCS backwards');
+    close(ship.maxAlong(new Vec2(1, 0)), 0.5, 'RCS sideways');
+    close(ship.largest(), Math.hypot(3.5, 0.5), 'largest of main engine and RCS');
+    close(new BoxEnvelope(2, 1).largest(), Math.sqrt(5), 'largest of box');
+});
+
+test('a main engine and RCS reach sideways exactly perpendicular to the nose', () => {
+    const cases = [
+        [0, new Vec2(0, 100)],
+        [0, new Vec2(0, -100)],
+        [Math.PI / 2, new Vec2(100, 0)],
+        [Math.PI / 2, new Vec2(-100, 0)]
+    ];
+    for (const [heading, p_end] of cases) {
+        const envelope = new MainRcsEnvelope(0.5, 0.1, heading);
+        const reach = envelope.maxAlong(p_end.norm());
+        assert.ok(reach > 0 && Number.isFinite(reach), `reach at heading ${heading}: ${reach}`);
+        const line = new LineFlightPath(Vec2.zero, p_end, envelope);
+        assertVecClose(line.rocketPosition(line.t_max), p_end, 1e-9, 'line end');
+        const path = new InitialVFlightPath(Vec2.zero, p_end, envelope, Vec2.zero);
+        assertVecClose(path.rocketPosition(path.t_max), p_end, 1e-9, 'path end');
+    }
+    // Exactly sideways at heading 0, the lateral thrusters alone set the limit
+    close(new MainRcsEnvelope(0.5, 0.1, 0).maxAlong(new Vec2(0, 1)), 0.1, 'RCS sideways');
+});
+
+test('straight lines with weaker braking switch to braking early and end at rest', () => {
+    const p_end = new Vec2(400, 0);
+    const path = new LineFlightPath(Vec2.zero, p_end, new MainRcsEnvelope(1.5, 0.5, 0));
+    close(path.a_accel, 2, 'acceleration');
+    close(path.a_brake, 0.5, 'braking');
+    assert.ok(path.t_switch < path.t_max / 2);
+    // Braking at a quarter of the acceleration takes four times the distance
+    close(path.rocketPosition(path.t_switch).x, 80, 'switch position');
+    assertVecClose(path.rocketPosition(path.t_max), p_end, 1e-9, 'end position');
+    assertVecClose(path.rocketVelocity(path.t_max), Vec2.zero, 1e-9, 'end velocity');
+});
+
+test('InitialV with an envelope ends at rest and never leaves the envelope', () => {
+    for (const envelope of [new BoxEnvelope(1, 0.25), new EllipseEnvelope(0.4, 1.2), new MainRcsEnvelope(1, 0.2, 2)]) {
+        const p_start = new Vec2(100, 700);
+        const p_end = new Vec2(800, 200);
+        const v0 = new Vec2(-6, -9);
+        const path = new InitialVFlightPath(p_start, p_end, envelope, v0);
+        assertVecClose(path.rocketPosition(path.t_max), p_end, 1e-8, 'end position');
+        assertVecClose(path.rocketVelocity(path.t_max), Vec2.zero, 1e-8, 'end velocity');
+        for (const phase of path.phases) {
+            const a = phase.thrust.length();
+            assert.ok(a > 0 && a <= envelope.maxAlong(phase.thrust.norm()) * (1 + 1e-12));
+        }
+    }
+});
+
+test('a circular envelope flies the same path as a plain a_max', () => {
+    const p_start = new Vec2(50, 500);
+    const p_end = new Vec2(950, 300);
+    const v0 = new Vec2(3, 4);
+    const plain = new InitialVFlightPath(p_start, p_end, 0.8, v0);
+    const box = new InitialVFlightPath(p_start, p_end, new BoxEnvelope(0.8, 0.8), v0);
+    const ellipse = new InitialVFlightPath(p_start, p_end, new EllipseEnvelope(0.8, 0.8), v0);
+    close(ellipse.t_max, plain.t_max, 'ellipse t_max');
+    assertVecClose(ellipse.rocketPosition(plain.t_max / 3), plain.rocketPosition(plain.t_max / 3), 1e-9, 'ellipse position');
+    // The box reaches further along diagonals, so it is at least as fast
+    assert.ok(box.t_max <= plain.t_max + 1e-9);
+});
+
+test('solvers that assume a circular limit reject envelopes', () => {
+    const envelope = new BoxEnvelope(1, 0.5);
+    const p_end = new Vec2(100, 100);
+    assert.throws(() => new TimeOptimalFlightPath(Vec2.zero, p_end, envelope, Vec2.zero), InvalidInputError);
+    assert.throws(() => new CoastFlightPath(Vec2.zero, p_end, envelope, 0, 100), InvalidInputError);
+    assert.throws(() => new GuidedFlightPath(Vec2.zero, p_end, envelope, Vec2.zero), InvalidInputError);
+    assert.throws(() => new BoxEnvelope(1, 0), InvalidInputError);
+});
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec2, InitialVFlightPath, InvalidInputError } from '../trajectory.js';
+import { MAX_SAMPLES, sampleTimeSeries } from '../export.js';
+
+test('time series include both ends and refuse more than MAX_SAMPLES samples', () => {
+    const path = new InitialVFlightPath(new Vec2(0, 0), new Vec2(900, 0), 1, Vec2.zero);
+    const samples = sampleTimeSeries(path, 10);
+    assert.equal(samples.length, Math.ceil(path.t_max * 10) + 1);
+    assert.equal(samples.at(-1).t, path.t_max);
+    assert.ok(Math.abs(samples.at(-1).x - 900) < 1e-9);
+
+    assert.throws(() => sampleTimeSeries(path, MAX_SAMPLES / path.t_max + 1), InvalidInputError);
+    assert.throws(() => sampleTimeSeries(path, 0), InvalidInputError);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec2, InitialVFlightPath, InvalidInputError } from '../trajectory.js';
+import { formationSlots, assignTargets, SynchronizedFlightPath, findConflicts, FleetPlan } from '../fleet.js';
+import { assertVecClose } from './helpers.js';
+
+test('formation slots are spacing apart around the center', () => {
+    const center = new Vec2(500, 500);
+    for (const shape of ['line', 'wedge', 'circle', 'grid']) {
+        const slots = formationSlots(shape, center, 5, 40, 0.3);
+        assert.equal(slots.length, 5);
+        const gaps = slots.flatMap((p, i) => slots.slice(i + 1).map(q => p.sub(q).length()));
+        assert.ok(Math.min(...gaps) >= 40 - 1e-9, `${shape} slots too close`);
+    }
+    assertVecClose(formationSlots('wedge', center, 3, 40)[0], center, 1e-12, 'wedge leader');
+    assert.throws(() => formationSlots('blob', center, 3, 40), InvalidInputError);
+});
+
+test('targets are assigned to minimise the latest arrival', () => {
+    const ships = [
+        { p_start: new Vec2(0, 0), v0: Vec2.zero, a_max: 1 },
+        { p_start: new Vec2(0, 100), v0: Vec2.zero, a_max: 1 }
+    ];
+    // Swapped slots would make both ships cross over
+    assert.deepEqual(assignTargets(ships, [new Vec2(500, 100), new Vec2(500, 0)]), [1, 0]);
+    assert.throws(() => assignTargets(ships, [new Vec2(500, 0)]), InvalidInputError);
+});
+
+test('synchronized paths arrive at rest at the requested time with less acceleration', () => {
+    const p_start = new Vec2(100, 100);
+    const p_end = new Vec2(600, 300);
+    const v0 = new Vec2(2, -1);
+    const fastest = new InitialVFlightPath(p_start, p_end, 1, v0).t_max;
+    const path = new SynchronizedFlightPath(a => new InitialVFlightPath(p_start, p_end, a, v0), 1, fastest * 1.5);
+    assert.ok(path.a_used < 1);
+    assert.ok(Math.abs(path.t_max - fastest * 1.5) < 1e-9);
+    assert.ok(path.wait_time < 1e-6 * path.t_max);
+    assertVecClose(path.rocketPosition(path.t_max), p_end, 1e-6, 'end position');
+    assertVecClose(path.rocketVelocity(path.t_max), Vec2.zero, 1e-9, 'end velocity');
+});
+
+test('the fleet arrives together and detours around close approaches', () => {
+    // Two ships crossing in the middle at the same time
+    const ships = [
+        { p_start: new Vec2(100, 500), v0: Vec2.zero, a_max: 1 },
+        { p_start: new Vec2(500, 100), v0: Vec2.zero, a_max: 1 }
+    ];
+    const targets = [new Vec2(900, 500), new Vec2(500, 900)];
+    assert.equal(findConflicts(ships.map((ship, i) => new InitialVFlightPath(ship.p_start, targets[i], 1, ship.v0)), 30).length, 1);
+
+    const plan = new FleetPlan(ships, targets, { min_separation: 30 });
+    assert.deepEqual(plan.conflicts, []);
+    assert.ok(plan.detours.some(detour => detour !== null));
+    // While a ship is dragged the conflict is only found
+    const quick = new FleetPlan(ships, targets, { min_separation: 30, detours: false });
+    assert.equal(quick.conflicts.length, 1);
+    assert.deepEqual(quick.detours, [null, null]);
+    plan.paths.forEach((path, i) => {
+        assert.ok(Math.abs(path.t_max - plan.t_arrival) < 1e-9);
+        assertVecClose(path.rocketPosition(plan.t_arrival), targets[i], 1e-6, `ship ${i} end position`);
+    });
+});
+
+test('ships that start too close together stay in conflict', () => {
+    const ships = [
+        { p_start: new Vec2(100, 500), v0: Vec2.zero, a_max: 1 },
+        { p_start: new Vec2(110, 500), v0: Vec2.zero, a_max: 2 }
+    ];
+    const plan = new FleetPlan(ships, [new Vec2(800, 400), new Vec2(800, 600)], { min_separation: 30 });
+    assert.equal(plan.conflicts.length, 1);
+    assert.deepEqual(plan.conflicts[0].ships, [0, 1]);
+    assert.deepEqual(plan.unavoidable, [{ ships: [0, 1], end: 'start', distance: 10 }]);
+});
+
+test('slots closer than the minimum separation are reported without searching for detours', () => {
+    const ships = [
+        { p_start: new Vec2(100, 300), v0: Vec2.zero, a_max: 1 },
+        { p_start: new Vec2(100, 700), v0: Vec2.zero, a_max: 1 }
+    ];
+    const plan = new FleetPlan(ships, [new Vec2(800, 490), new Vec2(800, 510)], { min_separation: 30 });
+    assert.deepEqual(plan.unavoidable, [{ ships: [0, 1], end: 'target', distance: 20 }]);
+    assert.equal(plan.conflicts.length, 1);
+    assert.deepEqual(plan.detours, [null, null]);
+});
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { Vec2 } from '../trajectory.js';
+import { seededRandom } from '../guidance.js';
+
+const FIXTURES = new URL('./fixtures/failing-seeds.json', import.meta.url);
+
+/**
+ * Random scenario inputs drawn from a seeded generator, in the ranges of the canvas
+ */
+function randomScenario(seed) {
+    const random = seededRandom(seed);
+    const point = () => new Vec2(random() * 1000, random() * 1000);
+    const velocity = scale => new Vec2((random() * 2 - 1) * scale, (random() * 2 - 1) * scale);
+    return {
+        seed,
+        p_start: point(),
+        p_end: point(),
+        a_max: 0.2 + random() * 5,
+        v0: velocity(40),
+        v_end: velocity(5),
+        waypoint: point()
+    };
+}
+
+function assertVecClose(actual, expected, tolerance, message) {
+    const error = actual.sub(expected).length();
+    assert.ok(error <= tolerance, `${message}: |${JSON.stringify(actual)} - ${JSON.stringify(expected)}| = ${error} > ${tolerance}`);
+}
+
+function readFailingSeeds() {
+    try {
+        return JSON.parse(readFileSync(FIXTURES, 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+function recordFailingSeed(name, seed) {
+    const seeds = readFailingSeeds();
+    seeds[name] = [...new Set([...(seeds[name] ?? []), seed])].sort((a, b) => a - b);
+    writeFileSync(FIXTURES, JSON.stringify(seeds, null, 2) + '\n');
+}
+
+/**
+ * Checks property(scenario) for runs random seeds starting at PROPERTY_SEED
+ * (default 1). Failing seeds are added to test/fixtures/failing-seeds.json,
+ * where the regression tests replay them on every run.
+ */
+function checkProperty(name, property, runs = 200) {
+    const first = Number(process.env.PROPERTY_SEED ?? 1);
+    for (let seed = first; seed < first + runs; seed++) {
+        try {
+            property(randomScenario(seed));
+        } catch (error) {
+            recordFailingSeed(name, seed);
+            error.message = `${name} failed for seed ${seed} (recorded in test/fixtures): ${error.message}`;
+            throw error;
+        }
+    }
+}
+
+export {
+    randomScenario,
+    assertVecClose,
+    readFailingSeeds,
+    checkProperty
+};
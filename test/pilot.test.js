@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec2, InitialVFlightPath, InvalidInputError } from '../trajectory.js';
+import { RocketModel } from '../fuel.js';
+import { keyboardCommand, gamepadCommand, PilotFlight } from '../pilot.js';
+import { assertVecClose } from './helpers.js';
+
+const gamepad = (axes, pressed = []) => ({
+    axes,
+    buttons: Array.from({ length: 16 }, (_, i) => ({ pressed: pressed.includes(i) }))
+});
+
+// Steps without thrust until the ship arrives, or gives up
+function fly(flight, dt) {
+    for (let i = 0; i < 100000 && !flight.arrived; i++) flight.step(dt);
+}
+
+test('held keys thrust in their screen direction at full thrust', () => {
+    assertVecClose(keyboardCommand(['KeyW']), new Vec2(0, -1), 1e-15, 'up');
+    assertVecClose(keyboardCommand(['ArrowRight', 'KeyS']), new Vec2(Math.SQRT1_2, Math.SQRT1_2), 1e-15, 'diagonal');
+    assert.deepEqual(keyboardCommand(['KeyA', 'KeyD', 'Space']), Vec2.zero);
+});
+
+test('the gamepad stick thrusts from zero past the deadzone, and the d-pad at full thrust', () => {
+    assert.deepEqual(gamepadCommand(gamepad([0.1, -0.1])), Vec2.zero);
+    assertVecClose(gamepadCommand(gamepad([0, 1])), new Vec2(0, 1), 1e-15, 'full deflection');
+    assertVecClose(gamepadCommand(gamepad([0.575, 0])), new Vec2(0.5, 0), 1e-12, 'half way past the deadzone');
+    assertVecClose(gamepadCommand(gamepad([0.5, 0.5], [14])), new Vec2(-1, 0), 1e-15, 'd-pad');
+});
+
+test('manual thrust integrates exactly whatever the frame rate', () => {
+    const flight = new PilotFlight(new Vec2(0, 0), new Vec2(1000, 0), 2, new Vec2(0, 3));
+    // Nothing happens before the first thrust
+    flight.step(5);
+    assert.equal(flight.t, 0);
+    for (let i = 0; i < 7; i++) flight.step(1 / 7, new Vec2(1, 0));
+    for (let i = 0; i < 3; i++) flight.step(1 / 3, new Vec2(3, 4));
+    assert.ok(Math.abs(flight.t - 2) < 1e-12);
+    // One second at 2 along x, then one at 2 along (0.6, 0.8) as the command is clamped to full thrust
+    assertVecClose(flight.velocity, new Vec2(2 + 1.2, 3 + 1.6), 1e-12, 'velocity');
+    assertVecClose(flight.position, new Vec2(1 + 2 + 0.6, 3 + 3 + 0.8), 1e-12, 'position');
+    assert.ok(Math.abs(flight.delta_v - 4) < 1e-12);
+    assert.equal(flight.arrived, false);
+});
+
+test('the autopilot from the start matches the solver exactly', () => {
+    const flight = new PilotFlight(new Vec2(50, 500), new Vec2(950, 500), 1, new Vec2(0, 2));
+    flight.engageAutopilot();
+    fly(flight, 1 / 60);
+    const { reference } = flight;
+    assert.ok(Math.abs(flight.arrived_at - reference.t_max) < 1e-9);
+    assert.ok(Math.abs(flight.delta_v - reference.deltaV()) < 1e-9);
+    assert.ok(Math.abs(flight.autopilot_time - flight.t) < 1e-9);
+    assert.equal(flight.autopilot, null);
+});
+
+test('flying by hand first costs time against the solver, and the autopilot takes over from there', () => {
+    const p_end = new Vec2(400, 0);
+    const flight = new PilotFlight(Vec2.zero, p_end, 1, Vec2.zero);
+    // Thrust the wrong way for a while, then let the autopilot recover
+    for (let i = 0; i < 100; i++) flight.step(0.05, new Vec2(0, 1));
+    const plan = new InitialVFlightPath(flight.position, p_end, 1, flight.velocity);
+    flight.engageAutopilot();
+    fly(flight, 0.05);
+    assert.ok(Math.abs(flight.arrived_at - (5 + plan.t_max)) < 1e-9);
+    assert.ok(Math.abs(flight.delta_v - (5 + plan.deltaV())) < 1e-9);
+    assert.ok(flight.arrived_at > flight.reference.t_max);
+    assert.ok(flight.position.sub(p_end).length() <= flight.arrival_distance);
+});
+
+test('arriving slowly within the arrival distance counts the braking left', () => {
+    const flight = new PilotFlight(Vec2.zero, new Vec2(100, 0), 1, Vec2.zero, 5);
+    // Accelerate to 3 m/s, slow enough to stop within 5 m, and coast into the arrival circle
+    for (let i = 0; i < 3; i++) flight.step(1, new Vec2(1, 0));
+    fly(flight, 0.5);
+    assert.ok(flight.arrived);
+    assert.ok(Math.abs(flight.arrived_at - (flight.t + 3)) < 1e-9);
+    assert.ok(Math.abs(flight.delta_v - 6) < 1e-9);
+    assert.throws(() => new PilotFlight(Vec2.zero, new Vec2(100, 0), 0, Vec2.zero), InvalidInputError);
+});
+
+test('a ship that starts at rest on the target arrives as soon as the autopilot is on', () => {
+    const p = new Vec2(5, 5);
+    const flight = new PilotFlight(p, p, 2, Vec2.zero);
+    assert.equal(flight.arrival_distance, 1);
+    flight.engageAutopilot();
+    flight.step(1 / 60);
+    assert.equal(flight.arrived_at, 0);
+    assert.equal(flight.delta_v, 0);
+    assert.equal(flight.reference.t_max, 0);
+});
+
+test('the fuel for a delta-v follows the rocket equation', () => {
+    const rocket = new RocketModel(1000, 500, 200, 1500);
+    assert.ok(Math.abs(rocket.fuelForDeltaV(rocket.deltaVCapacity()) - 500) < 1e-9);
+    assert.equal(rocket.fuelForDeltaV(0), 0);
+});
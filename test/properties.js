@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict';
+import {
+    Vec2,
+    LineFlightPath,
+    DirectedInitialVFlightPath,
+    InitialVFlightPath,
+    CoastFlightPath,
+    RendezvousFlightPath,
+    InterceptFlightPath,
+    TimeOptimalFlightPath
+} from '../trajectory.js';
+import { Route } from '../route.js';
+import { AttitudeModel, SlewingFlightPath } from '../attitude.js';
+import { assertVecClose } from './helpers.js';
+
+/**
+ * The solvers under test for a scenario, with the state each must start in and,
+ * where it is fixed, the state it must end in
+ */
+function solverCases(s) {
+    const direction = s.p_end.sub(s.p_start).normOrZero();
+    const initial_v = s.v0.dot(direction);
+    const rest = { position: s.p_end, velocity: Vec2.zero };
+    const target = { position: s.p_end, velocity: s.v_end };
+    const intercept = new InterceptFlightPath(s.p_start, target, s.a_max, s.v0);
+    return [
+        { name: 'LineFlightPath', path: new LineFlightPath(s.p_start, s.p_end, s.a_max), v0: Vec2.zero, end: rest },
+        {
+            name: 'DirectedInitialVFlightPath',
+            path: new DirectedInitialVFlightPath(s.p_start, s.p_end, s.a_max, initial_v),
+            v0: direction.mul(initial_v),
+            end: rest
+        },
+        { name: 'InitialVFlightPath', path: new InitialVFlightPath(s.p_start, s.p_end, s.a_max, s.v0), v0: s.v0, end: rest },
+        {
+            name: 'CoastFlightPath',
+            path: new CoastFlightPath(s.p_start, s.p_end, s.a_max, initial_v, 0),
+            v0: direction.mul(initial_v),
+            end: rest
+        },
+        {
+            name: 'SlewingFlightPath',
+            path: new SlewingFlightPath(s.p_start, s.p_end, s.a_max, s.v0, new AttitudeModel(0.5, 0.25),
+                s.v0.length() > 0 ? Math.atan2(s.v0.y, s.v0.x) : null),
+            v0: s.v0,
+            end: rest
+        },
+        {
+            name: 'TimeOptimalFlightPath',
+            path: new TimeOptimalFlightPath(s.p_start, s.p_end, s.a_max, s.v0),
+            v0: s.v0,
+            end: rest
+        },
+        {
+            name: 'Route',
+            path: new Route(s.p_start, [{ position: s.waypoint }, { position: s.p_end }], s.a_max, s.v0),
+            v0: s.v0,
+            end: rest
+        },
+        {
+            name: 'RendezvousFlightPath',
+            path: new RendezvousFlightPath(s.p_start, s.p_end, s.a_max, s.v0, s.v_end),
+            v0: s.v0,
+            end: null
+        },
+        {
+            name: 'InterceptFlightPath',
+            path: intercept,
+            v0: s.v0,
+            end: { position: intercept.meeting_point, velocity: null }
+        }
+    ];
+}
+
+// Tolerances scale with the size of the scenario
+const positionTolerance = path => 1e-6 * (1000 + path.t_max);
+const velocityTolerance = (path, a_max) => 1e-6 * (1 + a_max * path.t_max);
+
+const properties = {
+    'starts at p_start with v0': s => {
+        for (const { name, path, v0 } of solverCases(s)) {
+            assertVecClose(path.rocketPosition(0), s.p_start, positionTolerance(path), `${name} start position`);
+            assertVecClose(path.rocketVelocity(0), v0, velocityTolerance(path, s.a_max), `${name} start velocity`);
+        }
+    },
+
+    'ends at the target state at t_max': s => {
+        for (const { name, path, end } of solverCases(s)) {
+            assert.ok(Number.isFinite(path.t_max) && path.t_max >= 0, `${name} t_max ${path.t_max}`);
+            if (!end) continue;
+            assertVecClose(path.rocketPosition(path.t_max), end.position, positionTolerance(path), `${name} end position`);
+            if (end.velocity) {
+                assertVecClose(path.rocketVelocity(path.t_max), end.velocity, velocityTolerance(path, s.a_max),
+                    `${name} end velocity`);
+            }
+        }
+        const rendezvous = new RendezvousFlightPath(s.p_start, s.p_end, s.a_max, s.v0, s.v_end);
+        assertVecClose(rendezvous.rocketVelocity(rendezvous.t_max), s.v_end, velocityTolerance(rendezvous, s.a_max),
+            'RendezvousFlightPath end velocity');
+    },
+
+    'position is continuous across phase boundaries': s => {
+        for (const { name, path } of solverCases(s)) {
+            const eps = 1e-9 * (1 + path.t_max);
+            for (const phase of path.phases.slice(1)) {
+                const t = phase.start;
+                assertVecClose(path.rocketPosition(t + eps), path.rocketPosition(t - eps), positionTolerance(path),
+                    `${name} position jump at t = ${t}`);
+                assertVecClose(path.rocketVelocity(t + eps), path.rocketVelocity(t - eps), velocityTolerance(path, s.a_max),
+                    `${name} velocity jump at t = ${t}`);
+            }
+        }
+    },
+
+    'velocity is the derivative of position': s => {
+        for (const { name, path } of solverCases(s)) {
+            const h = 1e-5 * path.t_max;
+            const boundaries = path.phases.map(phase => phase.start);
+            for (let i = 1; i < 50; i++) {
+                const t = (path.t_max / 50) * i;
+                if (boundaries.some(b => Math.abs(b - t) < 2 * h)) continue;
+                const derivative = path.rocketPosition(t + h).sub(path.rocketPosition(t - h)).div(2 * h);
+                assertVecClose(derivative, path.rocketVelocity(t), 1e-4 * (1 + s.a_max * path.t_max),
+                    `${name} derivative at t = ${t}`);
+            }
+        }
+    },
+
+    'thrust never exceeds a_max': s => {
+        for (const { name, path } of solverCases(s)) {
+            const limit = s.a_max * (1 + 1e-9);
+            for (const phase of path.phases) {
+                assert.ok(phase.thrust.length() <= limit, `${name} phase thrust ${phase.thrust.length()} > ${s.a_max}`);
+            }
+            for (let i = 0; i <= 100; i++) {
+                const a = path.rocketAcceleration((path.t_max / 100) * i).length();
+                assert.ok(a <= limit, `${name} acceleration ${a} > ${s.a_max}`);
+            }
+        }
+    },
+
+    'phases integrate to the velocity': s => {
+        for (const { name, path } of solverCases(s)) {
+            // The time-optimal phases only average its continuously turning thrust
+            if (name === 'TimeOptimalFlightPath') continue;
+            const v_start = path.rocketVelocity(0);
+            for (let i = 1; i <= 20; i++) {
+                const t = (path.t_max / 20) * i * (1 - 1e-12);
+                const v = path.phases.reduce((sum, phase) => {
+                    const overlap = Math.min(t, phase.start + phase.duration) - phase.start;
+                    return overlap > 0 ? sum.add(phase.thrust.mul(overlap)) : sum;
+                }, v_start);
+                assertVecClose(v, path.rocketVelocity(t), velocityTolerance(path, s.a_max), `${name} velocity at t = ${t}`);
+            }
+        }
+    }
+};
+
+export { solverCases, properties };
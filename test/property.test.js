@@ -0,0 +1,7 @@
+import { test } from 'node:test';
+import { properties } from './properties.js';
+import { checkProperty } from './helpers.js';
+
+for (const [name, property] of Object.entries(properties)) {
+    test(`property: ${name}`, () => checkProperty(name, property, 100));
+}
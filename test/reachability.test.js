@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec2, InitialVFlightPath, DirectedInitialVFlightPath } from '../trajectory.js';
+import { cellCenter, timeToTargetCell, timeToTargetGrid, isochroneLevels, isochroneSegments } from '../reachability.js';
+
+const params = {
+    solver: 'better',
+    p_start: { x: 100, y: 500 },
+    v0: { x: 3, y: -1 },
+    a_max: 1,
+    min: { x: 0, y: 0 },
+    max: { x: 1000, y: 1000 },
+    nx: 12,
+    ny: 10
+};
+
+test('every cell holds the solver time to stop at its center', () => {
+    const grid = timeToTargetGrid(params);
+    assert.equal(grid.length, params.nx * params.ny);
+    assert.deepEqual(cellCenter(params, 0, 0), new Vec2(1000 / 24, 50));
+    for (const [i, j] of [[0, 0], [5, 7], [11, 9]]) {
+        const path = new InitialVFlightPath(new Vec2(100, 500), cellCenter(params, i, j), 1, new Vec2(3, -1));
+        assert.equal(grid[j * params.nx + i], path.t_max);
+        assert.equal(timeToTargetCell(params, i, j), path.t_max);
+    }
+});
+
+test('basic flies towards every cell at the given speed, like the Basic experiment', () => {
+    const basic = { ...params, solver: 'basic', initial_v: 3 };
+    for (const [i, j] of [[0, 0], [5, 7], [11, 9]]) {
+        const path = new DirectedInitialVFlightPath(new Vec2(100, 500), cellCenter(params, i, j), 1, 3);
+        assert.ok(Math.abs(timeToTargetCell(basic, i, j) - path.t_max) < 1e-9);
+    }
+});
+
+test('cells the solver cannot reach are NaN', () => {
+    const grid = timeToTargetGrid({ ...params, a_max: 0 });
+    assert.ok(grid.every(Number.isNaN));
+    assert.deepEqual(isochroneLevels(grid), []);
+    assert.deepEqual(isochroneSegments(params, grid, 10), []);
+});
+
+test('isochrones lie where the interpolated time equals their level', () => {
+    const grid = timeToTargetGrid(params);
+    const levels = isochroneLevels(grid, 5);
+    assert.ok(levels.length >= 3);
+    const finite = Array.from(grid);
+    assert.ok(levels.every(level => level > Math.min(...finite) && level < Math.max(...finite)));
+
+    // Sample the grid bilinearly at a point between the cell centers
+    const timeAt = p => {
+        const fx = ((p.x - params.min.x) / (params.max.x - params.min.x)) * params.nx - 0.5;
+        const fy = ((p.y - params.min.y) / (params.max.y - params.min.y)) * params.ny - 0.5;
+        const i = Math.min(Math.floor(fx), params.nx - 2);
+        const j = Math.min(Math.floor(fy), params.ny - 2);
+        const [u, v] = [fx - i, fy - j];
+        const t = (di, dj) => grid[(j + dj) * params.nx + i + di];
+        return (1 - v) * ((1 - u) * t(0, 0) + u * t(1, 0)) + v * ((1 - u) * t(0, 1) + u * t(1, 1));
+    };
+    for (const level of levels) {
+        const segments = isochroneSegments(params, grid, level);
+        assert.ok(segments.length > 0);
+        for (const [a, b] of segments) {
+            assert.ok(Math.abs(timeAt(a) - level) < 1e-9 * level);
+            assert.ok(Math.abs(timeAt(b) - level) < 1e-9 * level);
+        }
+    }
+});
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scenarioToJSON, scenarioFromJSON } from '../scenario.js';
+import {
+    RECORDING_VERSION,
+    KEYFRAME_INTERVAL,
+    RecordingError,
+    Recording,
+    RecordingPlayer,
+    recordingToJSON,
+    parseRecording
+} from '../recording.js';
+
+const interaction = {
+    selected_point: null,
+    drag: false,
+    selected_waypoint: null,
+    selected_ship: null,
+    selected_obstacle: null,
+    selected_body: null
+};
+
+const initial = scenarioToJSON(scenarioFromJSON({
+    version: 1,
+    experiment: 'move',
+    p_start: [50, 500],
+    p_end: [950, 500],
+    click_pos: [950, 500],
+    last_vel: [0, 0],
+    v_end: [0, 0],
+    a_max: 1,
+    time: 0,
+    fuel_weight: 0.5,
+    show_optimal: false,
+    animate: false,
+    waypoints: [],
+    obstacles: [],
+    bodies: [],
+    rocket: { enabled: false, dry_mass: 1000, fuel_mass: 500, exhaust_velocity: 200, max_thrust: 1500 },
+    guidance: { replan_interval: 1, disturbance: 0, misalignment: 0, position_noise: 0, velocity_noise: 0, seed: 1 }
+}));
+
+// A stand-in for the simulation where a drag moves the end point and counts as one step of velocity
+class Model {
+    constructor() {
+        this.applied = 0;
+    }
+
+    restore({ state }) {
+        this.p_end = state.p_end;
+        this.last_vel = state.last_vel;
+    }
+
+    apply(event) {
+        this.applied++;
+        if (event.type === 'drag') {
+            this.last_vel = [this.last_vel[0] + 1, 0];
+            this.p_end = event.pos;
+        }
+        return this.dynamicState();
+    }
+
+    dynamicState() {
+        return { p_start: [50, 500], p_end: this.p_end, click_pos: this.p_end, last_vel: this.last_vel };
+    }
+
+    snapshot() {
+        return { state: { ...initial, p_end: this.p_end, last_vel: this.last_vel }, interaction };
+    }
+}
+
+// Records count drags, 10 ms apart, into a fresh model
+function record(count) {
+    const model = new Model();
+    model.restore({ state: initial });
+    const recording = new Recording(initial, interaction);
+    for (let i = 0; i < count; i++) {
+        const event = { t: 10 * (i + 1), type: 'drag', pos: [100 + i, 200] };
+        recording.add({ ...event, after: model.apply(event) }, () => model.snapshot());
+    }
+    return recording;
+}
+
+test('recordings keep a keyframe every interval and survive a round trip through JSON', () => {
+    const recording = record(2 * KEYFRAME_INTERVAL + 5);
+    assert.deepEqual(recording.keyframes.map(keyframe => keyframe.index), [0, KEYFRAME_INTERVAL, 2 * KEYFRAME_INTERVAL]);
+    assert.equal(recording.duration, 10 * (2 * KEYFRAME_INTERVAL + 5));
+
+    const json = recordingToJSON(recording);
+    assert.equal(json.version, RECORDING_VERSION);
+    const parsed = parseRecording(JSON.stringify(json));
+    assert.deepEqual(recordingToJSON(parsed), json);
+    assert.equal(parsed.duration, recording.duration);
+});
+
+test('keyframes the session cannot give are put off until it can', () => {
+    const model = new Model();
+    model.restore({ state: initial });
+    const recording = new Recording(initial, interaction);
+    for (let i = 0; i < 2 * KEYFRAME_INTERVAL; i++) {
+        const event = { t: 10 * (i + 1), type: 'drag', pos: [100 + i, 200] };
+        // Like a ship in flight during the first 60 events
+        recording.add({ ...event, after: model.apply(event) }, () => i < 60 ? null : model.snapshot());
+    }
+    assert.deepEqual(recording.keyframes.map(keyframe => keyframe.index), [0, 61]);
+    assert.deepEqual(recording.keyframes[1].state.p_end, [160, 200]);
+});
+
+test('seeking back restarts from the last keyframe before the target', () => {
+    const recording = record(2 * KEYFRAME_INTERVAL + 5);
+    const model = new Model();
+    const player = new RecordingPlayer(recording, { restore: keyframe => model.restore(keyframe), apply: event => model.apply(event) });
+
+    player.seek(recording.duration);
+    assert.ok(player.done);
+    assert.equal(model.applied, recording.events.length);
+    assert.deepEqual(model.p_end, [100 + 2 * KEYFRAME_INTERVAL + 4, 200]);
+
+    // Event 70 comes after the keyframe at 50, so only 20 events are replayed
+    model.applied = 0;
+    player.seek(10 * 70 + 5);
+    assert.equal(player.position, 70);
+    assert.equal(model.applied, 70 - KEYFRAME_INTERVAL);
+    assert.deepEqual(model.dynamicState(), recording.events[69].after);
+    assert.equal(player.time, 705);
+
+    assert.ok(player.step());
+    assert.equal(player.position, 71);
+    assert.equal(player.diverged_at, null);
+    player.rewind();
+    assert.equal(player.position, 0);
+    assert.deepEqual(model.p_end, initial.p_end);
+});
+
+test('the first event whose state differs from the recorded one is reported', () => {
+    const recording = record(10);
+    const model = new Model();
+    const player = new RecordingPlayer(recording, {
+        restore: keyframe => model.restore(keyframe),
+        // A simulation that changed since recording and drifts from the fourth event on
+        apply: event => {
+            const state = model.apply(event);
+            return model.applied >= 4 ? { ...state, last_vel: [state.last_vel[0] + 1e-3, 0] } : state;
+        }
+    });
+    while (player.step());
+    assert.equal(player.diverged_at, 3);
+    assert.equal(player.step(), false);
+});
+
+test('malformed recordings name the problem', () => {
+    const json = recordingToJSON(record(3));
+    const broken = (change, pattern) => {
+        const copy = structuredClone(json);
+        change(copy);
+        assert.throws(() => parseRecording(JSON.stringify(copy)), error =>
+            error instanceof RecordingError && pattern.test(error.message));
+    };
+    assert.throws(() => parseRecording('{'), RecordingError);
+    broken(copy => copy.version = 99, /version 99 is not supported/);
+    broken(copy => delete copy.version, /Not a recording file/);
+    broken(copy => copy.events[1].t = 1, /"events\[1\]\.t"/);
+    broken(copy => copy.events[0].type = 'teleport', /"events\[0\]\.type"/);
+    broken(copy => copy.events[2].pos = [1], /"events\[2\]\.pos"/);
+    broken(copy => delete copy.events[0].after.last_vel, /"events\[0\]\.after"/);
+    broken(copy => copy.events.push({ t: 100, type: 'input', id: 'timeRange', after: copy.events[0].after }), /"events\[3\]"/);
+    const pilot = { t: 100, type: 'pilot', steps: 2, command: [0, -1], autopilot: false };
+    broken(copy => copy.events.push({ ...pilot, steps: 0, after: copy.events[0].after }), /"events\[3\]\.steps"/);
+    broken(copy => copy.events.push({ ...pilot, command: null, after: copy.events[0].after }), /"events\[3\]\.command"/);
+    broken(copy => copy.events.push({ ...pilot, autopilot: 1, after: copy.events[0].after }), /"events\[3\]\.autopilot"/);
+    broken(copy => copy.keyframes[0].index = 1, /"keyframes\[0\]\.index"/);
+    broken(copy => copy.keyframes[0].state.experiment = 7, /keyframes\[0\]\.state/);
+    broken(copy => copy.keyframes[0].interaction.selected_obstacle = -1, /"keyframes\[0\]\.interaction"/);
+    broken(copy => copy.keyframes[0].state.obstacles = [{ type: 'circle', center: [500, 250], radius: 0 }],
+        /keyframes\[0\]\.state: "obstacles\[0\]\.radius" must be a positive number/);
+});
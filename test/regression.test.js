@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import { properties } from './properties.js';
+import { randomScenario, readFailingSeeds } from './helpers.js';
+
+// Seeds that once failed a property test keep being checked
+const failing = readFailingSeeds();
+for (const [name, seeds] of Object.entries(failing)) {
+    const property = properties[name];
+    for (const seed of seeds) {
+        test(`regression: ${name} (seed ${seed})`, { skip: !property && 'property no longer exists' },
+            () => property(randomScenario(seed)));
+    }
+}
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec2 } from '../trajectory.js';
+import { CircleObstacle, PolygonObstacle } from '../obstacles.js';
+import { GravityBody } from '../gravity.js';
+import {
+    SCENARIO_VERSION,
+    ScenarioError,
+    scenarioToJSON,
+    parseScenario,
+    encodeScenarioHash,
+    decodeScenarioHash
+} from '../scenario.js';
+
+const state = {
+    experiment: 'route',
+    p_start: new Vec2(50, 500),
+    p_end: new Vec2(950, 500),
+    click_pos: new Vec2(100, 480),
+    last_vel: new Vec2(1, -0.5),
+    v_end: new Vec2(0, -2),
+    a_max: 1.5,
+    time: 0.25,
+    fuel_weight: 0.5,
+    show_optimal: true,
+    animate: false,
+    waypoints: [{ position: new Vec2(300, 300), stop: true }, { position: new Vec2(600, 700), speed: 4, stop: false }],
+    obstacles: [new CircleObstacle(new Vec2(500, 250), 80), new PolygonObstacle([new Vec2(0, 0), new Vec2(10, 0), new Vec2(0, 10)])],
+    bodies: [new GravityBody(new Vec2(500, 650), 8000, 40)],
+    rocket: { enabled: false, dry_mass: 1000, fuel_mass: 500, exhaust_velocity: 200, max_thrust: 1500 },
+    guidance: { replan_interval: 1, disturbance: 0.02, misalignment: 2, position_noise: 0.5, velocity_noise: 0.02, seed: 1 },
+    space3d: { start_z: 0, end_z: 150, vz: -1.5 },
+    attitude: { enabled: true, max_angular_velocity: 45, max_angular_acceleration: 10 },
+    envelope: { type: 'main_rcs', x: 1, y: 0.25, heading: 90 },
+    fleet: {
+        ships: [{ p_start: new Vec2(80, 200), v0: new Vec2(1, 0.5), a_max: 1 }, { p_start: new Vec2(60, 420), v0: Vec2.zero, a_max: 0.6 }],
+        formation: 'circle',
+        spacing: 50,
+        min_separation: 25
+    },
+    vel_scale: 3600,
+    view: { origin: new Vec2(-2e6, -1e6), scale: 2e-4 },
+    compare: { solvers: ['better', 'optimal'] }
+};
+
+test('scenarios survive a round trip through JSON and the URL hash', () => {
+    const json = scenarioToJSON(state);
+    assert.equal(json.version, SCENARIO_VERSION);
+    assert.deepEqual(scenarioToJSON(parseScenario(JSON.stringify(json))), json);
+    assert.deepEqual(scenarioToJSON(decodeScenarioHash('#' + encodeScenarioHash(state))), json);
+    assert.match(encodeScenarioHash(state), /^[A-Za-z0-9_-]+$/);
+});
+
+test('large scenarios fit in the URL hash', () => {
+    const waypoints = Array.from({ length: 20000 }, (_, i) => ({ position: new Vec2(i, -i), speed: i / 7, stop: i % 2 === 0 }));
+    const hash = encodeScenarioHash({ ...state, waypoints });
+    assert.ok(hash.length > 1e6);
+    assert.equal(decodeScenarioHash('#' + hash).waypoints.length, 20000);
+});
+
+test('scenarios saved before the 3D, attitude, envelope, fleet, view and compare settings existed get the defaults', () => {
+    const { space3d, attitude, envelope, fleet, vel_scale, view, compare, ...json } = scenarioToJSON(state);
+    const parsed = parseScenario(JSON.stringify(json));
+    assert.deepEqual(parsed.space3d, { start_z: 0, end_z: 0, vz: 0 });
+    assert.equal(parsed.attitude.enabled, false);
+    assert.equal(parsed.envelope.type, 'circle');
+    assert.deepEqual(parsed.fleet.ships, []);
+    assert.equal(parsed.vel_scale, 25);
+    assert.deepEqual(parsed.view, { origin: Vec2.zero, scale: 1 });
+    assert.deepEqual(parsed.compare.solvers, ['basic', 'better']);
+});
+
+test('malformed and foreign-version scenarios raise a ScenarioError', () => {
+    const json = scenarioToJSON(state);
+    assert.throws(() => parseScenario('{'), ScenarioError);
+    assert.throws(() => parseScenario('[]'), ScenarioError);
+    assert.throws(() => parseScenario(JSON.stringify({ ...json, version: SCENARIO_VERSION - 1 })), /older release/);
+    assert.throws(() => parseScenario(JSON.stringify({ ...json, version: SCENARIO_VERSION + 1 })), /newer release/);
+    assert.throws(() => parseScenario(JSON.stringify({ ...json, p_end: [1] })), /"p_end" must be a vector/);
+    assert.throws(() => parseScenario(JSON.stringify({ ...json, obstacles: [{ type: 'blob' }] })), ScenarioError);
+    assert.throws(() => parseScenario(JSON.stringify({ ...json, envelope: { ...json.envelope, type: 'cube' } })), /"envelope.type"/);
+    assert.throws(() => parseScenario(JSON.stringify({ ...json, view: { ...json.view, scale: 0 } })), /"view.scale"/);
+    assert.throws(() => parseScenario(JSON.stringify({ ...json, compare: { solvers: ['magic'] } })), /"compare.solvers\[0\]"/);
+    assert.throws(() => decodeScenarioHash('#not*base64'), ScenarioError);
+});
+
+test('zero sizes, masses and rates raise a ScenarioError naming the field', () => {
+    const json = scenarioToJSON(state);
+    const rejects = (change, field) => {
+        const copy = structuredClone(json);
+        change(copy);
+        assert.throws(() => parseScenario(JSON.stringify(copy)),
+            error => error instanceof ScenarioError && error.message.includes(`"${field}" must be a positive number`));
+    };
+    rejects(copy => copy.obstacles[0].radius = 0, 'obstacles[0].radius');
+    rejects(copy => copy.bodies[0].radius = 0, 'bodies[0].radius');
+    rejects(copy => copy.rocket.dry_mass = 0, 'rocket.dry_mass');
+    rejects(copy => copy.rocket.exhaust_velocity = 0, 'rocket.exhaust_velocity');
+    rejects(copy => copy.rocket.max_thrust = 0, 'rocket.max_thrust');
+    rejects(copy => copy.a_max = 0, 'a_max');
+    rejects(copy => copy.guidance.replan_interval = 0, 'guidance.replan_interval');
+    rejects(copy => copy.attitude.max_angular_velocity = 0, 'attitude.max_angular_velocity');
+    rejects(copy => copy.fleet.min_separation = 0, 'fleet.min_separation');
+    // An empty tank is fine
+    assert.equal(parseScenario(JSON.stringify({ ...json, rocket: { ...json.rocket, fuel_mass: 0 } })).rocket.fuel_mass, 0);
+});
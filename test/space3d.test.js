@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec2, Vec3, TimeOptimalFlightPath, InvalidInputError } from '../trajectory.js';
+import { InitialVFlightPath3D, TimeOptimalFlightPath3D, OrbitCamera, planeBasis } from '../space3d.js';
+import { solveScenario } from '../solvers.js';
+import { assertVecClose } from './helpers.js';
+
+test('3D paths start with v0 and end at rest at the target', () => {
+    const p_start = new Vec3(10, -20, 30);
+    const p_end = new Vec3(400, 250, -300);
+    const v0 = new Vec3(-3, 4, 6);
+    const path = new InitialVFlightPath3D(p_start, p_end, 1.5, v0);
+    assertVecClose(path.rocketPosition(0), p_start, 1e-9, 'start position');
+    assertVecClose(path.rocketVelocity(0), v0, 1e-9, 'start velocity');
+    assertVecClose(path.rocketPosition(path.t_max), p_end, 1e-9, 'end position');
+    assertVecClose(path.rocketVelocity(path.t_max), Vec3.zero, 1e-9, 'end velocity');
+    for (const phase of path.phases) {
+        assert.ok(phase.thrust.length() <= 1.5 * (1 + 1e-12));
+    }
+});
+
+test('3D paths stay in the plane of the target direction and v0', () => {
+    const path = new InitialVFlightPath3D(Vec3.zero, new Vec3(300, 0, 0), 1, new Vec3(0, 3, 4));
+    const normal = new Vec3(0, -4, 3);
+    for (let i = 0; i <= 20; i++) {
+        assert.ok(Math.abs(path.rocketPosition((path.t_max / 20) * i).dot(normal)) < 1e-9);
+    }
+});
+
+test('the 3D time-optimal path is as fast as the 2D one in its plane', () => {
+    const path3d = new TimeOptimalFlightPath3D(Vec3.zero, new Vec3(300, 0, 400), 1, new Vec3(0, 5, 0));
+    const path2d = new TimeOptimalFlightPath(Vec2.zero, new Vec2(500, 0), 1, new Vec2(0, 5));
+    assert.ok(path3d.converged);
+    assert.ok(Math.abs(path3d.t_max - path2d.t_max) < 1e-9);
+});
+
+test('planeBasis picks a plane when v0 does not define one', () => {
+    for (const [direction, v0] of [
+        [new Vec3(0, 0, 5), Vec3.zero],
+        [new Vec3(1, 1, 0), new Vec3(2, 2, 0)],
+        [Vec3.zero, Vec3.zero]
+    ]) {
+        const { u, w } = planeBasis(direction, v0);
+        assert.ok(Math.abs(u.length() - 1) < 1e-12 && Math.abs(w.length() - 1) < 1e-12);
+        assert.ok(Math.abs(u.dot(w)) < 1e-12);
+    }
+    assert.throws(() => new InitialVFlightPath3D(new Vec3(0, 0, NaN), Vec3.zero, 1, Vec3.zero), InvalidInputError);
+});
+
+test('solveScenario solves scenarios with z components in 3D', () => {
+    const result = solveScenario({ p_start: [0, 0, 0], v0: [1, 0, 2], p_end: [100, 50, -80], a_max: 2, solver: 'optimal' }, 4);
+    assert.ok(Math.abs(result.final_position.z + 80) < 1e-6);
+    assert.ok(Math.abs(result.waypoints[0].vz - 2) < 1e-12);
+    assert.equal(solveScenario({ p_start: [0, 0], p_end: [100, 50], a_max: 2 }).final_position.z, undefined);
+});
+
+test('the orbit camera seen from above matches the 2D canvas orientation', () => {
+    const camera = new OrbitCamera(new Vec3(500, 500, 0), 1000, 0, 1.5);
+    const center = camera.project(new Vec3(500, 500, 0), 1000, 500);
+    assert.ok(Math.abs(center.x - 500) < 1e-9 && Math.abs(center.y - 250) < 1e-9);
+    assert.ok(camera.project(new Vec3(600, 500, 0), 1000, 500).x > center.x);
+    assert.ok(camera.project(new Vec3(500, 600, 0), 1000, 500).y > center.y);
+    assert.equal(camera.project(camera.eye(), 1000, 500), null);
+});
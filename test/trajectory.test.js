@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    Vec2,
+    TrajectoryError,
+    InvalidInputError,
+    DegenerateGeometryError,
+    BreakFlightPath,
+    LineFlightPath,
+    DirectedInitialVFlightPath,
+    InitialVFlightPath,
+    TimeOptimalFlightPath,
+    checkPath
+} from '../trajectory.js';
+import { ROCKET_STAGES, RocketModel, RocketFlightPath } from '../fuel.js';
+import { GuidedFlightPath } from '../guidance.js';
+import { assertVecClose } from './helpers.js';
+
+test('LineFlightPath accelerates to the midpoint and brakes to rest', () => {
+    const path = new LineFlightPath(new Vec2(0, 0), new Vec2(400, 0), 2);
+    assert.equal(path.t_max, 2 * Math.sqrt(400 / 2));
+    assertVecClose(path.rocketPosition(path.t_max / 2), new Vec2(200, 0), 1e-9, 'midpoint');
+    assertVecClose(path.rocketVelocity(path.t_max / 2), new Vec2(path.t_max, 0), 1e-9, 'peak speed');
+    assertVecClose(path.rocketPosition(path.t_max), new Vec2(400, 0), 1e-9, 'end position');
+    assertVecClose(path.rocketVelocity(path.t_max), Vec2.zero, 1e-9, 'end velocity');
+});
+
+test('LineFlightPath velocity uses the same time origin as its position', () => {
+    const path = new LineFlightPath(new Vec2(0, 0), new Vec2(0, 300), 1.5);
+    for (const f of [0.6, 0.75, 0.9]) {
+        const t = path.t_max * f;
+        const h = 1e-6;
+        const derivative = path.rocketPosition(t + h).sub(path.rocketPosition(t - h)).div(2 * h);
+        assertVecClose(path.rocketVelocity(t), derivative, 1e-5, `velocity at ${f} t_max`);
+    }
+});
+
+test('BreakFlightPath stops after v / a_max', () => {
+    const path = new BreakFlightPath(new Vec2(10, 10), 2, new Vec2(6, 8));
+    assert.equal(path.t_max, 5);
+    assertVecClose(path.p_end, new Vec2(10, 10).add(new Vec2(0.6, 0.8).mul(25)), 1e-9, 'stopping point');
+    assertVecClose(path.rocketVelocity(path.t_max), Vec2.zero, 1e-12, 'end velocity');
+});
+
+test('InitialVFlightPath matches DirectedInitialVFlightPath for velocity towards the target', () => {
+    const p_start = new Vec2(0, 0);
+    const p_end = new Vec2(300, 400);
+    const initial = new InitialVFlightPath(p_start, p_end, 1, new Vec2(3, 4));
+    const directed = new DirectedInitialVFlightPath(p_start, p_end, 1, 5);
+    assert.ok(Math.abs(initial.t_max - directed.t_max) < 1e-9);
+});
+
+test('InitialVFlightPath moving away from the target turns around', () => {
+    const path = new InitialVFlightPath(new Vec2(0, 0), new Vec2(100, 0), 1, new Vec2(-10, 5));
+    assertVecClose(path.rocketPosition(path.t_max), new Vec2(100, 0), 1e-6, 'end position');
+    assertVecClose(path.rocketVelocity(path.t_max), Vec2.zero, 1e-6, 'end velocity');
+});
+
+test('TimeOptimalFlightPath is never slower than the heuristic', () => {
+    const path = new TimeOptimalFlightPath(new Vec2(100, 100), new Vec2(700, 400), 1, new Vec2(3, -5));
+    assert.ok(path.converged);
+    assert.ok(path.t_max <= path.heuristic_t_max + 1e-9);
+});
+
+test('coincident start and end give an empty path', () => {
+    const p = new Vec2(5, 5);
+    for (const path of [
+        new LineFlightPath(p, p, 1),
+        new DirectedInitialVFlightPath(p, p, 1, 0),
+        new InitialVFlightPath(p, p, 1, Vec2.zero),
+        new TimeOptimalFlightPath(p, p, 1, Vec2.zero),
+        new GuidedFlightPath(p, p, 1, Vec2.zero, { disturbance: 0.1 })
+    ]) {
+        assert.equal(path.t_max, 0);
+        assert.deepEqual(path.phases, []);
+        checkPath(path);
+    }
+});
+
+test('a moving ship at the target brakes and flies back', () => {
+    const p = new Vec2(5, 5);
+    const path = new InitialVFlightPath(p, p, 1, new Vec2(3, 4));
+    assert.ok(path.t_max > 5);
+    assertVecClose(path.rocketPosition(path.t_max), p, 1e-9, 'end position');
+});
+
+test('a guided flight under noise stops once it is as close as the noise allows', () => {
+    const options = { replan_interval: 1, disturbance: 0.02, misalignment: Math.PI / 90, position_noise: 0.5, velocity_noise: 0.02 };
+    for (let seed = 1; seed <= 3; seed++) {
+        const path = new GuidedFlightPath(new Vec2(50, 500), new Vec2(950, 500), 1, new Vec2(2, 0), { ...options, seed });
+        assert.ok(path.t_max < 1.5 * path.nominal_path.t_max, `seed ${seed} flew ${path.t_max} s`);
+        assert.ok(path.converged);
+        assert.ok(path.miss_distance <= path.arrival_distance && path.final_speed <= path.arrival_speed);
+    }
+    // Without noise the ship flies the plan to the end
+    const exact = new GuidedFlightPath(new Vec2(50, 500), new Vec2(950, 500), 1, new Vec2(2, 0));
+    assert.ok(Math.abs(exact.t_max - exact.nominal_path.t_max) < 1e-6);
+    assert.ok(exact.converged && exact.miss_distance < 1e-6);
+});
+
+test('a rocket plans again as it gets lighter and arrives sooner than with a full tank', () => {
+    const rocket = new RocketModel(1000, 500, 200, 1500);
+    const p_start = new Vec2(50, 500);
+    const p_end = new Vec2(950, 500);
+    const v0 = new Vec2(0, 5);
+    const plan = (p, v, a_max) => new InitialVFlightPath(p, p_end, a_max, v);
+    const path = new RocketFlightPath(rocket, p_start, v0, plan);
+    const full_tank = plan(p_start, v0, rocket.a_max);
+
+    // The flight burns most of the tank, the last stage less than its share
+    assert.equal(path.stages.length, ROCKET_STAGES - 1);
+    assert.ok(path.t_max < full_tank.t_max * 0.95, `${path.t_max} vs ${full_tank.t_max}`);
+    assertVecClose(path.rocketPosition(path.t_max), p_end, 1e-6, 'end position');
+    assertVecClose(path.rocketVelocity(path.t_max), Vec2.zero, 1e-6, 'end velocity');
+    path.stages.forEach((stage, i) => {
+        // Each stage but the last burns an equal share of the tank and plans with the limit at its start
+        const burned = rocket.fuelForDeltaV(path.deltaVBetween(0, stage.start));
+        assert.ok(Math.abs(burned - (rocket.fuel_mass * i) / ROCKET_STAGES) < 1e-9, `fuel before stage ${i}`);
+        assert.ok(Math.abs(stage.a_max - rocket.accelerationLimit(rocket.fuel_mass - burned)) < 1e-12);
+        if (i > 0) {
+            assertVecClose(path.rocketPosition(stage.start), path.stages[i - 1].path.rocketPosition(path.stages[i - 1].duration),
+                1e-9, `position at stage ${i}`);
+        }
+    });
+    assert.ok(rocket.evaluate(path).ok);
+});
+
+test('invalid inputs raise typed errors', () => {
+    const p = new Vec2(0, 0);
+    const q = new Vec2(10, 0);
+    assert.throws(() => new LineFlightPath(p, q, 0), InvalidInputError);
+    assert.throws(() => new InitialVFlightPath(p, q, -1, Vec2.zero), InvalidInputError);
+    assert.throws(() => new InitialVFlightPath(new Vec2(NaN, 0), q, 1, Vec2.zero), InvalidInputError);
+    assert.throws(() => new InitialVFlightPath(p, q, 1, new Vec2(Infinity, 0)), InvalidInputError);
+    assert.throws(() => new DirectedInitialVFlightPath(p, p, 1, 3), DegenerateGeometryError);
+    assert.throws(() => new InitialVFlightPath(p, q, 1e-300, new Vec2(1, 1)), TrajectoryError);
+    assert.throws(() => new RocketModel(0, 10, 100, 100), InvalidInputError);
+});
+
+test('the alignment time stays accurate for a target far ahead and barely off the line', () => {
+    const path = new InitialVFlightPath(Vec2.zero, new Vec2(10, 0), 1, new Vec2(1, 1));
+    // 1e6 ahead and 1 to the side at 1 m/s: for such small angles the time is close to 1e-6 s
+    const t = path.calculateAlignmentTime(new Vec2(1e6, -1), Vec2.zero, 1, new Vec2(1, 0), new Vec2(0, 1), 1);
+    assert.ok(Math.abs(t - 1e-6) < 1e-15);
+});
+
+test('Vec2.norm rejects zero vectors, normOrZero does not', () => {
+    assert.throws(() => Vec2.zero.norm(), DegenerateGeometryError);
+    assert.deepEqual(Vec2.zero.normOrZero(), Vec2.zero);
+    assertVecClose(new Vec2(3, 4).norm(), new Vec2(0.6, 0.8), 1e-15, 'unit vector');
+});
+
+test('typed errors share the TrajectoryError base class', () => {
+    const error = new DegenerateGeometryError('test');
+    assert.ok(error instanceof TrajectoryError);
+    assert.ok(error instanceof Error);
+    assert.equal(error.name, 'DegenerateGeometryError');
+});
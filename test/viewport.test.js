@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vec2, InvalidInputError } from '../trajectory.js';
+import { niceStep, Viewport } from '../viewport.js';
+import { ASTRONOMICAL_UNIT, formatLength, formatSpeed, formatAcceleration, formatDuration } from '../units.js';
+import { assertVecClose } from './helpers.js';
+
+test('grid steps are 1, 2 or 5 times a power of ten', () => {
+    assert.equal(niceStep(40), 50);
+    assert.equal(niceStep(100), 100);
+    assert.equal(niceStep(101), 200);
+    assert.equal(niceStep(0.003), 0.005);
+    assert.equal(niceStep(3e10), 5e10);
+    assert.throws(() => niceStep(0), InvalidInputError);
+});
+
+test('screen and world coordinates convert back and forth', () => {
+    const view = new Viewport(1000, 800, 0.25, new Vec2(-200, 300));
+    const p = new Vec2(123.5, -42);
+    assertVecClose(view.toWorld(view.toScreen(p)), p, 1e-9, 'round trip');
+    assertVecClose(view.toScreen(view.origin), Vec2.zero, 1e-12, 'origin');
+    assertVecClose(view.center(), new Vec2(-200 + 2000, 300 + 1600), 1e-9, 'center');
+    view.pan(new Vec2(10, -20));
+    assertVecClose(view.toScreen(p), new Vec2((123.5 + 200) * 0.25 + 10, (-42 - 300) * 0.25 - 20), 1e-9, 'panned');
+});
+
+test('zooming keeps the world point under the cursor in place', () => {
+    const view = new Viewport(1000, 1000);
+    const cursor = new Vec2(300, 700);
+    const anchor = view.toWorld(cursor);
+    view.zoomAt(cursor, 1e-6);
+    assert.equal(view.scale, 1e-6);
+    assertVecClose(view.toWorld(cursor), anchor, 1e-6, 'anchor');
+    // An astronomical unit fits on the canvas, and the grid follows the zoom
+    view.zoomAt(cursor, 1e-5);
+    assert.ok(view.width / view.scale > ASTRONOMICAL_UNIT);
+    assert.equal(view.gridStep(), 5e12);
+});
+
+test('fit shows every point with a margin', () => {
+    const view = new Viewport(1000, 500);
+    const points = [new Vec2(0, 0), new Vec2(4000, 1000), new Vec2(2000, -500)];
+    view.fit(points, 0.1);
+    const { min, max } = view.bounds();
+    for (const p of points) {
+        assert.ok(p.x >= min.x && p.x <= max.x && p.y >= min.y && p.y <= max.y);
+    }
+    // The x extent is the tighter one
+    assert.ok(Math.abs(view.scale - 800 / 4000) < 1e-12);
+    assertVecClose(view.center(), new Vec2(2000, 250), 1e-9, 'center');
+    // A single point keeps the zoom
+    view.fit([new Vec2(5, 5)]);
+    assert.ok(Math.abs(view.scale - 0.2) < 1e-12);
+    assertVecClose(view.center(), new Vec2(5, 5), 1e-9, 'single point');
+});
+
+test('quantities are shown in the unit that fits their size', () => {
+    assert.equal(formatLength(950), '950.00 m');
+    assert.equal(formatLength(-25000), '-25.00 km');
+    assert.equal(formatLength(1.5 * ASTRONOMICAL_UNIT), '1.50 AU');
+    assert.equal(formatSpeed(2.5), '2.50 m/s');
+    assert.equal(formatSpeed(29780), '29.78 km/s');
+    assert.equal(formatAcceleration(0.5), '0.50 m/s²');
+    assert.equal(formatDuration(12.345), '12.35s');
+    assert.equal(formatDuration(5400), '1.50h');
+    assert.equal(formatDuration(3 * 86400), '3.00d');
+});
@@ -1,3 +1,65 @@
+/**
+ * Base class of the errors raised by the flight path solvers
+ */
+class TrajectoryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// Inputs no trajectory can be built from, e.g. a non-positive a_max or NaN coordinates
+class InvalidInputError extends TrajectoryError {}
+
+// Geometry that leaves a direction undefined, e.g. normalizing a zero vector
+class DegenerateGeometryError extends TrajectoryError {}
+
+// Numerical searches that found no solution
+class ConvergenceError extends TrajectoryError {}
+
+function requireFiniteVec(v, name) {
+    if (!v || !Number.isFinite(v.x) || !Number.isFinite(v.y) || !Number.isFinite(v.z ?? 0)) {
+        throw new InvalidInputError(`${name} must be a vector with finite coordinates`);
+    }
+}
+
+function requireFinite(value, name) {
+    if (!Number.isFinite(value)) {
+        throw new InvalidInputError(`${name} must be a finite number, got ${value}`);
+    }
+}
+
+function requirePositive(value, name) {
+    if (!(value > 0) || !Number.isFinite(value)) {
+        throw new InvalidInputError(`${name} must be a positive finite number, got ${value}`);
+    }
+}
+
+// Guards against overflow from extreme but finite inputs
+function requireFiniteResult(path) {
+    if (!Number.isFinite(path.t_max) || path.phases.some(phase => !Number.isFinite(phase.duration))) {
+        throw new TrajectoryError('The inputs are too extreme to compute a finite trajectory');
+    }
+}
+
+/**
+ * Throws a TrajectoryError if a path has a non-finite duration or position,
+ * which the canvas would otherwise silently draw as nothing
+ */
+function checkPath(path, samples = 20) {
+    if (!Number.isFinite(path.t_max) || path.t_max < 0) {
+        throw new TrajectoryError(`The solver produced an invalid flight time ${path.t_max}`);
+    }
+    for (let i = 0; i <= samples; i++) {
+        const t = (path.t_max / samples) * i;
+        const p = path.rocketPosition(t);
+        const v = path.rocketVelocity(t);
+        if (![p.x, p.y, p.z ?? 0, v.x, v.y, v.z ?? 0].every(Number.isFinite)) {
+            throw new TrajectoryError(`The solver produced invalid values at t = ${t.toFixed(2)}s`);
+        }
+    }
+}
+
 /**
  * Vector2D class for handling 2D vector operations
  */
@@ -14,7 +76,13 @@ class Vec2 {
     
     length() { return Math.sqrt(this.x * this.x + this.y * this.y); }
     
-    norm() { return this.div(this.length()); }
+    norm() {
+        const l = this.length();
+        if (!(l > 0) || !Number.isFinite(l)) {
+            throw new DegenerateGeometryError('Cannot normalize a vector of length ' + l);
+        }
+        return this.div(l);
+    }
     
     normOrZero() {
         const l = this.length();
@@ -29,30 +97,252 @@ class Vec2 {
     static get zero() { return new Vec2(0, 0); }
 }
 
+/**
+ * Vector3D class with the same operations as Vec2. Vec2 operands are taken to
+ * lie in the z = 0 plane, so 2D and 3D positions can be mixed.
+ */
+class Vec3 {
+    constructor(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    add(v) { return new Vec3(this.x + v.x, this.y + v.y, this.z + (v.z ?? 0)); }
+    sub(v) { return new Vec3(this.x - v.x, this.y - v.y, this.z - (v.z ?? 0)); }
+    mul(s) { return new Vec3(this.x * s, this.y * s, this.z * s); }
+    div(s) { return new Vec3(this.x / s, this.y / s, this.z / s); }
+
+    length() { return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z); }
+
+    norm() {
+        const l = this.length();
+        if (!(l > 0) || !Number.isFinite(l)) {
+            throw new DegenerateGeometryError('Cannot normalize a vector of length ' + l);
+        }
+        return this.div(l);
+    }
+
+    normOrZero() {
+        const l = this.length();
+        return l === 0 ? Vec3.zero : this.div(l);
+    }
+
+    dot(v) { return this.x * v.x + this.y * v.y + this.z * (v.z ?? 0); }
+    cross(v) {
+        const z = v.z ?? 0;
+        return new Vec3(this.y * z - this.z * v.y, this.z * v.x - this.x * z, this.x * v.y - this.y * v.x);
+    }
+
+    equals(v) { return this.x === v.x && this.y === v.y && this.z === (v.z ?? 0); }
+
+    static from(v) { return new Vec3(v.x, v.y, v.z ?? 0); }
+    static get zero() { return new Vec3(0, 0, 0); }
+}
+
+/**
+ * Base class of thrust envelopes, the set of accelerations the engines can
+ * produce. The straight-line solvers accept an envelope in place of a_max and
+ * burn along a line at maxAlong(direction), the largest acceleration the
+ * envelope allows along a unit direction.
+ */
+class ThrustEnvelope {
+    maxAlong(direction) { throw new Error('Not implemented'); }
+
+    // Points on the boundary, for drawing. Polygonal envelopes return their corners.
+    outline(n = 72) {
+        return Array.from({ length: n }, (_, i) => {
+            const direction = new Vec2(Math.cos(2 * Math.PI * i / n), Math.sin(2 * Math.PI * i / n));
+            return direction.mul(this.maxAlong(direction));
+        });
+    }
+
+    // Largest acceleration in any direction
+    largest() {
+        return Math.max(...this.outline().map(p => p.length()));
+    }
+}
+
+// The same a_max in every direction, which is what a plain a_max means
+class CircleEnvelope extends ThrustEnvelope {
+    constructor(a_max) {
+        super();
+        requirePositive(a_max, 'a_max');
+        this.a_max = a_max;
+    }
+
+    maxAlong(direction) { return this.a_max; }
+    largest() { return this.a_max; }
+}
+
+// Separate limits along the x and y axes
+class BoxEnvelope extends ThrustEnvelope {
+    constructor(a_x, a_y) {
+        super();
+        requirePositive(a_x, 'a_x');
+        requirePositive(a_y, 'a_y');
+        this.a_x = a_x;
+        this.a_y = a_y;
+    }
+
+    maxAlong(direction) {
+        return Math.min(this.a_x / Math.abs(direction.x), this.a_y / Math.abs(direction.y));
+    }
+
+    outline() {
+        return [[1, 1], [-1, 1], [-1, -1], [1, -1]].map(([sx, sy]) => new Vec2(sx * this.a_x, sy * this.a_y));
+    }
+}
+
+// Elliptical envelope with semi-axes a_x and a_y
+class EllipseEnvelope extends ThrustEnvelope {
+    constructor(a_x, a_y) {
+        super();
+        requirePositive(a_x, 'a_x');
+        requirePositive(a_y, 'a_y');
+        this.a_x = a_x;
+        this.a_y = a_y;
+    }
+
+    maxAlong(direction) {
+        return 1 / Math.hypot(direction.x / this.a_x, direction.y / this.a_y);
+    }
+
+    largest() { return Math.max(this.a_x, this.a_y); }
+}
+
+/**
+ * A main engine that only pushes towards the nose, plus reaction control
+ * thrusters pushing either way along both body axes. The ship holds its
+ * nose at heading, in radians.
+ */
+class MainRcsEnvelope extends ThrustEnvelope {
+    constructor(main, rcs, heading = 0) {
+        super();
+        requirePositive(main, 'main');
+        requirePositive(rcs, 'rcs');
+        requireFinite(heading, 'heading');
+        this.main = main;
+        this.rcs = rcs;
+        this.heading = heading;
+    }
+
+    maxAlong(direction) {
+        const nose = new Vec2(Math.cos(this.heading), Math.sin(this.heading));
+        const along = direction.dot(nose);
+        const lateral = Math.abs(direction.cross(nose));
+        // The main engine adds to the thrusters only when burning forwards, and straight sideways
+        // only the lateral thrusters limit
+        const reach = along > 0 ? (this.main + this.rcs) / along : along < 0 ? this.rcs / -along : Infinity;
+        return Math.min(reach, this.rcs / lateral);
+    }
+
+    outline() {
+        const nose = new Vec2(Math.cos(this.heading), Math.sin(this.heading));
+        const side = new Vec2(-nose.y, nose.x);
+        return [[this.main + this.rcs, 1], [-this.rcs, 1], [-this.rcs, -1], [this.main + this.rcs, -1]]
+            .map(([forward, sy]) => nose.mul(forward).add(side.mul(sy * this.rcs)));
+    }
+}
+
+// Solvers that take a thrust envelope also accept a plain a_max
+function toEnvelope(a_max) {
+    return a_max instanceof ThrustEnvelope ? a_max : new CircleEnvelope(a_max);
+}
+
 /**
  * Base class for different flight path calculations
  */
 class FlightPath {
     constructor() {
         this.t_max = 0;
+        // Consecutive phases of constant thrust { start, duration, thrust } covering the path
+        this.phases = [];
     }
 
     rocketPosition(t) { throw new Error('Not implemented'); }
     rocketVelocity(t) { throw new Error('Not implemented'); }
+
+    // Thrust acceleration at time t, zero while coasting and outside the path
+    rocketAcceleration(t) {
+        const phase = this.phases.find(p => t >= p.start && t < p.start + p.duration);
+        return phase ? phase.thrust : Vec2.zero;
+    }
+
+    // Heading of the nose in radians. The main engine points along it, so this is the
+    // thrust direction while burning and the direction of the last burn while coasting.
+    // Without an attitude model the ship turns instantly.
+    rocketOrientation(t) {
+        const thrust = this.rocketAcceleration(t);
+        if (thrust.length() > 0) return Math.atan2(thrust.y, thrust.x);
+        const burns = this.phases.filter(phase => phase.thrust.length() > 0);
+        const last = burns.filter(phase => phase.start <= t).pop() ?? burns[0];
+        return last ? Math.atan2(last.thrust.y, last.thrust.x) : 0;
+    }
+
+    // Velocity change the engine provides between t0 and t1
+    deltaVBetween(t0, t1) {
+        return this.phases.reduce((sum, phase) => {
+            const overlap = Math.min(t1, phase.start + phase.duration) - Math.max(t0, phase.start);
+            return overlap > 0 ? sum + phase.thrust.length() * overlap : sum;
+        }, 0);
+    }
+
+    // Total velocity change over the path, i.e. the propellant cost of the manoeuvre
+    deltaV() {
+        return this.deltaVBetween(0, this.t_max);
+    }
+
+    // Time spent with the engine running; the rest of t_max is spent coasting
+    burnTime() {
+        return this.phases.reduce((sum, phase) => phase.thrust.length() > 0 ? sum + phase.duration : sum, 0);
+    }
+
+    coastTime() {
+        return this.t_max - this.burnTime();
+    }
+}
+
+/**
+ * Moves phases later in time by dt
+ */
+function shiftPhases(phases, dt) {
+    return phases.map(phase => ({ ...phase, start: phase.start + dt }));
+}
+
+/**
+ * Cuts phases to the time interval [t0, t1], which then starts at time zero
+ */
+function slicePhases(phases, t0, t1) {
+    return phases
+        .map(phase => {
+            const start = Math.max(phase.start, t0);
+            const end = Math.min(phase.start + phase.duration, t1);
+            return { ...phase, start: start - t0, duration: end - start };
+        })
+        .filter(phase => phase.duration > 0);
 }
 
 /**
- * Handles the breaking phase of the flight path
+ * Handles the breaking phase of the flight path. a_max may be a thrust envelope.
  */
 class BreakFlightPath extends FlightPath {
     constructor(p_start, a_max, initial_v) {
         super();
+        requireFiniteVec(p_start, 'p_start');
+        const envelope = toEnvelope(a_max);
+        requireFiniteVec(initial_v, 'initial_v');
+        this.norm = initial_v.normOrZero();
+        a_max = initial_v.length() > 0 ? envelope.maxAlong(this.norm.mul(-1)) : envelope.largest();
         this.time_to_break = initial_v.length() / a_max;
         this.dist_to_break = 0.5 * a_max * this.time_to_break * this.time_to_break;
-        this.norm = initial_v.normOrZero();
         this.p_end = p_start.add(this.norm.mul(this.dist_to_break));
         this.t_max = this.time_to_break;
         this.a_max = a_max;
+        this.phases = this.time_to_break > 0
+            ? [{ start: 0, duration: this.time_to_break, thrust: this.norm.mul(-a_max) }]
+            : [];
+        requireFiniteResult(this);
     }
 
     rocketPosition(t) {
@@ -73,39 +363,57 @@ class BreakFlightPath extends FlightPath {
 }
 
 /**
- * Handles straight line flight paths with acceleration and deceleration phases
+ * Handles straight line flight paths with acceleration and deceleration phases.
+ * With a thrust envelope for a_max the ship may brake harder or softer than it
+ * accelerates, which moves the switch away from the midpoint.
  */
 class LineFlightPath extends FlightPath {
     constructor(p_start, p_end, a_max) {
         super();
+        requireFiniteVec(p_start, 'p_start');
+        requireFiniteVec(p_end, 'p_end');
+        const envelope = toEnvelope(a_max);
         this.p_start = p_start;
         this.p_end = p_end;
-        this.a_max = a_max;
 
+        // Coincident points give an empty path that stays at p_end
         const dd = p_end.sub(p_start);
         this.distance = dd.length();
-        this.direction = dd.div(this.distance);
-        this.t_max = 2 * Math.sqrt(this.distance / a_max);
+        this.direction = dd.normOrZero();
+        const moving = this.distance > 0;
+        this.a_accel = moving ? envelope.maxAlong(this.direction) : envelope.largest();
+        this.a_brake = moving ? envelope.maxAlong(this.direction.mul(-1)) : envelope.largest();
+
+        // Both burns reach the same peak speed, which covers the distance
+        const ratio = 2 * this.a_brake / (this.a_accel + this.a_brake);
+        this.t_switch = Math.sqrt(this.distance / this.a_accel * ratio);
+        this.t_max = this.t_switch + this.t_switch * (this.a_accel / this.a_brake);
+        this.phases = this.t_max > 0 ? [
+            { start: 0, duration: this.t_switch, thrust: this.direction.mul(this.a_accel) },
+            { start: this.t_switch, duration: this.t_max - this.t_switch, thrust: this.direction.mul(-this.a_brake) }
+        ] : [];
+        requireFiniteResult(this);
     }
 
     rocketPosition(t) {
-        if (t <= this.t_max / 2) {
+        if (t <= this.t_switch) {
             // Acceleration phase
-            return this.p_start.add(this.direction.mul(0.5 * this.a_max * t * t));
+            return this.p_start.add(this.direction.mul(0.5 * this.a_accel * t * t));
         } else if (t <= this.t_max) {
             // Deceleration phase
             const t_decel = this.t_max - t;
-            return this.p_end.add(this.direction.mul(-0.5 * this.a_max * t_decel * t_decel));
+            return this.p_end.add(this.direction.mul(-0.5 * this.a_brake * t_decel * t_decel));
         }
         return this.p_end;
     }
 
     rocketVelocity(t) {
-        if (t <= this.t_max / 2) {
-            return this.direction.mul(this.a_max * t);
+        if (t <= this.t_switch) {
+            return this.direction.mul(this.a_accel * t);
         } else if (t <= this.t_max) {
-            const t_decel = t - this.t_max / 2;
-            return this.direction.mul(this.a_max * (this.t_max / 2 - t_decel));
+            // Same time origin as rocketPosition: time left until the end
+            const t_decel = this.t_max - t;
+            return this.direction.mul(this.a_brake * t_decel);
         }
         return Vec2.zero;
     }
@@ -117,6 +425,7 @@ class LineFlightPath extends FlightPath {
 function combinePath(path1, path2) {
     const combined = new FlightPath();
     combined.t_max = path1.t_max + path2.t_max;
+    combined.phases = [...path1.phases, ...shiftPhases(path2.phases, path1.t_max)];
     
     combined.rocketPosition = function(t) {
         if (t <= path1.t_max) {
@@ -136,14 +445,22 @@ function combinePath(path1, path2) {
 }
 
 /**
- * Handles flight paths with a specific initial velocity in a given direction
+ * Handles flight paths with a specific initial velocity in a given direction.
+ * a_max may be a thrust envelope.
  */
 class DirectedInitialVFlightPath extends FlightPath {
     constructor(p_start, p_end, a_max, initial_v) {
         super();
+        requireFiniteVec(p_start, 'p_start');
+        requireFiniteVec(p_end, 'p_end');
+        const envelope = toEnvelope(a_max);
+        requireFinite(initial_v, 'initial_v');
         const dd = p_end.sub(p_start);
         const distance = dd.length();
-        const direction = dd.div(distance);
+        if (distance === 0 && initial_v !== 0) {
+            throw new DegenerateGeometryError('The direction of initial_v is undefined when p_start equals p_end');
+        }
+        const direction = dd.normOrZero();
 
         const break_path = new BreakFlightPath(p_start, a_max, direction.mul(initial_v));
         
@@ -151,27 +468,50 @@ class DirectedInitialVFlightPath extends FlightPath {
             const final_path = new LineFlightPath(break_path.p_end, p_end, a_max);
             const combined = combinePath(break_path, final_path);
             this.t_max = combined.t_max;
+            this.phases = combined.phases;
             this.rocketPosition = combined.rocketPosition;
             this.rocketVelocity = combined.rocketVelocity;
         } else {
-            const fictive_start = p_start.sub(direction.mul(break_path.dist_to_break));
-            const time_to_initial_v = break_path.time_to_break;
+            // Join the line path from rest where it reaches initial_v
+            const a_accel = distance > 0 ? envelope.maxAlong(direction) : envelope.largest();
+            const time_to_initial_v = initial_v / a_accel;
+            const fictive_start = p_start.sub(direction.mul(0.5 * a_accel * time_to_initial_v * time_to_initial_v));
             const actual_path = new LineFlightPath(fictive_start, p_end, a_max);
             this.t_max = actual_path.t_max - time_to_initial_v;
+            this.phases = slicePhases(actual_path.phases, time_to_initial_v, actual_path.t_max);
             this.rocketPosition = t => actual_path.rocketPosition(t + time_to_initial_v);
             this.rocketVelocity = t => actual_path.rocketVelocity(t + time_to_initial_v);
         }
+        requireFiniteResult(this);
     }
 }
 
 /**
- * Handles flight paths with any initial velocity vector
+ * Handles flight paths with any initial velocity vector. With a thrust envelope
+ * for a_max every phase burns at the limit of the envelope along its direction.
  */
 class InitialVFlightPath extends FlightPath {
     constructor(p_start, p_end, a_max, v0) {
         super();
+        requireFiniteVec(p_start, 'p_start');
+        requireFiniteVec(p_end, 'p_end');
+        const envelope = toEnvelope(a_max);
+        requireFiniteVec(v0, 'v0');
         const dd = p_end.sub(p_start);
-        const direction = dd.div(dd.length());
+        if (!Number.isFinite(dd.length())) {
+            throw new TrajectoryError('The inputs are too extreme to compute a finite trajectory');
+        }
+        if (dd.length() === 0) {
+            // Already at the target: brake and fly back to it
+            const break_path = new BreakFlightPath(p_start, a_max, v0);
+            const combined = combinePath(break_path, new LineFlightPath(break_path.p_end, p_end, a_max));
+            this.t_max = combined.t_max;
+            this.phases = combined.phases;
+            this.rocketPosition = combined.rocketPosition;
+            this.rocketVelocity = combined.rocketVelocity;
+            return;
+        }
+        const direction = dd.norm();
 
         // Decompose initial velocity into parallel and perpendicular components
         const v0_parallel_len = v0.dot(direction);
@@ -179,10 +519,12 @@ class InitialVFlightPath extends FlightPath {
         const v0_perp = v0.sub(v0_parallel);
         const v0_perp_len = v0_perp.length();
 
-        if (v0_perp_len === 0) {
+        // A perpendicular component at rounding level is treated as none
+        if (v0_perp_len <= 1e-12 * v0.length()) {
             // If no perpendicular component, use simpler directed path
             const path = new DirectedInitialVFlightPath(p_start, p_end, a_max, v0_parallel_len);
             this.t_max = path.t_max;
+            this.phases = path.phases;
             this.rocketPosition = path.rocketPosition.bind(path);
             this.rocketVelocity = path.rocketVelocity.bind(path);
             return;
@@ -198,15 +540,17 @@ class InitialVFlightPath extends FlightPath {
         const pos_after_cancel_v0 = cancel_pos(time_to_cancel_v0);
 
         // Calculate alignment phase
+        const a_align = envelope.maxAlong(v0_perp_direction.mul(-1));
+
         const align_pos = t => pos_after_cancel_v0
             .add(v0_parallel.mul(t))
-            .sub(v0_perp_direction.mul(0.5 * a_max * t * t));
+            .sub(v0_perp_direction.mul(0.5 * a_align * t * t));
             
-        const align_vel = t => v0_parallel.sub(v0_perp_direction.mul(a_max * t));
+        const align_vel = t => v0_parallel.sub(v0_perp_direction.mul(a_align * t));
 
         // Calculate time needed to align velocity with target direction
         const time_to_align = this.calculateAlignmentTime(p_end, pos_after_cancel_v0, 
-            v0_parallel_len, direction, v0_perp_direction, a_max);
+            v0_parallel_len, direction, v0_perp_direction, a_align);
 
         if (time_to_align === undefined) {
             // If alignment impossible, break completely and use direct path
@@ -214,6 +558,7 @@ class InitialVFlightPath extends FlightPath {
             const final_path = new LineFlightPath(full_break_path.p_end, p_end, a_max);
             const combined = combinePath(full_break_path, final_path);
             this.t_max = combined.t_max;
+            this.phases = combined.phases;
             this.rocketPosition = combined.rocketPosition;
             this.rocketVelocity = combined.rocketVelocity;
         } else {
@@ -224,6 +569,11 @@ class InitialVFlightPath extends FlightPath {
             );
 
             this.t_max = time_to_cancel_v0 + time_to_align + final_path.t_max;
+            this.phases = [
+                ...v0_cancel_path.phases,
+                { start: time_to_cancel_v0, duration: time_to_align, thrust: v0_perp_direction.mul(-a_align) },
+                ...shiftPhases(final_path.phases, time_to_cancel_v0 + time_to_align)
+            ].filter(phase => phase.duration > 0);
             
             this.rocketPosition = t => {
                 if (t <= time_to_cancel_v0) {
@@ -243,6 +593,7 @@ class InitialVFlightPath extends FlightPath {
                 return final_path.rocketVelocity(t - time_to_cancel_v0 - time_to_align);
             };
         }
+        requireFiniteResult(this);
     }
 
     calculateAlignmentTime(p_end, pos_after_cancel_v0, v0_parallel_len, u, v0_perp_u, a_max) {
@@ -257,19 +608,572 @@ class InitialVFlightPath extends FlightPath {
         
         if (inner < 0) return undefined;
 
-        const q = ((-a_max * end.x) + Math.sqrt(inner)) / (-a_max * v0_parallel_len);
+        // When the target is ahead, -a_max * end.x + sqrt(inner) cancels catastrophically
+        // for small end.y, so use the equivalent rationalized form there
+        const q = end.x > 0
+            ? (-2 * v0_parallel_len * end.y) / (Math.sqrt(inner) + a_max * end.x)
+            : ((-a_max * end.x) + Math.sqrt(inner)) / (-a_max * v0_parallel_len);
         const x = v0_parallel_len * q;
         
-        return (q < 0 || x < 0) ? undefined : q;
+        return (!Number.isFinite(q) || q < 0 || x < 0) ? undefined : q;
+    }
+}
+
+/**
+ * Handles unpowered flight at constant velocity, e.g. a target that keeps drifting
+ */
+class DriftFlightPath extends FlightPath {
+    constructor(p_start, velocity, t_max = Infinity) {
+        super();
+        requireFiniteVec(p_start, 'p_start');
+        requireFiniteVec(velocity, 'velocity');
+        this.p_start = p_start;
+        this.velocity = velocity;
+        this.t_max = t_max;
+        this.phases = [{ start: 0, duration: t_max, thrust: Vec2.zero }];
+    }
+
+    rocketPosition(t) {
+        return this.p_start.add(this.velocity.mul(t));
+    }
+
+    rocketVelocity(t) {
+        return this.velocity;
+    }
+}
+
+/**
+ * Handles flight paths made of consecutive phases of constant thrust,
+ * given as { duration, thrust } with a zero thrust vector for coasting.
+ * Any other properties of the phases are kept.
+ */
+class PhaseFlightPath extends FlightPath {
+    constructor(p_start, v0, phases) {
+        super();
+        this.p_start = p_start;
+        this.v0 = v0;
+        this.phases = [];
+        this.states = []; // Position and velocity at the start of each phase
+
+        let p = p_start;
+        let v = v0;
+        for (const phase of phases) {
+            const { duration, thrust } = phase;
+            this.phases.push({ ...phase, start: this.t_max });
+            this.states.push({ p, v });
+            p = p.add(v.mul(duration)).add(thrust.mul(0.5 * duration * duration));
+            v = v.add(thrust.mul(duration));
+            this.t_max += duration;
+        }
+        this.p_end = p;
+        this.v_end = v;
+    }
+
+    phaseIndexAt(t) {
+        let i = 0;
+        while (i < this.phases.length - 1 && t > this.phases[i].start + this.phases[i].duration) i++;
+        return i;
+    }
+
+    rocketPosition(t) {
+        if (this.phases.length === 0) return this.p_start;
+        if (t >= this.t_max) return this.p_end.add(this.v_end.mul(t - this.t_max));
+        const i = this.phaseIndexAt(t);
+        const dt = t - this.phases[i].start;
+        return this.states[i].p.add(this.states[i].v.mul(dt)).add(this.phases[i].thrust.mul(0.5 * dt * dt));
+    }
+
+    rocketVelocity(t) {
+        if (this.phases.length === 0) return this.v0;
+        if (t >= this.t_max) return this.v_end;
+        const i = this.phaseIndexAt(t);
+        return this.states[i].v.add(this.phases[i].thrust.mul(t - this.phases[i].start));
+    }
+}
+
+/**
+ * Phases that take a ship at speed v0 along direction to rest after distance
+ * in time T: burn to the cruise speed, coast, then brake. Requires v0 >= 0,
+ * that the ship can stop within distance, and T of at least the minimum time.
+ */
+function coastPhases(direction, distance, a_max, v0, T) {
+    // Accelerating to a cruise speed vc >= v0 gives vc^2 - (a T + v0) vc + v0^2 / 2 + a d = 0,
+    // the smaller root leaves the most time for coasting
+    const b = a_max * T + v0;
+    const disc = b * b - 4 * (v0 * v0 / 2 + a_max * distance);
+    let vc = (b - Math.sqrt(Math.max(disc, 0))) / 2;
+    if (vc < v0) {
+        // Too fast for the time budget: slow down to the cruise speed right away
+        const t_left = T - v0 / a_max;
+        vc = t_left > 0 ? (distance - v0 * v0 / (2 * a_max)) / t_left : v0;
+        vc = Math.min(Math.max(vc, 0), v0);
+    }
+
+    const t_burn = Math.abs(vc - v0) / a_max;
+    const t_brake = vc / a_max;
+    return [
+        { duration: t_burn, thrust: direction.mul(vc >= v0 ? a_max : -a_max) },
+        { duration: Math.max(T - t_burn - t_brake, 0), thrust: Vec2.zero },
+        { duration: t_brake, thrust: direction.mul(-a_max) }
+    ];
+}
+
+/**
+ * Handles fuel-saving flight paths with a specific initial velocity in a given
+ * direction that use a time budget: burn, coast, then brake. Budgets below the
+ * minimum time of DirectedInitialVFlightPath are raised to it.
+ */
+class CoastFlightPath extends PhaseFlightPath {
+    constructor(p_start, p_end, a_max, initial_v, t_budget) {
+        requireFinite(t_budget, 't_budget');
+        // Coasting is only worked out for a circular envelope
+        requirePositive(a_max, 'a_max');
+        // Also validates the other inputs
+        const t_min = new DirectedInitialVFlightPath(p_start, p_end, a_max, initial_v).t_max;
+        const dd = p_end.sub(p_start);
+        const distance = dd.length();
+        const direction = dd.normOrZero();
+        const T = Math.max(t_budget, t_min);
+
+        let phases;
+        if (initial_v < 0 || (initial_v * initial_v) / (2 * a_max) > distance) {
+            // Moving away or too fast to stop in time: break first, then fly from rest
+            const break_path = new BreakFlightPath(p_start, a_max, direction.mul(initial_v));
+            const rest = p_end.sub(break_path.p_end);
+            phases = [
+                { duration: break_path.t_max, thrust: break_path.norm.mul(-a_max) },
+                ...coastPhases(rest.normOrZero(), rest.length(), a_max, 0, T - break_path.t_max)
+            ];
+        } else {
+            phases = coastPhases(direction, distance, a_max, initial_v, T);
+        }
+
+        super(p_start, direction.mul(initial_v), phases);
+        this.p_end = p_end;
+        this.a_max = a_max;
+        this.t_min = t_min;
+        this.budget_met = t_budget >= t_min;
+    }
+}
+
+/**
+ * Picks the time budget of a CoastFlightPath that minimizes a weighted cost of
+ * time and fuel, each relative to the minimum-time path: weight 0 is fastest,
+ * weight 1 uses the least fuel within ten times the minimum time.
+ */
+function timeFuelTradeoffPath(p_start, p_end, a_max, initial_v, weight) {
+    const fastest = new CoastFlightPath(p_start, p_end, a_max, initial_v, 0);
+    const t_min = fastest.t_max;
+    const dv_max = fastest.deltaV();
+    const cost = T => {
+        const path = new CoastFlightPath(p_start, p_end, a_max, initial_v, T);
+        return (1 - weight) * (T / t_min) + weight * (dv_max > 0 ? path.deltaV() / dv_max : 0);
+    };
+
+    // Golden section search, the cost is convex in T
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let lo = t_min;
+    let hi = 10 * t_min;
+    for (let i = 0; i < 60; i++) {
+        const m1 = hi - ratio * (hi - lo);
+        const m2 = lo + ratio * (hi - lo);
+        if (cost(m1) <= cost(m2)) {
+            hi = m2;
+        } else {
+            lo = m1;
+        }
+    }
+    return new CoastFlightPath(p_start, p_end, a_max, initial_v, (lo + hi) / 2);
+}
+
+/**
+ * Handles flight paths given as samples of a numerical simulation, interpolated
+ * with cubic Hermite splines so that position and velocity stay consistent
+ */
+class SampledFlightPath extends FlightPath {
+    constructor(times, positions, velocities) {
+        super();
+        this.times = times;
+        this.positions = positions;
+        this.velocities = velocities;
+        this.t_max = times[times.length - 1];
+        // Average acceleration over each sample interval
+        this.phases = times.slice(1).map((t, i) => ({
+            start: times[i],
+            duration: t - times[i],
+            thrust: velocities[i + 1].sub(velocities[i]).div(t - times[i])
+        }));
+    }
+
+    // Returns the sample interval containing t and the fraction s of the way through it
+    interval(t) {
+        let lo = 0;
+        let hi = this.times.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (this.times[mid] <= t) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+        const h = this.times[hi] - this.times[lo];
+        return { i: lo, h, s: Math.min(Math.max((t - this.times[lo]) / h, 0), 1) };
+    }
+
+    rocketPosition(t) {
+        if (this.times.length < 2 || t >= this.t_max) return this.positions[this.positions.length - 1];
+        const { i, h, s } = this.interval(t);
+        const s2 = s * s;
+        const s3 = s2 * s;
+        return this.positions[i].mul(2 * s3 - 3 * s2 + 1)
+            .add(this.velocities[i].mul((s3 - 2 * s2 + s) * h))
+            .add(this.positions[i + 1].mul(-2 * s3 + 3 * s2))
+            .add(this.velocities[i + 1].mul((s3 - s2) * h));
+    }
+
+    rocketVelocity(t) {
+        if (this.times.length < 2 || t >= this.t_max) return this.velocities[this.velocities.length - 1];
+        const { i, h, s } = this.interval(t);
+        const s2 = s * s;
+        return this.positions[i].mul((6 * s2 - 6 * s) / h)
+            .add(this.velocities[i].mul(3 * s2 - 4 * s + 1))
+            .add(this.positions[i + 1].mul((-6 * s2 + 6 * s) / h))
+            .add(this.velocities[i + 1].mul(3 * s2 - 2 * s));
+    }
+
+    rocketAcceleration(t) {
+        if (this.times.length < 2 || t < 0 || t >= this.t_max) return Vec2.zero;
+        const { i, h, s } = this.interval(t);
+        return this.positions[i].mul((12 * s - 6) / (h * h))
+            .add(this.velocities[i].mul((6 * s - 4) / h))
+            .add(this.positions[i + 1].mul((6 - 12 * s) / (h * h)))
+            .add(this.velocities[i + 1].mul((6 * s - 2) / h));
+    }
+}
+
+/**
+ * Finds the earliest time T >= 0 at which residual(T) <= 0, where residual
+ * is positive at first and eventually turns negative. Scans forward in
+ * small steps and refines the first sign change by bisection, so windows
+ * narrower than the scan step can still be missed.
+ */
+function findArrivalTime(residual, t_guess) {
+    if (!(residual(0) > 0)) return 0;
+
+    // Fine steps around the first guess, proportionally coarser ones beyond
+    const t_scale = t_guess > 0 ? t_guess : 1;
+    let lo = 0;
+    let hi = t_scale / 256;
+    for (let i = 0; residual(hi) > 0; i++) {
+        if (i > 5000) throw new ConvergenceError('No arrival time found');
+        lo = hi;
+        hi = lo + Math.max(t_scale / 256, lo / 64);
+    }
+
+    for (let i = 0; i < 60; i++) {
+        const mid = (lo + hi) / 2;
+        if (residual(mid) > 0) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    return hi;
+}
+
+/**
+ * Handles flight paths that arrive at p_end with a required final velocity,
+ * e.g. to dock with a moving ship. a_max may be a thrust envelope.
+ */
+class RendezvousFlightPath extends FlightPath {
+    constructor(p_start, p_end, a_max, v0, v_end) {
+        super();
+        this.p_start = p_start;
+        this.p_end = p_end;
+        this.a_max = a_max;
+        this.v_end = v_end;
+
+        // In the frame moving with v_end the meeting point p_end - v_end * T is at rest,
+        // so the arrival time T is the one where the relative path takes exactly T
+        requireFiniteVec(v_end, 'v_end');
+        const v_rel = v0.sub(v_end);
+        const relativePath = T => new InitialVFlightPath(p_start, p_end.sub(v_end.mul(T)), a_max, v_rel);
+        const t_guess = new InitialVFlightPath(p_start, p_end, a_max, v_rel).t_max;
+
+        this.t_max = findArrivalTime(T => relativePath(T).t_max - T, t_guess);
+        // Arriving slightly early is fine: the ship then drifts along with v_end until t_max
+        this.relative_path = relativePath(this.t_max);
+        this.phases = [
+            ...this.relative_path.phases,
+            { start: this.relative_path.t_max, duration: this.t_max - this.relative_path.t_max, thrust: Vec2.zero }
+        ].filter(phase => phase.duration > 0);
+    }
+
+    rocketPosition(t) {
+        return this.relative_path.rocketPosition(t).add(this.v_end.mul(t));
+    }
+
+    rocketVelocity(t) {
+        return this.relative_path.rocketVelocity(t).add(this.v_end);
+    }
+}
+
+/**
+ * Handles flight paths that intercept a target moving along its own trajectory.
+ * The target is either any FlightPath or a constant-velocity point { position, velocity }.
+ * a_max may be a thrust envelope.
+ */
+class InterceptFlightPath extends FlightPath {
+    constructor(p_start, target, a_max, v0) {
+        super();
+        requireFiniteVec(p_start, 'p_start');
+        toEnvelope(a_max);
+        requireFiniteVec(v0, 'v0');
+        if (!(target instanceof FlightPath)) {
+            target = new DriftFlightPath(target.position, target.velocity);
+        }
+        this.p_start = p_start;
+        this.a_max = a_max;
+        this.target = target;
+
+        // The earliest meeting time T is where the chaser needs exactly T to reach the target's position at T
+        const chaserPath = T => new InitialVFlightPath(p_start, target.rocketPosition(T), a_max, v0);
+        const t_guess = chaserPath(0).t_max;
+
+        this.t_max = findArrivalTime(T => chaserPath(T).t_max - T, t_guess);
+        this.meeting_point = target.rocketPosition(this.t_max);
+        this.chaser_path = chaserPath(this.t_max);
+        this.phases = this.chaser_path.phases;
+    }
+
+    rocketPosition(t) {
+        return this.chaser_path.rocketPosition(t);
+    }
+
+    rocketVelocity(t) {
+        return this.chaser_path.rocketVelocity(t);
+    }
+}
+
+/**
+ * Integrates the unit thrust direction of the optimal steering law over the
+ * time-to-go s in [s0, s1]. The direction at time-to-go s is that of
+ * dir * (s + c) + normal * k, so I0 = integral of u ds and I1 = integral of s * u ds.
+ */
+function steeringIntegrals(dir, k, c, s0, s1) {
+    const normal = new Vec2(-dir.y, dir.x);
+    const R = x => Math.sqrt(x * x + k * k);
+    const M = x => k === 0 ? 0 : k * Math.asinh(x / Math.abs(k));
+    const F0 = x => dir.mul(R(x)).add(normal.mul(M(x)));
+    const F1 = x => dir.mul((x * R(x) - k * M(x)) / 2 - c * R(x)).add(normal.mul(k * R(x) - c * M(x)));
+
+    const x0 = s0 + c;
+    const x1 = s1 + c;
+    return { I0: F0(x1).sub(F0(x0)), I1: F1(x1).sub(F1(x0)) };
+}
+
+/**
+ * Solves the square linear system A x = b by Gaussian elimination with partial pivoting
+ */
+function solveLinear(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+    for (let i = 0; i < n; i++) {
+        let pivot = i;
+        for (let j = i + 1; j < n; j++) {
+            if (Math.abs(m[j][i]) > Math.abs(m[pivot][i])) pivot = j;
+        }
+        [m[i], m[pivot]] = [m[pivot], m[i]];
+        for (let j = i + 1; j < n; j++) {
+            const f = m[j][i] / m[i][i];
+            for (let k = i; k <= n; k++) m[j][k] -= f * m[i][k];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = m[i][n];
+        for (let k = i + 1; k < n; k++) sum -= m[i][k] * x[k];
+        x[i] = sum / m[i][i];
+    }
+    return x;
+}
+
+/**
+ * Minimizes the squared norm of residual(x) with Levenberg-Marquardt steps
+ * and a finite-difference Jacobian
+ */
+function solveLeastSquares(residual, x0, max_iterations = 100) {
+    const sumSq = r => r.reduce((sum, v) => sum + v * v, 0);
+    const n = x0.length;
+    let x = x0;
+    let r = residual(x);
+    let cost = sumSq(r);
+    let mu = 1e-3;
+
+    for (let it = 0; it < max_iterations && cost > 1e-26; it++) {
+        const h = 1e-7;
+        const J = x.map((_, j) => {
+            const xh = x.slice();
+            xh[j] += h;
+            return residual(xh).map((v, i) => (v - r[i]) / h);
+        });
+        const A = J.map(Jp => J.map(Jq => Jp.reduce((sum, v, i) => sum + v * Jq[i], 0)));
+        const g = J.map(Jp => -Jp.reduce((sum, v, i) => sum + v * r[i], 0));
+        for (let p = 0; p < n; p++) A[p][p] += mu * (A[p][p] + 1e-12);
+
+        const step = solveLinear(A, g);
+        const x_next = x.map((v, j) => v + step[j]);
+        const r_next = residual(x_next);
+        const cost_next = sumSq(r_next);
+        if (cost_next < cost) {
+            x = x_next;
+            r = r_next;
+            cost = cost_next;
+            mu = Math.max(mu / 3, 1e-12);
+        } else {
+            mu *= 4;
+            if (mu > 1e8) break;
+        }
+    }
+    return { x, cost };
+}
+
+/**
+ * Handles time-optimal flight paths with any initial velocity vector. Full thrust
+ * is applied along a direction that turns according to the optimal steering law
+ * of the double integrator. Its parameters are found numerically from several
+ * starting guesses, keeping the fastest converged solution.
+ */
+class TimeOptimalFlightPath extends FlightPath {
+    constructor(p_start, p_end, a_max, v0) {
+        super();
+        // The steering law assumes the same a_max in every direction
+        requirePositive(a_max, 'a_max');
+        this.p_start = p_start;
+        this.p_end = p_end;
+        this.a_max = a_max;
+        this.v0 = v0;
+
+        // The heuristic path is a feasible upper bound and sets the scale of the search
+        const heuristic = new InitialVFlightPath(p_start, p_end, a_max, v0);
+        const T_ref = heuristic.t_max;
+        this.heuristic_t_max = T_ref;
+        if (T_ref === 0) {
+            // Already at rest at the target
+            this.converged = true;
+            this.direction = Vec2.zero;
+            this.k = 0;
+            this.c = 0;
+            return;
+        }
+
+        // Unknowns are the steering angle, k and c relative to T_ref, and log(T / T_ref)
+        const d_p = p_end.sub(p_start);
+        const d_v = v0.mul(-1);
+        const residual = ([phi, k, c, tau]) => {
+            const T = T_ref * Math.exp(tau);
+            const dir = new Vec2(Math.cos(phi), Math.sin(phi));
+            const { I0, I1 } = steeringIntegrals(dir, k * T_ref, c * T_ref, 0, T);
+            const r_v = I0.mul(a_max).sub(d_v).div(a_max * T_ref);
+            const r_p = I1.mul(a_max).sub(d_p.sub(v0.mul(T))).div(a_max * T_ref * T_ref);
+            return [r_v.x, r_v.y, r_p.x, r_p.y];
+        };
+
+        let best;
+        for (let i = 0; i < 8; i++) {
+            for (const c of [-0.5, -0.2]) {
+                for (const k of [0.1, -0.1, 1, -1]) {
+                    const { x, cost } = solveLeastSquares(residual, [Math.PI * i / 4, k, c, 0]);
+                    const T = T_ref * Math.exp(x[3]);
+                    if (cost < 1e-20 && T <= T_ref * (1 + 1e-9) && (!best || T < best.T)) {
+                        best = { T, x };
+                    }
+                }
+            }
+        }
+
+        this.converged = best !== undefined;
+        if (!this.converged) {
+            // Keep the heuristic path rather than returning nothing
+            this.t_max = heuristic.t_max;
+            this.rocketPosition = heuristic.rocketPosition.bind(heuristic);
+            this.rocketVelocity = heuristic.rocketVelocity.bind(heuristic);
+            this.rocketAcceleration = heuristic.rocketAcceleration.bind(heuristic);
+            this.phases = heuristic.phases;
+            return;
+        }
+
+        const [phi, k, c] = best.x;
+        this.t_max = best.T;
+        this.direction = new Vec2(Math.cos(phi), Math.sin(phi));
+        this.k = k * T_ref;
+        this.c = c * T_ref;
+
+        // The thrust turns continuously, so the phases hold its average over short pieces
+        const pieces = 64;
+        const duration = this.t_max / pieces;
+        this.phases = Array.from({ length: pieces }, (_, i) => ({
+            start: i * duration,
+            duration,
+            thrust: this.rocketVelocity((i + 1) * duration).sub(this.rocketVelocity(i * duration)).div(duration)
+        }));
+    }
+
+    rocketPosition(t) {
+        if (t >= this.t_max) return this.p_end;
+        const s = this.t_max - t;
+        const { I0, I1 } = steeringIntegrals(this.direction, this.k, this.c, s, this.t_max);
+        return this.p_start.add(this.v0.mul(t)).add(I1.sub(I0.mul(s)).mul(this.a_max));
+    }
+
+    rocketVelocity(t) {
+        if (t >= this.t_max) return Vec2.zero;
+        const { I0 } = steeringIntegrals(this.direction, this.k, this.c, this.t_max - t, this.t_max);
+        return this.v0.add(I0.mul(this.a_max));
+    }
+
+    rocketAcceleration(t) {
+        if (t < 0 || t >= this.t_max) return Vec2.zero;
+        const s = this.t_max - t;
+        const normal = new Vec2(-this.direction.y, this.direction.x);
+        return this.direction.mul(s + this.c).add(normal.mul(this.k)).normOrZero().mul(this.a_max);
     }
 }
 
 // Export classes for use in main.js
 export {
+    TrajectoryError,
+    InvalidInputError,
+    DegenerateGeometryError,
+    ConvergenceError,
+    requireFiniteVec,
+    requireFinite,
+    requirePositive,
+    checkPath,
     Vec2,
+    Vec3,
+    ThrustEnvelope,
+    CircleEnvelope,
+    BoxEnvelope,
+    EllipseEnvelope,
+    MainRcsEnvelope,
+    toEnvelope,
     FlightPath,
+    shiftPhases,
+    slicePhases,
     BreakFlightPath,
     LineFlightPath,
     DirectedInitialVFlightPath,
-    InitialVFlightPath
+    InitialVFlightPath,
+    DriftFlightPath,
+    PhaseFlightPath,
+    CoastFlightPath,
+    timeFuelTradeoffPath,
+    solveLeastSquares,
+    SampledFlightPath,
+    RendezvousFlightPath,
+    InterceptFlightPath,
+    TimeOptimalFlightPath
 };
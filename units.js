@@ -0,0 +1,47 @@
+// World coordinates are in meters and times in seconds
+
+const ASTRONOMICAL_UNIT = 1.495978707e11;
+
+// Length units offered for distance inputs, in meters
+const LENGTH_UNITS = {
+    m: 1,
+    km: 1e3,
+    AU: ASTRONOMICAL_UNIT
+};
+
+const fixed = value => value.toFixed(2);
+
+// Picks m, km or AU so that docking and interplanetary distances both read well
+function formatLength(meters) {
+    const size = Math.abs(meters);
+    if (size >= 0.1 * ASTRONOMICAL_UNIT) return `${fixed(meters / ASTRONOMICAL_UNIT)} AU`;
+    if (size >= 1e4) return `${fixed(meters / 1e3)} km`;
+    return `${fixed(meters)} m`;
+}
+
+function formatSpeed(meters_per_second) {
+    return Math.abs(meters_per_second) >= 1e4
+        ? `${fixed(meters_per_second / 1e3)} km/s`
+        : `${fixed(meters_per_second)} m/s`;
+}
+
+function formatAcceleration(meters_per_second2) {
+    return `${fixed(meters_per_second2)} m/s²`;
+}
+
+// Seconds up to 1000 s, then hours, then days
+function formatDuration(seconds) {
+    const size = Math.abs(seconds);
+    if (size >= 2 * 86400) return `${fixed(seconds / 86400)}d`;
+    if (size >= 1000) return `${fixed(seconds / 3600)}h`;
+    return `${fixed(seconds)}s`;
+}
+
+export {
+    ASTRONOMICAL_UNIT,
+    LENGTH_UNITS,
+    formatLength,
+    formatSpeed,
+    formatAcceleration,
+    formatDuration
+};
@@ -0,0 +1,89 @@
+import { Vec2, requirePositive, requireFiniteVec } from './trajectory.js';
+
+// Zoom limits in pixels per meter, from an AU across a few pixels down to millimetres
+const MIN_SCALE = 1e-13;
+const MAX_SCALE = 1e4;
+
+// The smallest step of 1, 2 or 5 times a power of ten that is at least size
+function niceStep(size) {
+    requirePositive(size, 'size');
+    const power = Math.pow(10, Math.floor(Math.log10(size)));
+    for (const factor of [1, 2, 5]) {
+        // Rounding in log10 can put size a hair above factor * power
+        if (factor * power >= size * (1 - 1e-12)) return factor * power;
+    }
+    return 10 * power;
+}
+
+/**
+ * Maps world coordinates in meters to canvas pixels of a width x height canvas.
+ * scale is in pixels per meter and origin is the world point at the top left
+ * corner. y points down in both, like the canvas.
+ */
+class Viewport {
+    constructor(width, height, scale = 1, origin = Vec2.zero) {
+        this.width = width;
+        this.height = height;
+        this.scale = scale;
+        this.origin = origin;
+    }
+
+    toScreen(p) {
+        return new Vec2((p.x - this.origin.x) * this.scale, (p.y - this.origin.y) * this.scale);
+    }
+
+    toWorld(p) {
+        return new Vec2(p.x / this.scale + this.origin.x, p.y / this.scale + this.origin.y);
+    }
+
+    // World point in the middle of the canvas
+    center() {
+        return this.toWorld(new Vec2(this.width / 2, this.height / 2));
+    }
+
+    // Visible world rectangle { min, max }
+    bounds() {
+        return { min: this.origin, max: this.toWorld(new Vec2(this.width, this.height)) };
+    }
+
+    // Moves the view with the mouse: the world follows a drag of delta pixels
+    pan(delta) {
+        this.origin = this.origin.sub(delta.div(this.scale));
+    }
+
+    // Zooms in by factor, keeping the world point under the screen point in place
+    zoomAt(screen_p, factor) {
+        const anchor = this.toWorld(screen_p);
+        this.scale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, this.scale * factor));
+        this.origin = anchor.sub(screen_p.div(this.scale));
+    }
+
+    // Zooms and pans so that all points are visible, with margin as a fraction of the canvas
+    fit(points, margin = 0.1) {
+        points.forEach((p, i) => requireFiniteVec(p, `points[${i}]`));
+        const min = new Vec2(Math.min(...points.map(p => p.x)), Math.min(...points.map(p => p.y)));
+        const max = new Vec2(Math.max(...points.map(p => p.x)), Math.max(...points.map(p => p.y)));
+        const size = max.sub(min);
+        const usable = 1 - 2 * margin;
+        // A single point keeps the current zoom
+        const scale = Math.min(
+            size.x > 0 ? (this.width * usable) / size.x : Infinity,
+            size.y > 0 ? (this.height * usable) / size.y : Infinity
+        );
+        if (Number.isFinite(scale)) {
+            this.scale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, scale));
+        }
+        const middle = min.add(max).div(2);
+        this.origin = middle.sub(new Vec2(this.width / 2, this.height / 2).div(this.scale));
+    }
+
+    // World distance between grid lines at least min_pixels apart on screen
+    gridStep(min_pixels = 40) {
+        return niceStep(min_pixels / this.scale);
+    }
+}
+
+export {
+    niceStep,
+    Viewport
+};